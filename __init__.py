@@ -1,3 +1,10 @@
+import os
+from datetime import datetime
+
+from aiohttp import web
+from server import PromptServer
+import folder_paths
+
 # Define the web directory for our extension
 WEB_DIRECTORY = "./web"
 
@@ -11,5 +18,30 @@ __js_files__ = ["magnify_glass.js"]
 # List of exported elements
 __all__ = ['NODE_CLASS_MAPPINGS', 'NODE_DISPLAY_NAME_MAPPINGS', 'WEB_DIRECTORY', '__js_files__']
 
+# Backend route for saving glass snapshots into the output folder
+SNAPSHOT_SUBFOLDER = "magnify_glass"
+PNG_SIGNATURE = b"\x89PNG\r\n\x1a\n"
+
+
+@PromptServer.instance.routes.post("/magnify_glass/snapshot")
+async def save_snapshot(request):
+    post = await request.post()
+    image = post.get("image")
+    if image is None or not hasattr(image, "file"):
+        return web.json_response({"error": "Missing 'image' file field"}, status=400)
+
+    data = image.file.read()
+    if not data.startswith(PNG_SIGNATURE):
+        return web.json_response({"error": "Snapshot must be a PNG image"}, status=400)
+
+    # The server picks the file name so nothing from the client ends up in the path
+    output_dir = os.path.join(folder_paths.get_output_directory(), SNAPSHOT_SUBFOLDER)
+    os.makedirs(output_dir, exist_ok=True)
+    filename = f"magnify_{datetime.now().strftime('%Y%m%d_%H%M%S_%f')}.png"
+    with open(os.path.join(output_dir, filename), "wb") as f:
+        f.write(data)
+
+    return web.json_response({"filename": filename, "subfolder": SNAPSHOT_SUBFOLDER, "type": "output"})
+
 # Print a message to confirm the extension loaded
 print("ComfyUI Magnify Glass extension loaded")
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { app } from "../../../scripts/app.js";
+import { api } from "../../../scripts/api.js";
 
 /**
  * ComfyUI Magnifying Glass
@@ -7,8 +8,89 @@ import { app } from "../../../scripts/app.js";
  * Hold Alt+X to activate the magnifying glass and see a zoomed view of the canvas.
  */
 
+// Set in setup() so extension commands can reach the magnifier
+let magnifyGlassInstance = null;
+
+// Providers that magnify DOM widgets inside the glass, highest priority first (see registerOverlayProvider)
+const overlayProviders = [];
+
+/**
+ * Register a provider that magnifies a kind of DOM widget inside the glass. Other extensions can import it
+ * from this module or call it on the extension object: app.extensions.find(e => e.name === "comfyui.magnify.glass").
+ *
+ * A provider is { name, priority, claim, create, update, remove }:
+ * - claim(widget, node): the element to magnify (the glass places it by its on-screen rect), or null to pass
+ * - create(element, context): a new element to show in the glass; the magnifier positions, sizes and scales it
+ * - update(clone, element, context): optional, called every frame while the widget is under the glass
+ * - remove(clone, element): optional, called once the widget leaves the glass
+ * context is { widget, node, width, height, scale }: the clone's CSS size and the scale transform applied to it.
+ * Providers are asked by descending priority (default 0). The built-in ones use -1, and -2 for the plain
+ * DOM clone fallback, so a provider registered with the default priority takes precedence over them.
+ *
+ * Returns a function that unregisters the provider.
+ */
+export function registerOverlayProvider(provider) {
+    if (!provider || typeof provider.claim !== "function" || typeof provider.create !== "function") {
+        console.error("ComfyUI Magnifying Glass ERROR: An overlay provider needs claim() and create() functions.", provider);
+        return () => {};
+    }
+    overlayProviders.push(provider);
+    overlayProviders.sort((a, b) => (b.priority || 0) - (a.priority || 0)); // Stable, so ties keep registration order
+    return () => {
+        const index = overlayProviders.indexOf(provider);
+        if (index < 0) return;
+        overlayProviders.splice(index, 1);
+        if (magnifyGlassInstance) magnifyGlassInstance.ui.clearOverlayClones(); // Its clones are recreated by whoever claims the widgets now
+    };
+}
+
 app.registerExtension({
     name: "comfyui.magnify.glass",
+    registerOverlayProvider,
+    commands: [
+        {
+            id: "MagnifyGlass.Snapshot",
+            label: "Magnify Glass: Save Snapshot",
+            function: () => {
+                if (magnifyGlassInstance) magnifyGlassInstance.takeSnapshot();
+            }
+        },
+        {
+            id: "MagnifyGlass.ToggleNavigator",
+            label: "Magnify Glass: Toggle Navigator",
+            function: () => {
+                if (magnifyGlassInstance) magnifyGlassInstance.toggleNavigator();
+            }
+        },
+        {
+            id: "MagnifyGlass.LoadReference",
+            label: "Magnify Glass: Load Reference Image...",
+            function: () => {
+                if (magnifyGlassInstance) magnifyGlassInstance.pickReferenceImage();
+            }
+        },
+        {
+            id: "MagnifyGlass.ClearReference",
+            label: "Magnify Glass: Clear Reference Image",
+            function: () => {
+                if (magnifyGlassInstance) magnifyGlassInstance.clearReference();
+            }
+        }
+    ],
+    menuCommands: [
+        {
+            path: ["Extensions", "Magnify Glass"],
+            commands: ["MagnifyGlass.Snapshot", "MagnifyGlass.ToggleNavigator", "MagnifyGlass.LoadReference", "MagnifyGlass.ClearReference"]
+        }
+    ],
+    async afterConfigureGraph() {
+        // A workflow was loaded: show the callouts stored with it. Run history is keyed by node id,
+        // which now belongs to other nodes.
+        if (magnifyGlassInstance) {
+            magnifyGlassInstance.restoreCallouts();
+            magnifyGlassInstance.imageHistory.clear();
+        }
+    },
     async setup() {
         // Default settings configuration
         const DEFAULT_SETTINGS = {
@@ -26,9 +108,255 @@ app.registerExtension({
             "🔍MagnifyGlass.GlassShape": "Rounded Square",
             "🔍MagnifyGlass.BorderEnabled": true,
             "🔍MagnifyGlass.TextureFiltering": "Linear",
+            "🔍MagnifyGlass.Renderer": "Auto",
+            "🔍MagnifyGlass.VectorRendering": false,
+            "🔍MagnifyGlass.ChannelView": "RGB",
+            "🔍MagnifyGlass.ChannelViewKey": "c",
+            "🔍MagnifyGlass.ColorVision": "Normal",
+            "🔍MagnifyGlass.ColorVisionKey": "d",
+            "🔍MagnifyGlass.FilterChain": "",
+            "🔍MagnifyGlass.CustomShader": "",
             "🔍MagnifyGlass.AlwaysActiveMode": false,
             "🔍MagnifyGlass.ToggleFollowCursorKey": "h",
+            "🔍MagnifyGlass.WheelControl": true,
+            "🔍MagnifyGlass.WheelZoomStep": 0.25,
+            "🔍MagnifyGlass.WheelSizeStep": 20,
+            "🔍MagnifyGlass.WheelSaveToSettings": false,
+            "🔍MagnifyGlass.ColorProbeKey": "i",
+            "🔍MagnifyGlass.ColorCopyKey": "y",
+            "🔍MagnifyGlass.ColorCopyFormat": "Hex",
+            "🔍MagnifyGlass.PixelGrid": true,
+            "🔍MagnifyGlass.PixelGridMinZoom": 8,
+            "🔍MagnifyGlass.PixelGridColor": "#808080",
+            "🔍MagnifyGlass.ReticleStyle": "None",
+            "🔍MagnifyGlass.ReticleColor": "#ff0000",
+            "🔍MagnifyGlass.LensProfile": "Flat",
+            "🔍MagnifyGlass.LensStrength": 0.75,
+            "🔍MagnifyGlass.CompareMode": "Split",
+            "🔍MagnifyGlass.CompareModeKey": "a",
+            "🔍MagnifyGlass.CompareFlickerInterval": 500,
+            "🔍MagnifyGlass.HistoryMode": "Off",
+            "🔍MagnifyGlass.HistoryLength": 5,
+            "🔍MagnifyGlass.HistoryModeKey": "g",
+            "🔍MagnifyGlass.HistoryBackKey": "[",
+            "🔍MagnifyGlass.HistoryForwardKey": "]",
+            "🔍MagnifyGlass.SnapshotKey": "k",
+            "🔍MagnifyGlass.SnapshotDestination": "Clipboard",
+            "🔍MagnifyGlass.SnapshotCaption": true,
+            "🔍MagnifyGlass.PinKey": "p",
+            "🔍MagnifyGlass.Navigator": false,
+            "🔍MagnifyGlass.NavigatorSize": 240,
+            "🔍MagnifyGlass.LiveRefreshFps": 30,
+            "🔍MagnifyGlass.NativeImageSampling": true,
+            "🔍MagnifyGlass.ActualPixelsKey": "1",
+            "🔍MagnifyGlass.TileMode": "Off",
+            "🔍MagnifyGlass.TileSeams": true,
+            "🔍MagnifyGlass.TileModeKey": "r",
+            "🔍MagnifyGlass.ReferenceOpacity": 0.5,
+            "🔍MagnifyGlass.ReferenceBlendMode": "Normal",
+            "🔍MagnifyGlass.ReferenceKey": "w",
+            "🔍MagnifyGlass.StatsKey": "t",
+            "🔍MagnifyGlass.StatsInterval": 150,
+            "🔍MagnifyGlass.Exposure": 0,
+            "🔍MagnifyGlass.Gamma": 1,
+            "🔍MagnifyGlass.Contrast": 1,
+            "🔍MagnifyGlass.LevelsBlack": 0,
+            "🔍MagnifyGlass.LevelsWhite": 255,
+            "🔍MagnifyGlass.ClippingWarning": false,
+            "🔍MagnifyGlass.AdjustPresetKey": "e",
+            "🔍MagnifyGlass.AdjustResetKey": "0",
+        };
+
+        // Limits for values changed live with the mouse wheel
+        const WHEEL_ZOOM_MIN = 1.0;
+        const WHEEL_ZOOM_MAX = 10.0;
+        const WHEEL_SIZE_MIN = 50;
+        const WHEEL_SIZE_MAX = 1000;
+        const WHEEL_NOTCH_PX = 100; // Scrolled pixels per zoom/size step; a mouse notch is about this, trackpads send many small deltas
+        const WHEEL_LINE_PX = 40; // Pixels per line for wheel events in line mode (Firefox mouse wheels)
+        const WHEEL_PAGE_PX = 800; // Pixels per page for wheel events in page mode
+        const SPLIT_WHEEL_STEP = 0.05; // Split divider move per Ctrl/Cmd+wheel notch (fraction of the glass)
+        const ACTUAL_PIXELS_ZOOM_MIN = 0.1; // 1:1 zoom range; below 1 when an image is shown larger than its real size
+        const ACTUAL_PIXELS_ZOOM_MAX = 64;
+        const TILE_MODES = { "Off": 0, "2x2": 2, "3x3": 3 }; // Image copies per side in tile mode
+        const REFERENCE_BLEND_MODES = { "Normal": 0, "Difference": 1 }; // Onion-skin blend, as the shader's u_referenceBlend
+        const REFERENCE_NUDGE_FAST = 10; // Reference pixels per Shift+Ctrl+Arrow press
+        const HUD_DISPLAY_MS = 900; // How long the on-glass HUD stays visible
+        const PIXEL_GRID_MAX_ALPHA = 0.6; // Grid opacity once fully faded in
+        const SOURCE_UPLOAD_PADDING = 2; // Canvas pixels uploaded around the sampled region, for linear filtering
+        const FRAME_TIMING_SMOOTHING = 0.1; // Weight of the newest frame in the debug view's moving averages
+        const RENDERER_MODES = ["Auto", "WebGL", "Canvas 2D"]; // Auto uses Canvas 2D only when WebGL is unavailable
+        const CONTEXT_RESTORE_TIMEOUT_MS = 3000; // Auto mode falls back to Canvas 2D when a lost WebGL context stays lost
+        const OVERLAY_VIDEO_SYNC_TOLERANCE = 0.25; // Seconds a magnified video clone may drift before it is re-seeked
+        const OVERLAY_CANVAS_MAX_SIZE = 4096; // Largest drawing buffer side of a provider-drawn overlay canvas
+        const AUDIO_WAVEFORM_BARS = 200; // Peaks per waveform of magnified <audio> widgets
+        const AUDIO_PEAKS_RETRY_MS = 10000; // Wait before fetching an audio file whose waveform failed to load again
+        const SNAPSHOT_CAPTION_HEIGHT = 22; // Caption strip below snapshots, in CSS pixels (scaled with the snapshot's pixel ratio)
+        const LOUPE_MIN_SIZE = 50;
+        const CALLOUT_MIN_SIZE = 20; // Callouts scale with the canvas, so they may get small when zoomed out
+        const CALLOUT_MAX_SIZE = 2048;
+        const LOUPE_MAX_BUFFER_SIZE = 1024; // Largest loupe/callout drawing buffer side; larger loupes are upscaled by CSS
+        const CALLOUT_EXTRA_KEY = "magnifyGlass"; // Key in app.graph.extra holding the workflow callouts
+        const NAVIGATOR_ASPECT = 0.75; // Navigator panel height / width
+        const NAVIGATOR_PADDING = 8; // Navigator margin around the graph bounds, in panel pixels
+        const NAVIGATOR_ACCENT_COLOR = "#ffd400"; // Magnifier source rect in the navigator
+        const STATS_MAX_SAMPLES = 65536; // Larger regions are subsampled when computing statistics
+        const STATS_HISTOGRAM_WIDTH = 256;
+        const STATS_HISTOGRAM_HEIGHT = 64;
+        
+        // Reticle styles, mapped to the u_reticleStyle shader uniform
+        const RETICLE_STYLES = {
+            "None": 0,
+            "Crosshair": 1,
+            "Center Pixel Box": 2,
+            "Dot": 3,
+            "Crosshair + Box": 4,
+        };
+        
+        // Lens profiles, mapped to the u_lensProfile shader uniform
+        const LENS_PROFILES = {
+            "Flat": 0,
+            "Fisheye": 1,
+            "Bubble": 2,
+        };
+        
+        // A/B compare modes. Flicker is handled on the JS side by swapping which image is drawn.
+        const COMPARE_MODES = ["Off", "Split", "Flicker", "Difference"];
+        const COMPARE_SHADER_MODES = {
+            "Split": 1,
+            "Difference": 2,
+            "Native": 3, // Single full-resolution image, canvas around it
+            "Heatmap": 4, // Color-coded magnitude of the difference
+            "Vector": 5, // Graph re-rendered at glass resolution, shown over the canvas texel lattice
+        };
+        
+        // Display settings of the main LGraphCanvas that the vector-mode canvas copies before drawing
+        const VECTOR_CANVAS_SHARED_PROPS = [
+            "selected_nodes", "selectedItems", "links_render_mode", "render_shadows", "render_connections_border",
+            "render_curved_connections", "render_collapsed_slots", "highquality_render", "clear_background_color",
+            "background_image", "round_radius"
+        ];
+        
+        // Run history modes: a node's current image against one of its earlier outputs
+        const HISTORY_MODES = ["Off", "Split", "Flicker", "Heatmap"];
+
+        // Image adjustment presets cycled with AdjustPresetKey (levels in 0-255)
+        const ADJUST_PRESETS = [
+            { name: "Neutral", exposure: 0, gamma: 1, contrast: 1, levelsBlack: 0, levelsWhite: 255 },
+            { name: "Brighten +1 EV", exposure: 1, gamma: 1, contrast: 1, levelsBlack: 0, levelsWhite: 255 },
+            { name: "Shadow Detail", exposure: 2, gamma: 1.6, contrast: 1, levelsBlack: 0, levelsWhite: 255 },
+            { name: "Highlight Detail", exposure: -2, gamma: 1, contrast: 1, levelsBlack: 0, levelsWhite: 255 },
+            { name: "High Contrast", exposure: 0, gamma: 1, contrast: 2, levelsBlack: 0, levelsWhite: 255 },
+            { name: "Banding Finder", exposure: 0, gamma: 1, contrast: 3, levelsBlack: 32, levelsWhite: 224 },
+        ];
+        
+        // Channel views, each compiled as its own fragment shader variant: the body of
+        // vec4 applyChannelView(vec4 color, vec2 fragPx), called before the grid and reticle
+        const CHANNEL_VIEWS = {
+            "RGB": "return color;",
+            "Red": "return vec4(color.rrr, 1.0);",
+            "Green": "return vec4(color.ggg, 1.0);",
+            "Blue": "return vec4(color.bbb, 1.0);",
+            "Alpha": "return vec4(color.aaa, 1.0);",
+            "Luminance": "return vec4(vec3(dot(color.rgb, vec3(0.2126, 0.7152, 0.0722))), 1.0);",
+            "RGB over Checkerboard": `
+                vec2 cell = floor(fragPx / 8.0);
+                float checker = mod(cell.x + cell.y, 2.0) < 1.0 ? 0.8 : 0.55;
+                return vec4(mix(vec3(checker), color.rgb, color.a), 1.0);`,
+        };
+        // Views that show alpha. Only node images have any: the LiteGraph canvas is opaque, so over it they draw RGB.
+        const ALPHA_CHANNEL_VIEWS = ["Alpha", "RGB over Checkerboard"];
+
+        // Color vision deficiency simulation, applied to linear RGB (rows: output R, G, B).
+        // Dichromacies are Machado, Oliveira & Fernandes (2009) at full severity.
+        const COLOR_VISION_MATRICES = {
+            "Normal": null,
+            "Protanopia": [
+                0.152286, 1.052583, -0.204868,
+                0.114503, 0.786281, 0.099216,
+                -0.003882, -0.048116, 1.051998
+            ],
+            "Deuteranopia": [
+                0.367322, 0.860646, -0.227968,
+                0.280085, 0.672501, 0.047413,
+                -0.011820, 0.042940, 0.968881
+            ],
+            "Tritanopia": [
+                1.255528, -0.076749, -0.178779,
+                -0.078411, 0.930809, 0.147602,
+                0.004733, 0.691367, 0.303900
+            ],
+            "Achromatopsia": [
+                0.2126, 0.7152, 0.0722,
+                0.2126, 0.7152, 0.0722,
+                0.2126, 0.7152, 0.0722
+            ],
+        };
+        
+        // Row-major 3x3 -> column-major, as uniformMatrix3fv needs (WebGL 1 cannot transpose on upload)
+        const transposeMatrix3 = (m) => [m[0], m[3], m[6], m[1], m[4], m[7], m[2], m[5], m[8]];
+        
+        // Filter chain passes run after the main pass, each reading the previous pass from u_image.
+        // The header is prepended to built-in passes, and to custom shaders that declare no precision.
+        const FILTER_SHADER_HEADER = `
+            #ifdef GL_FRAGMENT_PRECISION_HIGH
+            precision highp float;
+            #else
+            precision mediump float;
+            #endif
+            varying vec2 v_texCoord;   // 0-1, origin at the bottom-left
+            uniform sampler2D u_image; // Output of the previous pass
+            uniform vec2 u_resolution; // Pass size in pixels
+        `;
+        const CUSTOM_FILTER_NAME = "Custom";
+        const FILTER_PASSES = {
+            "Passthrough": `
+            void main() {
+                gl_FragColor = texture2D(u_image, v_texCoord);
+            }`,
+            "Sharpen": `
+            void main() {
+                vec2 texel = 1.0 / u_resolution;
+                vec4 center = texture2D(u_image, v_texCoord);
+                vec3 neighbors = texture2D(u_image, v_texCoord + vec2(texel.x, 0.0)).rgb
+                    + texture2D(u_image, v_texCoord - vec2(texel.x, 0.0)).rgb
+                    + texture2D(u_image, v_texCoord + vec2(0.0, texel.y)).rgb
+                    + texture2D(u_image, v_texCoord - vec2(0.0, texel.y)).rgb;
+                gl_FragColor = vec4(clamp(center.rgb * 5.0 - neighbors, 0.0, 1.0), center.a);
+            }`,
+            "Blur": `
+            void main() {
+                vec2 texel = 1.0 / u_resolution;
+                vec4 sum = vec4(0.0);
+                for (int y = -1; y <= 1; y++) {
+                    for (int x = -1; x <= 1; x++) {
+                        float weight = (x == 0 ? 2.0 : 1.0) * (y == 0 ? 2.0 : 1.0);
+                        sum += texture2D(u_image, v_texCoord + vec2(float(x), float(y)) * texel) * weight;
+                    }
+                }
+                gl_FragColor = sum / 16.0;
+            }`,
+            "Edge Detect": `
+            float lumaAt(float x, float y) {
+                vec3 rgb = texture2D(u_image, v_texCoord + vec2(x, y) / u_resolution).rgb;
+                return dot(rgb, vec3(0.2126, 0.7152, 0.0722));
+            }
+            void main() {
+                // Sobel operator on luminance
+                float gx = lumaAt(1.0, 1.0) + 2.0 * lumaAt(1.0, 0.0) + lumaAt(1.0, -1.0)
+                    - lumaAt(-1.0, 1.0) - 2.0 * lumaAt(-1.0, 0.0) - lumaAt(-1.0, -1.0);
+                float gy = lumaAt(-1.0, 1.0) + 2.0 * lumaAt(0.0, 1.0) + lumaAt(1.0, 1.0)
+                    - lumaAt(-1.0, -1.0) - 2.0 * lumaAt(0.0, -1.0) - lumaAt(1.0, -1.0);
+                gl_FragColor = vec4(vec3(clamp(length(vec2(gx, gy)), 0.0, 1.0)), 1.0);
+            }`,
+            "Invert": `
+            void main() {
+                vec4 color = texture2D(u_image, v_texCoord);
+                gl_FragColor = vec4(1.0 - color.rgb, color.a);
+            }`,
         };
+        // Every name the chain accepts: the passes above, each channel view, and the custom shader
+        const FILTER_NAMES = [...Object.keys(FILTER_PASSES), ...Object.keys(CHANNEL_VIEWS), CUSTOM_FILTER_NAME];
 
         // Function to safely get settings values
         const getSettingValue = (key, defaultValue) => {
@@ -41,6 +369,462 @@ app.registerExtension({
             }
         };
         
+        // Key settings that act while the magnifier is active, by setting id. One key bound to two of them fires both.
+        const KEY_SETTINGS = {
+            "🔍MagnifyGlass.ActivationKey": "Activation Key",
+            "🔍MagnifyGlass.ResetKey": "Reset Offset Key",
+            "🔍MagnifyGlass.ToggleFollowCursorKey": "Toggle Follow Key",
+            "🔍MagnifyGlass.ColorProbeKey": "Color Probe Key",
+            "🔍MagnifyGlass.ColorCopyKey": "Copy Color Key",
+            "🔍MagnifyGlass.CompareModeKey": "Cycle Compare Mode Key",
+            "🔍MagnifyGlass.SnapshotKey": "Snapshot Key",
+            "🔍MagnifyGlass.PinKey": "Pin Loupe Key",
+            "🔍MagnifyGlass.ActualPixelsKey": "100% Actual Pixels Key",
+            "🔍MagnifyGlass.StatsKey": "Region Statistics Key",
+            "🔍MagnifyGlass.ChannelViewKey": "Cycle Channel View Key",
+            "🔍MagnifyGlass.AdjustPresetKey": "Cycle Adjustment Preset Key",
+            "🔍MagnifyGlass.AdjustResetKey": "Reset Adjustments Key",
+            "🔍MagnifyGlass.ColorVisionKey": "Cycle Color Vision Key",
+            "🔍MagnifyGlass.TileModeKey": "Cycle Tile Mode Key",
+            "🔍MagnifyGlass.ReferenceKey": "Reference Toggle Key",
+            "🔍MagnifyGlass.HistoryModeKey": "Cycle Run History Mode Key",
+            "🔍MagnifyGlass.HistoryBackKey": "Older Run Key",
+            "🔍MagnifyGlass.HistoryForwardKey": "Newer Run Key",
+        };
+        
+        // Warn when a key setting gets a key another key setting already uses; returns whether it did
+        const warnKeyConflict = (settingId, key) => {
+            const lowerKey = String(key).toLowerCase();
+            const other = Object.keys(KEY_SETTINGS).find(id => id !== settingId &&
+                String(getSettingValue(id, DEFAULT_SETTINGS[id])).toLowerCase() === lowerKey);
+            if (!other) return false;
+            
+            const message = `"${lowerKey.toUpperCase()}" is both the ${KEY_SETTINGS[settingId]} and the ${KEY_SETTINGS[other]}, so pressing it triggers both.`;
+            console.warn(`ComfyUI Magnifying Glass: Key conflict: ${message}`);
+            if (app.extensionManager && app.extensionManager.toast) {
+                app.extensionManager.toast.add({ severity: "warn", summary: "Magnify Glass key conflict", detail: message, life: 6000 });
+            }
+            return true;
+        };
+        
+        // Color helpers for the pixel probe
+        const rgbToHex = (r, g, b) => {
+            return "#" + [r, g, b].map(c => c.toString(16).padStart(2, "0")).join("").toUpperCase();
+        };
+        
+        const rgbToHsv = (r, g, b) => {
+            const rn = r / 255, gn = g / 255, bn = b / 255;
+            const max = Math.max(rn, gn, bn);
+            const min = Math.min(rn, gn, bn);
+            const d = max - min;
+            let h = 0;
+            if (d !== 0) {
+                if (max === rn) h = ((gn - bn) / d) % 6;
+                else if (max === gn) h = (bn - rn) / d + 2;
+                else h = (rn - gn) / d + 4;
+                h *= 60;
+                if (h < 0) h += 360;
+            }
+            return { h: Math.round(h), s: Math.round(max === 0 ? 0 : (d / max) * 100), v: Math.round(max * 100) };
+        };
+        
+        // "#rrggbb" (or "rrggbb", as some settings UIs store it) to normalized [r, g, b]
+        const hexToRgbFloat = (hex, fallback = [0, 0, 0]) => {
+            const match = /^#?([0-9a-f]{6})$/i.exec((hex || "").trim());
+            if (!match) return fallback;
+            const value = parseInt(match[1], 16);
+            return [((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255];
+        };
+        
+        // Histograms and min/max/mean/std of R, G, B and Rec. 709 luma for RGBA bytes
+        const computeChannelStats = (pixels) => {
+            const pixelCount = pixels.length / 4;
+            const stride = Math.max(1, Math.ceil(pixelCount / STATS_MAX_SAMPLES));
+            const channels = ["r", "g", "b", "l"];
+            const histograms = {};
+            const sums = {};
+            const sumsOfSquares = {};
+            const mins = {};
+            const maxs = {};
+            for (const channel of channels) {
+                histograms[channel] = new Uint32Array(256);
+                sums[channel] = 0;
+                sumsOfSquares[channel] = 0;
+                mins[channel] = 255;
+                maxs[channel] = 0;
+            }
+            
+            let samples = 0;
+            for (let i = 0; i < pixelCount; i += stride) {
+                const offset = i * 4;
+                const values = {
+                    r: pixels[offset],
+                    g: pixels[offset + 1],
+                    b: pixels[offset + 2]
+                };
+                values.l = Math.round(0.2126 * values.r + 0.7152 * values.g + 0.0722 * values.b);
+                for (const channel of channels) {
+                    const value = values[channel];
+                    histograms[channel][value]++;
+                    sums[channel] += value;
+                    sumsOfSquares[channel] += value * value;
+                    if (value < mins[channel]) mins[channel] = value;
+                    if (value > maxs[channel]) maxs[channel] = value;
+                }
+                samples++;
+            }
+            if (samples === 0) return null;
+            
+            const stats = { samples, pixelCount, histograms, channels: {} };
+            for (const channel of channels) {
+                const mean = sums[channel] / samples;
+                stats.channels[channel] = {
+                    min: mins[channel],
+                    max: maxs[channel],
+                    mean,
+                    std: Math.sqrt(Math.max(0, sumsOfSquares[channel] / samples - mean * mean))
+                };
+            }
+            return stats;
+        };
+        
+        const formatColor = (color, format) => {
+            switch (format) {
+                case "RGB":
+                    return color.a < 255 ? `rgba(${color.r}, ${color.g}, ${color.b}, ${(color.a / 255).toFixed(2)})` : `rgb(${color.r}, ${color.g}, ${color.b})`;
+                case "HSV": {
+                    const hsv = rgbToHsv(color.r, color.g, color.b);
+                    return `hsv(${hsv.h}, ${hsv.s}%, ${hsv.v}%)`;
+                }
+                default: // Hex
+                    return rgbToHex(color.r, color.g, color.b);
+            }
+        };
+        
+        // Image shown by a node: the preview in node.imgs, or an IMG element of a DOM widget
+        const getNodeImageSource = (node) => {
+            if (!node) return null;
+            if (node.imgs && node.imgs.length) {
+                const img = node.imgs[node.imageIndex ?? 0] || node.imgs[0];
+                return img && img.naturalWidth ? { img, element: null } : null;
+            }
+            if (node.widgets) {
+                for (const widget of node.widgets) {
+                    if (!widget.element) continue;
+                    const img = widget.element.tagName === 'IMG' ? widget.element : widget.element.querySelector('img');
+                    if (img && img.naturalWidth) return { img, element: img };
+                }
+            }
+            return null;
+        };
+        
+        // Top of the image area inside a node (graph units, relative to node.pos), as ComfyUI computes it
+        const getNodeImageTop = (node) => {
+            if (node.imageOffset != null) return node.imageOffset;
+            if (node.widgets && node.widgets.length) {
+                const lastWidget = node.widgets[node.widgets.length - 1];
+                let top = lastWidget.last_y || 0;
+                if (lastWidget.computeSize) {
+                    top += lastWidget.computeSize()[1] + 4;
+                } else if (lastWidget.computedHeight) {
+                    top += lastWidget.computedHeight;
+                } else {
+                    top += LiteGraph.NODE_WIDGET_HEIGHT + 4;
+                }
+                return top;
+            }
+            return node.computeSize ? node.computeSize()[1] : 0;
+        };
+        
+        // Drawing buffer pixels per CSS pixel; WebGL views are sized by it so they stay sharp on HiDPI displays
+        const getPixelRatio = () => window.devicePixelRatio || 1;
+        
+        // Integer rect of a source canvas region, clipped to the canvas and at least 1x1 (the whole canvas without a region)
+        const clipToCanvas = (canvas, region) => {
+            if (!region) return { x: 0, y: 0, width: canvas.width, height: canvas.height };
+            const x = Math.min(Math.max(0, Math.floor(region.x)), canvas.width - 1);
+            const y = Math.min(Math.max(0, Math.floor(region.y)), canvas.height - 1);
+            return {
+                x,
+                y,
+                width: Math.max(1, Math.min(canvas.width, Math.ceil(region.x + region.width)) - x),
+                height: Math.max(1, Math.min(canvas.height, Math.ceil(region.y + region.height)) - y)
+            };
+        };
+        
+        // Grid opacity: fades in from PixelGridMinZoom to 1.5x that, based on glass (CSS) pixels per source pixel
+        const getPixelGridAlpha = (config, effectiveZoom) => {
+            if (!config.pixelGrid || !isFinite(effectiveZoom)) return 0;
+            const minZoom = config.pixelGridMinZoom;
+            const fade = (effectiveZoom - minZoom) / (minZoom * 0.5);
+            return Math.min(1, Math.max(0, fade)) * PIXEL_GRID_MAX_ALPHA;
+        };
+        
+        // The widget's element if it is a tagName element, otherwise its first tagName descendant
+        const findWidgetElement = (widget, tagName) => {
+            const element = widget.element;
+            if (!element) return null;
+            if (element.tagName === tagName) return element;
+            return element.querySelector ? element.querySelector(tagName.toLowerCase()) : null;
+        };
+        
+        // Text fields are mirrored by a div that draws the text with the selection and caret, since a cloned
+        // field cannot show either without focus. It copies the field's text layout.
+        const textMirrorState = new WeakMap(); // Mirror -> last drawn { text, focused, selectionStart, selectionEnd }
+        const createTextMirror = (element) => {
+            const mirror = document.createElement("div");
+            mirror.className = "comfyui-magnify-text-mirror";
+            const style = window.getComputedStyle(element);
+            for (const property of ["boxSizing", "fontFamily", "fontSize", "fontWeight", "fontStyle", "lineHeight",
+                                    "letterSpacing", "textAlign", "tabSize", "paddingTop", "paddingRight", "paddingBottom", "paddingLeft"]) {
+                mirror.style[property] = style[property];
+            }
+            mirror.style.backgroundColor = element.style.backgroundColor || '#222';
+            mirror.style.color = element.style.color || '#DDD';
+            mirror.style.border = element.style.border || '1px solid #555';
+            mirror.style.overflow = "hidden";
+            mirror.style.whiteSpace = element.tagName === 'TEXTAREA' ? "pre-wrap" : "pre";
+            mirror.style.overflowWrap = "break-word";
+            mirror.style.setProperty("--caret-color", style.caretColor !== "auto" ? style.caretColor : style.color);
+            return mirror;
+        };
+        const syncTextMirror = (mirror, element) => {
+            const text = element.value || "";
+            const focused = document.activeElement === element;
+            const selectionStart = focused ? element.selectionStart : null;
+            const selectionEnd = focused ? element.selectionEnd : null;
+            
+            const last = textMirrorState.get(mirror);
+            if (!last || last.text !== text || last.focused !== focused ||
+                last.selectionStart !== selectionStart || last.selectionEnd !== selectionEnd) {
+                textMirrorState.set(mirror, { text, focused, selectionStart, selectionEnd });
+                
+                const parts = [];
+                if (focused && selectionStart != null) {
+                    parts.push(document.createTextNode(text.slice(0, selectionStart)));
+                    if (selectionEnd > selectionStart) {
+                        const selected = document.createElement("span");
+                        selected.style.backgroundColor = "rgba(80, 140, 255, 0.5)";
+                        selected.textContent = text.slice(selectionStart, selectionEnd);
+                        parts.push(selected);
+                    } else {
+                        const caret = document.createElement("span");
+                        caret.style.borderLeft = "1px solid var(--caret-color)";
+                        caret.style.marginRight = "-1px";
+                        parts.push(caret);
+                    }
+                    parts.push(document.createTextNode(text.slice(selectionEnd)));
+                } else {
+                    parts.push(document.createTextNode(text));
+                }
+                // Without a character after it, a trailing newline does not get a line of its own
+                if (text.endsWith("\n")) parts.push(document.createTextNode("\u200b"));
+                mirror.replaceChildren(...parts);
+            }
+            
+            // Assigning the same scroll offset is a no-op, so this only moves on real scrolling
+            mirror.scrollTop = element.scrollTop;
+            mirror.scrollLeft = element.scrollLeft;
+        };
+        
+        // Waveform peaks (0-1) per audio URL, decoded once in the background: null while decoding,
+        // { failedAt } after a failed fetch or decode, which is retried after AUDIO_PEAKS_RETRY_MS
+        const audioPeaks = new Map();
+        const loadAudioPeaks = (src) => {
+            const entry = audioPeaks.get(src);
+            if (entry instanceof Float32Array) return entry;
+            if (entry === null) return null; // Still loading
+            if (entry && performance.now() - entry.failedAt < AUDIO_PEAKS_RETRY_MS) return null;
+            audioPeaks.set(src, null);
+            fetch(src)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+                    return response.arrayBuffer();
+                })
+                .then(buffer => new OfflineAudioContext(1, 1, 44100).decodeAudioData(buffer))
+                .then(audio => {
+                    const samples = audio.getChannelData(0);
+                    const bucketSize = Math.max(1, Math.floor(samples.length / AUDIO_WAVEFORM_BARS));
+                    const peaks = new Float32Array(AUDIO_WAVEFORM_BARS);
+                    for (let bar = 0; bar < AUDIO_WAVEFORM_BARS; bar++) {
+                        const end = Math.min(samples.length, (bar + 1) * bucketSize);
+                        for (let i = bar * bucketSize; i < end; i++) peaks[bar] = Math.max(peaks[bar], Math.abs(samples[i]));
+                    }
+                    audioPeaks.set(src, peaks);
+                })
+                .catch(e => {
+                    audioPeaks.set(src, { failedAt: performance.now() });
+                    console.warn("ComfyUI Magnifying Glass: Could not load audio for the waveform:", e);
+                });
+            return null;
+        };
+        // One buffer pixel per CSS pixel of the magnified clone; context.scale already includes the canvas pixel ratio
+        const drawAudioWaveform = (canvas, audio, context) => {
+            const width = Math.min(OVERLAY_CANVAS_MAX_SIZE, Math.max(1, Math.round(context.width * context.scale)));
+            const height = Math.min(OVERLAY_CANVAS_MAX_SIZE, Math.max(1, Math.round(context.height * context.scale)));
+            if (canvas.width !== width || canvas.height !== height) {
+                canvas.width = width;
+                canvas.height = height;
+            }
+            
+            const ctx = canvas.getContext("2d");
+            ctx.fillStyle = "#222";
+            ctx.fillRect(0, 0, width, height);
+            const src = audio.currentSrc || audio.src;
+            const peaks = src ? loadAudioPeaks(src) : null;
+            const middle = height / 2;
+            ctx.fillStyle = "#8ab4f8";
+            if (peaks) {
+                const barWidth = width / peaks.length;
+                peaks.forEach((peak, bar) => {
+                    const barHeight = Math.max(1, peak * height * 0.9);
+                    ctx.fillRect(bar * barWidth, middle - barHeight / 2, Math.max(1, barWidth - 1), barHeight);
+                });
+            } else {
+                ctx.fillRect(0, middle - 0.5, width, 1); // Flat line until decoded
+            }
+            if (audio.duration > 0) {
+                ctx.fillStyle = "#ffffff";
+                ctx.fillRect((audio.currentTime / audio.duration) * width - 1, 0, 2, height);
+            }
+        };
+        
+        // Any other DOM widget (markdown previews, Vue-based widgets): a deep copy, redone when the widget's DOM changes
+        const domCloneState = new WeakMap(); // Wrapper -> { dirty, observer }
+        
+        // Built-in overlay providers, in the order they are asked
+        const BUILTIN_OVERLAY_PROVIDERS = [
+            {
+                name: "Text",
+                priority: -1,
+                claim: (widget) => widget.element && (widget.type === "text" || widget.type === "string" || widget.element.tagName === 'TEXTAREA') ? widget.element : null,
+                create: (element) => createTextMirror(element),
+                update: (mirror, element) => syncTextMirror(mirror, element),
+            },
+            {
+                name: "Video",
+                priority: -1,
+                claim: (widget) => findWidgetElement(widget, "VIDEO"),
+                create: (element) => {
+                    const clone = element.cloneNode(true);
+                    clone.muted = true;
+                    clone.autoplay = false;
+                    clone.loop = element.loop;
+                    clone.preload = element.preload;
+                    clone.crossOrigin = element.crossOrigin;
+                    clone.src = element.src;
+                    clone.currentTime = element.currentTime;
+                    return clone;
+                },
+                update: (clone, element) => {
+                    if (clone.src !== element.src) clone.src = element.src;
+                    // Seeking restarts decoding, so only correct drift
+                    if (Math.abs(clone.currentTime - element.currentTime) > OVERLAY_VIDEO_SYNC_TOLERANCE) {
+                        clone.currentTime = element.currentTime;
+                    }
+                    if (clone.playbackRate !== element.playbackRate) clone.playbackRate = element.playbackRate;
+                    if (element.paused && !clone.paused) {
+                        clone.pause();
+                    } else if (!element.paused && clone.paused) {
+                        clone.play().catch(e => console.warn("Magnify Glass: Cloned video play failed", e));
+                    }
+                },
+                remove: (clone) => clone.pause(),
+            },
+            {
+                name: "Image",
+                priority: -1,
+                claim: (widget) => findWidgetElement(widget, "IMG"),
+                create: (element) => element.cloneNode(true),
+                update: (clone, element) => {
+                    if (clone.src !== element.src) clone.src = element.src;
+                    if (clone.alt !== element.alt) clone.alt = element.alt;
+                },
+            },
+            {
+                // Widgets drawing into their own canvas (3D viewers, mask and paint widgets, waveforms), copied every
+                // frame. A WebGL canvas without preserveDrawingBuffer may read back empty outside its own frame.
+                name: "Canvas",
+                priority: -1,
+                claim: (widget) => findWidgetElement(widget, "CANVAS"),
+                create: () => document.createElement("canvas"),
+                update: (clone, element) => {
+                    if (!element.width || !element.height) return;
+                    if (clone.width !== element.width || clone.height !== element.height) {
+                        clone.width = element.width;
+                        clone.height = element.height;
+                    }
+                    const ctx = clone.getContext("2d");
+                    ctx.clearRect(0, 0, clone.width, clone.height);
+                    ctx.drawImage(element, 0, 0);
+                },
+            },
+            {
+                // The browser's audio controls do not magnify; draw the waveform with the playhead instead
+                name: "Audio waveform",
+                priority: -1,
+                claim: (widget) => findWidgetElement(widget, "AUDIO"),
+                create: () => document.createElement("canvas"),
+                update: (clone, element, context) => drawAudioWaveform(clone, element, context),
+            },
+            {
+                name: "DOM",
+                priority: -2,
+                claim: (widget) => widget.element instanceof HTMLElement ? widget.element : null,
+                create: (element) => {
+                    const wrapper = document.createElement("div");
+                    wrapper.style.overflow = "hidden";
+                    const state = { dirty: true, observer: null };
+                    // The element's own inline style is its placement on the page, which the copy replaces anyway
+                    state.observer = new MutationObserver((records) => {
+                        if (records.some(record => record.target !== element || record.attributeName !== "style")) state.dirty = true;
+                    });
+                    state.observer.observe(element, { childList: true, subtree: true, characterData: true, attributes: true });
+                    domCloneState.set(wrapper, state);
+                    return wrapper;
+                },
+                update: (wrapper, element) => {
+                    const state = domCloneState.get(wrapper);
+                    if (state.dirty) {
+                        state.dirty = false;
+                        const copy = element.cloneNode(true);
+                        // The widget's own placement on the page does not apply inside the glass
+                        Object.assign(copy.style, { position: "static", left: "", top: "", transform: "none", width: "100%", height: "100%" });
+                        wrapper.replaceChildren(copy);
+                    }
+                    wrapper.firstChild.scrollTop = element.scrollTop;
+                },
+                remove: (wrapper) => domCloneState.get(wrapper).observer.disconnect(),
+            },
+        ];
+        BUILTIN_OVERLAY_PROVIDERS.forEach(registerOverlayProvider);
+        
+        // A callout from a workflow's extra data: finite numbers everywhere, a non-empty region and a positive size
+        const isValidCallout = (callout) => {
+            if (!callout || typeof callout !== "object") return false;
+            const pair = (value) => Array.isArray(value) && value.length === 2 && value.every(Number.isFinite);
+            return pair(callout.anchor) && pair(callout.region) && pair(callout.offset) &&
+                   callout.region[0] > 0 && callout.region[1] > 0 &&
+                   Number.isFinite(callout.size) && callout.size > 0;
+        };
+        
+        // Largest rect with the image's aspect ratio centered inside a box (object-fit: contain)
+        const fitImageInRect = (img, rect, allowUpscale = true) => {
+            const w = img.naturalWidth;
+            const h = img.naturalHeight;
+            if (!w || !h || rect.width <= 0 || rect.height <= 0) return null;
+            let scale = Math.min(rect.width / w, rect.height / h);
+            if (!allowUpscale) scale = Math.min(scale, 1);
+            const fitWidth = w * scale;
+            const fitHeight = h * scale;
+            return {
+                x: rect.x + (rect.width - fitWidth) / 2,
+                y: rect.y + (rect.height - fitHeight) / 2,
+                width: fitWidth,
+                height: fitHeight
+            };
+        };
+        
         // Main MagnifyGlass class
         class MagnifyGlass {
             constructor() {
@@ -56,6 +840,48 @@ app.registerExtension({
                 
                 // Last known mouse position for better initial positioning
                 this.lastKnownMousePosition = { x: 0, y: 0 };
+                
+                // Debounced write-back of wheel-adjusted values to the settings store
+                this.pendingSettingWrites = {};
+                this.settingWriteTimeout = null;
+                
+                // Timer that re-renders the glass when the A/B flicker flips
+                this.flickerTimeout = null;
+                
+                // Pinned loupes, each anchored to a point in graph coordinates
+                this.loupes = [];
+                this.nextLoupeId = 1;
+                
+                // Live refresh on LiteGraph redraws, capped at LiveRefreshFps
+                this.lastLiveRefresh = 0;
+                this.liveRefreshTimeout = null;
+                this.liveRefreshQueued = false;
+                this.liveRefreshTransformKey = null;
+                this.canvasDrawHook = null;
+                this.originalOnDrawForeground = null;
+                
+                // Navigator: graph -> panel pixel mapping of the last frame, frozen while dragging the viewport
+                this.navigatorState = new MagnifierState();
+                this.navigatorMap = null;
+                this.navigatorDragMap = null;
+                this.navigatorViewKey = null; // Canvas transform the navigator's viewport image was drawn at
+                
+                // Last image adjustment preset applied with AdjustPresetKey (0 = Neutral)
+                this.adjustPresetIndex = 0;
+                
+                // Region statistics readback is throttled to StatsInterval
+                this.lastStatsUpdate = 0;
+                this.statsTimeout = null;
+                
+                // Images of the last HistoryLength runs per output node id, newest first: [{ urls, images, time }]
+                this.imageHistory = new Map();
+                
+                // Vector mode: a second LGraphCanvas over the same graph, drawing offscreen at glass resolution
+                this.vectorCanvas = null;
+                this.vectorRenderingFailed = false;
+                
+                // Auto renderer mode: Canvas 2D fallback if a lost WebGL context is not restored in time
+                this.contextRestoreTimeout = null;
             }
             
             init() {
@@ -75,10 +901,10 @@ app.registerExtension({
                 // Create UI elements (now depends on config potentially updated by settings)
                 this.ui.createElements();
                 
-                // Setup WebGL renderer
-                this.renderer = new WebGLRenderer(this.config, this.state, this.ui);
-                if (!this.renderer.isValid()) {
-                    this.ui.cleanup();
+                // Setup the renderer (WebGL, or Canvas 2D when WebGL is unavailable or forced from the settings)
+                this.renderer = this.createRenderer();
+                if (!this.renderer) {
+                    this.cleanup();
                     return;
                 }
                 
@@ -87,14 +913,81 @@ app.registerExtension({
                 this.debugger.log("LiteGraph canvas found:", this.litegraphCanvas);
                 if (!this.litegraphCanvas) {
                     this.debugger.error("Could not find LiteGraph canvas. Magnifier will not work.");
-                    this.ui.cleanup();
+                    this.cleanup();
                     return;
                 }
                 
                 // Attach event handlers
                 this.eventHandler.attachListeners();
+                this.hookCanvasDraw();
+                this.watchPixelRatio();
+                
+                // Show callouts of the workflow that was loaded before the magnifier was ready
+                this.restoreCallouts();
+                this.updateNavigatorVisibility();
+                
+                // Add A/B compare entries to the node context menu
+                this.registerNodeMenuOptions();
+                
+                // Record node outputs for the run history modes
+                api.addEventListener("executed", (e) => this.recordExecutedImages(e.detail));
         
-                this.debugger.log(`Initialized (WebGL). Hold ${this.config.altRequired ? 'Alt+' : ''}${this.config.activationKey.toUpperCase()} to activate. Arrow keys to adjust offset, R to reset.`);
+                this.debugger.log(`Initialized (${this.renderer.name}). Hold ${this.config.altRequired ? 'Alt+' : ''}${this.config.activationKey.toUpperCase()} to activate. Arrow keys to adjust offset, R to reset.`);
+            }
+            
+            // Renderer for a Renderer setting value; null when WebGL is forced but unavailable
+            createRenderer(mode = this.config.rendererMode) {
+                if (mode !== "Canvas 2D") {
+                    const renderer = new WebGLRenderer(this.config, this.state, this.ui);
+                    if (renderer.isValid()) {
+                        renderer.onContextLost = () => this.handleContextLost();
+                        renderer.onContextRestored = () => this.handleContextRestored();
+                        this.debugger.log("Using the WebGL renderer.");
+                        return renderer;
+                    }
+                    renderer.destroy();
+                    if (mode === "WebGL") return null;
+                    console.warn("ComfyUI Magnifying Glass: WebGL is unavailable, using the Canvas 2D renderer.");
+                }
+                
+                const renderer = new Canvas2DRenderer(this.config, this.state, this.ui);
+                if (!renderer.isValid()) return null;
+                this.debugger.log("Using the Canvas 2D renderer.");
+                return renderer;
+            }
+            
+            // Replace the renderer. Views keep their 2D canvases: WebGL draws on its own offscreen surface.
+            switchRenderer(mode = this.config.rendererMode) {
+                if (!this.litegraphCanvas) return; // init() creates the renderer once it is ready
+                clearTimeout(this.contextRestoreTimeout);
+                this.contextRestoreTimeout = null;
+                if (this.renderer) this.renderer.destroy();
+                this.renderer = this.createRenderer(mode);
+                if (!this.renderer) {
+                    console.error(`ComfyUI Magnifying Glass ERROR: Could not create the ${mode} renderer.`);
+                }
+                this.state.hasRendered = false;
+                this.updateMagnifiedView();
+            }
+            
+            // The WebGL renderer rebuilds itself if the browser restores the context. In Auto mode, switch to
+            // Canvas 2D when that does not happen soon, so the magnifier keeps working.
+            handleContextLost() {
+                this.state.hasRendered = false;
+                if (this.state.active) this.ui.showHud("WebGL context lost");
+                clearTimeout(this.contextRestoreTimeout);
+                this.contextRestoreTimeout = null;
+                if (this.config.rendererMode !== "Auto") return;
+                this.contextRestoreTimeout = setTimeout(() => {
+                    console.warn("ComfyUI Magnifying Glass: WebGL context was not restored, switching to the Canvas 2D renderer.");
+                    this.switchRenderer("Canvas 2D");
+                }, CONTEXT_RESTORE_TIMEOUT_MS);
+            }
+            
+            handleContextRestored() {
+                clearTimeout(this.contextRestoreTimeout);
+                this.contextRestoreTimeout = null;
+                this.updateMagnifiedView();
             }
             
             findLiteGraphCanvas() {
@@ -105,7 +998,7 @@ app.registerExtension({
             }
             
             updateMagnifiedView() {
-                if (!this.state.active || !this.renderer || !this.litegraphCanvas) {
+                if ((!this.state.active && !this.hasBackgroundViews()) || !this.renderer || !this.litegraphCanvas) {
                     //this.debugger.log("updateMagnifiedView skipped: not active, no renderer, or no litegraphCanvas."); // Too noisy
                     return;
                 }
@@ -114,28 +1007,123 @@ app.registerExtension({
                 this.updateCanvasTransformation();
                 
                 // Calculate the source region
-                this.calculateSourceRegion();
+                if (this.state.active) {
+                    this.calculateSourceRegion();
+                    if (this.state.actualPixels) this.applyActualPixelsZoom();
+                }
                 
                 // Schedule the rendering operation if not already scheduled
                 if (!this.state.isRenderScheduled) {
                     this.state.isRenderScheduled = true;
                     requestAnimationFrame(() => {
-                        if (!this.state.active || !this.renderer || !this.litegraphCanvas) { // Re-check before actual rendering
-                            this.state.isRenderScheduled = false;
-                            return;
-                        }
-                        // Render the magnified view
-                        this.renderer.render(this.litegraphCanvas);
-                        
-                        // Update debug visualization
-                        this.debugger.updateDebugView();
-
-                        // Render HTML overlays
-                        this.renderHtmlOverlays();
-
                         this.state.isRenderScheduled = false; // Reset the flag
+                        this.renderFrame();
+                    });
+                }
+            }
+            
+            // Pinned loupes and the navigator are drawn while the glass is inactive too
+            hasBackgroundViews() {
+                return this.loupes.length > 0 || this.config.navigator;
+            }
+            
+            // Render pinned loupes, the navigator and the live glass from a single texture upload
+            renderFrame() {
+                if ((!this.state.active && !this.hasBackgroundViews()) || !this.renderer || !this.litegraphCanvas) { // Re-check before actual rendering
+                    return;
+                }
+                if (!this.renderer.isValid()) return; // WebGL context lost, drawn again once restored
+                const frameStart = performance.now();
+                if (this.hasBackgroundViews()) this.updateCanvasTransformation();
+                if (!this.renderer.uploadSource(this.litegraphCanvas, this.getSourceUploadRegion())) return;
+                const uploadMs = performance.now() - frameStart;
+                
+                // Every view (pinned loupes, the navigator, the live glass) has its own canvas, drawn from the shared upload
+                if (this.hasBackgroundViews()) {
+                    if (this.loupes.length) this.renderPinnedLoupes();
+                    if (this.config.navigator) this.renderNavigator();
+                }
+                if (!this.state.active) {
+                    this.state.hasRendered = false; // The hidden glass canvas keeps an outdated frame
+                    return;
+                }
+                
+                // Render the magnified view (A/B images replace the canvas when comparing,
+                // otherwise an image under the glass is sampled at its full resolution)
+                const compare = this.calculateCompareRegion() || this.calculateHistoryRegion();
+                this.state.compareActive = !!compare;
+                this.state.compareMode = compare ? compare.mode : null;
+                const nativeImage = compare ? null : this.calculateNativeImageRegion();
+                this.state.nativeImage = nativeImage;
+                const vectorView = compare || nativeImage ? null : this.renderVectorSource();
+                this.renderer.drawFiltered(this.state, compare || nativeImage || vectorView);
+                this.state.hasRendered = true;
+                this.ui.updateCompareOverlay(compare);
+                this.ui.updateImageInfo(nativeImage, this.config.zoomFactor);
+                this.scheduleFlickerRefresh(compare);
+                
+                // Update debug visualization
+                this.debugger.updateDebugView();
+                
+                // Read back the probed pixel while the texture is fresh
+                if (this.state.colorProbeActive) {
+                    this.updateColorProbe(compare);
+                }
+                if (this.state.statsActive) {
+                    this.ui.positionStatsPanel();
+                    this.updateRegionStats();
+                }
+
+                // Render HTML overlays
+                this.renderHtmlOverlays();
+                
+                this.recordFrameTiming(performance.now() - frameStart, uploadMs);
+            }
+            
+            // Canvas pixels this frame samples: the glass and loupe source rects, padded for linear filtering.
+            // A lens reaches beyond the flat source rect toward the glass edge, where it is back at 1x, so the
+            // glass rect is widened by its extra magnification. The navigator shows the whole viewport and
+            // needs the full canvas (null) in the frames that redraw its viewport image.
+            getSourceUploadRegion() {
+                if (this.config.navigator && this.isNavigatorViewStale()) return null;
+                
+                const rects = [];
+                if (this.state.active) {
+                    let reach = 0;
+                    if (this.config.lensProfile !== "Flat" && this.state.sourceWidth > 0) {
+                        const zoom = Math.max(1, this.config.glassSize * getPixelRatio() / this.state.sourceWidth);
+                        reach = (zoom - 1) * this.config.lensStrength * Math.max(this.state.sourceWidth, this.state.sourceHeight) / 2;
+                    }
+                    rects.push({
+                        x: this.state.sourceX - reach,
+                        y: this.state.sourceY - reach,
+                        width: this.state.sourceWidth + reach * 2,
+                        height: this.state.sourceHeight + reach * 2
                     });
                 }
+                const scale = this.state.canvasScale;
+                for (const loupe of this.loupes) {
+                    const topLeft = this.graphToCanvas(loupe.anchorGraphX - loupe.graphWidth / 2, loupe.anchorGraphY - loupe.graphHeight / 2);
+                    rects.push({ x: topLeft.x, y: topLeft.y, width: loupe.graphWidth * scale, height: loupe.graphHeight * scale });
+                }
+                if (!rects.length) return null;
+                
+                const left = Math.min(...rects.map(rect => rect.x)) - SOURCE_UPLOAD_PADDING;
+                const top = Math.min(...rects.map(rect => rect.y)) - SOURCE_UPLOAD_PADDING;
+                const right = Math.max(...rects.map(rect => rect.x + rect.width)) + SOURCE_UPLOAD_PADDING;
+                const bottom = Math.max(...rects.map(rect => rect.y + rect.height)) + SOURCE_UPLOAD_PADDING;
+                return { x: left, y: top, width: right - left, height: bottom - top };
+            }
+            
+            // Moving averages of the CPU time spent per frame, shown in debug mode
+            recordFrameTiming(frameMs, uploadMs) {
+                const timing = this.state.frameTiming;
+                const weight = timing.frames ? FRAME_TIMING_SMOOTHING : 1;
+                timing.frameMs += (frameMs - timing.frameMs) * weight;
+                timing.uploadMs += (uploadMs - timing.uploadMs) * weight;
+                timing.frames++;
+                timing.uploadWidth = this.renderer.sourceRect.width;
+                timing.uploadHeight = this.renderer.sourceRect.height;
             }
             
             updateCanvasTransformation() {
@@ -158,6 +1146,22 @@ app.registerExtension({
                 }
             }
             
+            // LiteGraph's DragAndScale maps graph coordinates to canvas pixels as (graph + offset) * scale
+            graphToCanvas(graphX, graphY) {
+                return {
+                    x: (graphX + this.state.canvasOffsetX) * this.state.canvasScale,
+                    y: (graphY + this.state.canvasOffsetY) * this.state.canvasScale
+                };
+            }
+            
+            canvasToGraph(canvasX, canvasY) {
+                const scale = this.state.canvasScale || 1;
+                return {
+                    x: canvasX / scale - this.state.canvasOffsetX,
+                    y: canvasY / scale - this.state.canvasOffsetY
+                };
+            }
+            
             calculateSourceRegion() {
                 // 1. We have cursor position in canvas pixels (state.x, state.y)
                 const cursorPixelX = this.state.x;
@@ -208,160 +1212,582 @@ app.registerExtension({
                 // this.debugger.log(`LiteGraph Canvas Transform: scale=${canvasScale.toFixed(3)}, offset=(${canvasOffsetX.toFixed(1)}, ${canvasOffsetY.toFixed(1)})`); // Too noisy
             }
             
-            // Helper function to check if two rectangles overlap
-            rectsOverlap(rect1, rect2) {
-                return rect1.x < rect2.x + rect2.width &&
-                       rect1.x + rect1.width > rect2.x &&
-                       rect1.y < rect2.y + rect2.height &&
-                       rect1.y + rect1.height > rect2.y;
+            // Convert a DOM client rect to LiteGraph canvas pixel coordinates
+            clientRectToCanvasRect(clientRect) {
+                const canvasRect = this.litegraphCanvas.getBoundingClientRect();
+                const scaleX = canvasRect.width > 0 ? (this.litegraphCanvas.width / canvasRect.width) : 1;
+                const scaleY = canvasRect.height > 0 ? (this.litegraphCanvas.height / canvasRect.height) : 1;
+                return {
+                    x: (clientRect.left - canvasRect.left) * scaleX,
+                    y: (clientRect.top - canvasRect.top) * scaleY,
+                    width: clientRect.width * scaleX,
+                    height: clientRect.height * scaleY
+                };
             }
-
-            renderHtmlOverlays() {
-                if (!this.state.active || !this.ui.htmlOverlayContainer || !app.graph || !this.litegraphCanvas) {
-                    if (this.ui.htmlOverlayContainer) this.ui.htmlOverlayContainer.innerHTML = '';
-                    return;
+            
+            // Where a node's image is drawn, in canvas pixels
+            getImageCanvasRect(node, source) {
+                if (source.element) {
+                    return fitImageInRect(source.img, this.clientRectToCanvasRect(source.element.getBoundingClientRect()));
                 }
-
-                this.ui.htmlOverlayContainer.innerHTML = '';
-
-                const magnifyRect = {
-                    x: this.state.sourceX,
-                    y: this.state.sourceY,
-                    width: this.state.sourceWidth,
-                    height: this.state.sourceHeight
+                
+                // Same layout as ComfyUI's node image drawing: contained below the widgets, never upscaled
+                const imageTop = getNodeImageTop(node);
+                const graphRect = fitImageInRect(source.img, {
+                    x: node.pos[0],
+                    y: node.pos[1] + imageTop,
+                    width: node.size[0],
+                    height: node.size[1] - imageTop
+                }, false);
+                if (!graphRect) return null;
+                
+                const scale = this.state.canvasScale;
+                const topLeft = this.graphToCanvas(graphRect.x, graphRect.y);
+                return {
+                    x: topLeft.x,
+                    y: topLeft.y,
+                    width: graphRect.width * scale,
+                    height: graphRect.height * scale
                 };
-
-                const nodes = app.graph._nodes;
-                if (!nodes) return;
-
-                for (const node of nodes) {
-                    if (!node.widgets) continue;
-
-                    for (const widget of node.widgets) {
-                        let isTextElement = false;
-                        let isVideoElement = false;
-                        let isImageElement = false; // New flag for image elements
-                        let elementToProcess = null;
-
-                        if (widget.element) {
-                            if (widget.type === "text" || widget.type === "string" || widget.element.tagName === 'TEXTAREA') {
-                                isTextElement = true;
-                                elementToProcess = widget.element;
-                            } else if (widget.element.tagName === 'VIDEO') {
-                                isVideoElement = true;
-                                elementToProcess = widget.element;
-                            } else if (widget.element.tagName === 'IMG') { // Check for IMG tag directly
-                                isImageElement = true;
-                                elementToProcess = widget.element;
-                            } else {
-                                // Try to find a video or image element as a child
-                                const potentialVideo = widget.element.querySelector('video');
-                                if (potentialVideo) {
-                                    isVideoElement = true;
-                                    elementToProcess = potentialVideo;
-                                } else {
-                                    const potentialImage = widget.element.querySelector('img');
-                                    if (potentialImage) {
-                                        isImageElement = true;
-                                        elementToProcess = potentialImage;
-                                    }
-                                }
-                            }
+            }
+            
+            // A/B compare: the source rect expressed relative to whichever marked image the glass is over
+            calculateCompareRegion() {
+                if (this.config.compareMode === "Off" || this.state.compareNodeA == null || this.state.compareNodeB == null || !app.graph) {
+                    return null;
+                }
+                
+                const nodeA = app.graph.getNodeById(this.state.compareNodeA);
+                const nodeB = app.graph.getNodeById(this.state.compareNodeB);
+                const sourceA = getNodeImageSource(nodeA);
+                const sourceB = getNodeImageSource(nodeB);
+                if (!sourceA || !sourceB) return null;
+                
+                const centerX = this.state.sourceX + this.state.sourceWidth / 2;
+                const centerY = this.state.sourceY + this.state.sourceHeight / 2;
+                const contains = (rect) => rect && centerX >= rect.x && centerX <= rect.x + rect.width &&
+                                           centerY >= rect.y && centerY <= rect.y + rect.height;
+                
+                let imageRect = this.getImageCanvasRect(nodeA, sourceA);
+                if (!contains(imageRect)) {
+                    imageRect = this.getImageCanvasRect(nodeB, sourceB);
+                    if (!contains(imageRect)) return null;
+                }
+                
+                const showB = this.config.compareMode === "Flicker" &&
+                              Math.floor(performance.now() / this.config.compareFlickerInterval) % 2 === 1;
+                
+                return {
+                    imageA: sourceA.img,
+                    imageB: sourceB.img,
+                    uvX: (this.state.sourceX - imageRect.x) / imageRect.width,
+                    uvY: (this.state.sourceY - imageRect.y) / imageRect.height,
+                    uvWidth: this.state.sourceWidth / imageRect.width,
+                    uvHeight: this.state.sourceHeight / imageRect.height,
+                    mode: this.config.compareMode,
+                    splitPosition: this.state.compareSplitPosition,
+                    showB
+                };
+            }
+            
+            // Vector mode: redraw the source rect with LiteGraph itself at ds.scale * zoomFactor, so text and
+            // links stay crisp instead of upscaling the canvas bitmap. Returns the view for the renderer, or null.
+            // The draw runs the nodes' own draw callbacks; DOM widgets position their elements from the context
+            // they are drawn with, so their inline styles are put back afterwards. Other callbacks that change
+            // state while drawing (rather than only painting) can still see a second canvas.
+            renderVectorSource() {
+                if (!this.config.vectorRendering || this.vectorRenderingFailed || this.config.lensProfile !== "Flat") {
+                    this.releaseVectorCanvas();
+                    return null;
+                }
+                const graph = app.canvas.graph || app.graph;
+                if (!graph) return null;
+                
+                try {
+                    if (!this.vectorCanvas) {
+                        const canvasClass = typeof LGraphCanvas !== 'undefined' ? LGraphCanvas : LiteGraph.LGraphCanvas;
+                        this.vectorCanvas = new canvasClass(document.createElement("canvas"), graph, { skip_render: true, skip_events: true, autoresize: false });
+                    } else if (this.vectorCanvas.graph !== graph) {
+                        this.vectorCanvas.setGraph(graph);
+                    }
+                    
+                    const vectorCanvas = this.vectorCanvas;
+                    for (const key of VECTOR_CANVAS_SHARED_PROPS) {
+                        if (key in app.canvas) vectorCanvas[key] = app.canvas[key];
+                    }
+                    const element = vectorCanvas.canvas;
+                    const size = this.ui.glassCanvas.width;
+                    if (element.width !== size || element.height !== size) {
+                        element.width = size;
+                        element.height = size;
+                    }
+                    
+                    // Same graph point at the glass center as the bitmap path, at the magnified scale
+                    const center = this.canvasToGraph(this.state.sourceX + this.state.sourceWidth / 2, this.state.sourceY + this.state.sourceHeight / 2);
+                    const scale = this.state.canvasScale * size / this.state.sourceWidth; // Drawing buffer pixels per graph unit
+                    vectorCanvas.ds.scale = scale;
+                    vectorCanvas.ds.offset[0] = size / 2 / scale - center.x;
+                    vectorCanvas.ds.offset[1] = size / 2 / scale - center.y;
+                    const domWidgetStyles = [];
+                    for (const node of graph._nodes || []) {
+                        for (const widget of node.widgets || []) {
+                            if (widget.element && widget.element.style) domWidgetStyles.push([widget.element, widget.element.style.cssText]);
                         }
-
-                        if (elementToProcess && (isTextElement || isVideoElement || isImageElement)) {
-                            const widgetRect = elementToProcess.getBoundingClientRect();
-                            const canvasRect = this.litegraphCanvas.getBoundingClientRect();
-
-                            const canvasToViewportScaleX = canvasRect.width > 0 ? (this.litegraphCanvas.width / canvasRect.width) : 1;
-                            const canvasToViewportScaleY = canvasRect.height > 0 ? (this.litegraphCanvas.height / canvasRect.height) : 1;
-
-                            const widgetCanvasX = (widgetRect.left - canvasRect.left) * canvasToViewportScaleX;
-                            const widgetCanvasY = (widgetRect.top - canvasRect.top) * canvasToViewportScaleY;
-                            const widgetCanvasWidth = widgetRect.width * canvasToViewportScaleX;
-                            const widgetCanvasHeight = widgetRect.height * canvasToViewportScaleY;
-
-                            const widgetSourceRect = {
-                                x: widgetCanvasX,
-                                y: widgetCanvasY,
-                                width: widgetCanvasWidth,
-                                height: widgetCanvasHeight
-                            };
-
-                            if (this.rectsOverlap(magnifyRect, widgetSourceRect)) {
-                                const clonedElement = elementToProcess.cloneNode(true);
-                                clonedElement.style.position = 'absolute';
-                                clonedElement.style.pointerEvents = 'none';
-
-                                if (isTextElement) {
-                                    clonedElement.style.backgroundColor = elementToProcess.style.backgroundColor || '#222';
-                                    clonedElement.style.color = elementToProcess.style.color || '#DDD';
-                                    clonedElement.style.border = elementToProcess.style.border || '1px solid #555';
-                                    clonedElement.disabled = true;
-                                } else if (isVideoElement) {
-                                    clonedElement.src = elementToProcess.src;
-                                    clonedElement.autoplay = elementToProcess.autoplay;
-                                    clonedElement.loop = elementToProcess.loop;
-                                    clonedElement.preload = elementToProcess.preload;
-                                    clonedElement.crossOrigin = elementToProcess.crossOrigin;
-                                    clonedElement.muted = true;
-                                    if (!elementToProcess.paused) {
-                                        clonedElement.play().catch(e => console.warn("Magnify Glass: Cloned video play failed", e));
-                                    }
-                                    clonedElement.currentTime = elementToProcess.currentTime;
-                                } else if (isImageElement) {
-                                    // For images, ensure src and alt are copied.
-                                    // The browser will handle rendering based on src.
-                                    clonedElement.src = elementToProcess.src;
-                                    clonedElement.alt = elementToProcess.alt;
-                                    // Preserve original display characteristics if needed, but usually not for simple images
-                                    // clonedElement.style.objectFit = elementToProcess.style.objectFit || 'contain'; 
-                                }
-
-                                const relativeX = widgetSourceRect.x - magnifyRect.x;
-                                const relativeY = widgetSourceRect.y - magnifyRect.y;
-
-                                const magnifiedX = relativeX * this.config.zoomFactor;
-                                const magnifiedY = relativeY * this.config.zoomFactor;
-
-                                clonedElement.style.left = `${magnifiedX}px`;
-                                clonedElement.style.top = `${magnifiedY}px`;
-                                clonedElement.style.width = `${widgetSourceRect.width}px`;
-                                clonedElement.style.height = `${widgetSourceRect.height}px`;
-                                clonedElement.style.transformOrigin = 'top left';
-                                clonedElement.style.transform = `scale(${this.config.zoomFactor})`;
-
-                                if (isTextElement && clonedElement.style.fontSize) {
-                                    const originalFontSize = parseFloat(window.getComputedStyle(elementToProcess).fontSize);
-                                    clonedElement.style.fontSize = `${originalFontSize}px`;
-                                }
-
-                                this.ui.htmlOverlayContainer.appendChild(clonedElement);
-                            }
+                    }
+                    try {
+                        vectorCanvas.draw(true, true);
+                    } finally {
+                        for (const [element, cssText] of domWidgetStyles) {
+                            if (element.style.cssText !== cssText) element.style.cssText = cssText;
                         }
                     }
+                    return { mode: "Vector", canvas: element };
+                } catch (e) {
+                    // Fall back to the bitmap for the rest of the session rather than failing every frame
+                    this.vectorRenderingFailed = true;
+                    this.releaseVectorCanvas();
+                    console.error("ComfyUI Magnifying Glass ERROR: Vector rendering failed, using the canvas bitmap instead:", e);
+                    return null;
                 }
             }
             
-            // Method to update config from settings (can be called from callbacks)
-            updateConfigFromSettings() {
-                this.config.zoomFactor = getSettingValue("🔍MagnifyGlass.ZoomFactor", DEFAULT_SETTINGS["🔍MagnifyGlass.ZoomFactor"]);
-                this.config.glassSize = getSettingValue("🔍MagnifyGlass.GlassSize", DEFAULT_SETTINGS["🔍MagnifyGlass.GlassSize"]);
-                this.config.borderColor = getSettingValue("🔍MagnifyGlass.BorderColor", DEFAULT_SETTINGS["🔍MagnifyGlass.BorderColor"]);
-                this.config.borderWidth = getSettingValue("🔍MagnifyGlass.BorderWidth", DEFAULT_SETTINGS["🔍MagnifyGlass.BorderWidth"]);
-                this.config.activationKey = getSettingValue("🔍MagnifyGlass.ActivationKey", DEFAULT_SETTINGS["🔍MagnifyGlass.ActivationKey"]);
-                this.config.altRequired = getSettingValue("🔍MagnifyGlass.AltRequired", DEFAULT_SETTINGS["🔍MagnifyGlass.AltRequired"]);
-                this.config.followCursor = getSettingValue("🔍MagnifyGlass.FollowCursor", DEFAULT_SETTINGS["🔍MagnifyGlass.FollowCursor"]);
-                this.config.debugMode = getSettingValue("🔍MagnifyGlass.DebugMode", DEFAULT_SETTINGS["🔍MagnifyGlass.DebugMode"]);
-                this.config.offsetStep = getSettingValue("🔍MagnifyGlass.OffsetStep", DEFAULT_SETTINGS["🔍MagnifyGlass.OffsetStep"]);
-                this.config.glassPosition = getSettingValue("🔍MagnifyGlass.GlassPosition", DEFAULT_SETTINGS["🔍MagnifyGlass.GlassPosition"]);
-                this.config.resetKey = getSettingValue("🔍MagnifyGlass.ResetKey", DEFAULT_SETTINGS["🔍MagnifyGlass.ResetKey"]);
-                this.config.glassShape = getSettingValue("🔍MagnifyGlass.GlassShape", DEFAULT_SETTINGS["🔍MagnifyGlass.GlassShape"]);
-                this.config.borderEnabled = getSettingValue("🔍MagnifyGlass.BorderEnabled", DEFAULT_SETTINGS["🔍MagnifyGlass.BorderEnabled"]);
-                this.config.textureFiltering = getSettingValue("🔍MagnifyGlass.TextureFiltering", DEFAULT_SETTINGS["🔍MagnifyGlass.TextureFiltering"]);
-                this.config.alwaysActiveMode = getSettingValue("🔍MagnifyGlass.AlwaysActiveMode", DEFAULT_SETTINGS["🔍MagnifyGlass.AlwaysActiveMode"]);
-                this.config.toggleFollowCursorKey = getSettingValue("🔍MagnifyGlass.ToggleFollowCursorKey", DEFAULT_SETTINGS["🔍MagnifyGlass.ToggleFollowCursorKey"]);
-                // Offsets X/Y are managed separately via load/save/arrow keys
+            // The vector canvas registers with the graph like any LGraphCanvas, so the graph keeps it (and
+            // marks it dirty) until it is detached
+            releaseVectorCanvas() {
+                const vectorCanvas = this.vectorCanvas;
+                if (!vectorCanvas) return;
+                this.vectorCanvas = null;
+                try {
+                    if (vectorCanvas.graph && typeof vectorCanvas.graph.detachCanvas === "function") {
+                        vectorCanvas.graph.detachCanvas(vectorCanvas);
+                    } else if (vectorCanvas.graph && typeof vectorCanvas.setGraph === "function") {
+                        vectorCanvas.setGraph(null);
+                    }
+                } catch (e) {
+                    console.warn("ComfyUI Magnifying Glass: Could not detach the vector rendering canvas:", e);
+                }
+            }
+            
+            // Keep the last HistoryLength image sets of each output node (from the "executed" API event)
+            recordExecutedImages(detail) {
+                const images = detail && detail.output && detail.output.images;
+                if (!images || !images.length) return;
+                
+                const nodeId = String(detail.display_node || detail.node);
+                const urls = images.map(image => api.apiURL(`/view?${new URLSearchParams({
+                    filename: image.filename,
+                    subfolder: image.subfolder || "",
+                    type: image.type || "output"
+                })}`));
+                const history = this.imageHistory.get(nodeId) || [];
+                if (history.length && history[0].urls.join("\n") === urls.join("\n")) return; // Same files, nothing new to compare
+                
+                const loaded = urls.map(url => {
+                    const img = new Image();
+                    img.onload = () => {
+                        if (this.state.active && this.config.historyMode !== "Off") this.updateMagnifiedView();
+                    };
+                    img.src = url;
+                    return img;
+                });
+                history.unshift({ urls, images: loaded, time: Date.now() });
+                history.length = Math.min(history.length, Math.max(2, this.config.historyLength));
+                this.imageHistory.set(nodeId, history);
+            }
+            
+            // Run history of the node whose image is under the glass (the same app.graph._nodes walk as the overlays)
+            getHistoryUnderGlass() {
+                const hit = this.findImageUnderGlass();
+                if (!hit) return null;
+                const history = this.imageHistory.get(String(hit.node.id));
+                return history && history.length > 1 ? { hit, history } : null;
+            }
+            
+            // History modes: the image under the glass against the same node's output historyStep runs earlier,
+            // shown like an A/B comparison
+            calculateHistoryRegion() {
+                if (this.config.historyMode === "Off") return null;
+                const found = this.getHistoryUnderGlass();
+                if (!found) return null;
+                
+                const { hit, history } = found;
+                const step = Math.min(this.state.historyStep, history.length - 1);
+                const run = history[step];
+                const previous = run.images[Math.min(hit.node.imageIndex ?? 0, run.images.length - 1)];
+                if (!previous.complete || !previous.naturalWidth) return null;
+                
+                const rect = hit.rect;
+                const showB = this.config.historyMode === "Flicker" &&
+                              Math.floor(performance.now() / this.config.compareFlickerInterval) % 2 === 1;
+                return {
+                    imageA: hit.img,
+                    imageB: previous,
+                    uvX: (this.state.sourceX - rect.x) / rect.width,
+                    uvY: (this.state.sourceY - rect.y) / rect.height,
+                    uvWidth: this.state.sourceWidth / rect.width,
+                    uvHeight: this.state.sourceHeight / rect.height,
+                    mode: this.config.historyMode,
+                    splitPosition: this.state.compareSplitPosition,
+                    showB,
+                    labels: ["Now", `-${step}`]
+                };
+            }
+            
+            cycleHistoryMode() {
+                const index = HISTORY_MODES.indexOf(this.config.historyMode);
+                this.config.historyMode = HISTORY_MODES[(index + 1) % HISTORY_MODES.length];
+                this.ui.showHud(`History: ${this.config.historyMode}`);
+                this.updateMagnifiedView();
+            }
+            
+            // Step to an older (+1) or newer (-1) run of the node under the glass
+            stepHistory(direction) {
+                const found = this.getHistoryUnderGlass();
+                if (!found) {
+                    this.ui.showHud("No earlier run");
+                    return;
+                }
+                const history = found.history;
+                this.state.historyStep = Math.min(history.length - 1, Math.max(1, this.state.historyStep + direction));
+                const run = history[this.state.historyStep];
+                this.ui.showHud(`vs run -${this.state.historyStep} (${new Date(run.time).toLocaleTimeString()})`);
+                this.updateMagnifiedView();
+            }
+            
+            // Topmost node image under the glass center, with its draw rect in canvas pixels
+            findImageUnderGlass() {
+                if (!app.graph) return null;
+                
+                const centerX = this.state.sourceX + this.state.sourceWidth / 2;
+                const centerY = this.state.sourceY + this.state.sourceHeight / 2;
+                const nodes = app.graph._nodes || [];
+                // Nodes are drawn in array order, so the last hit is the one on top
+                for (let i = nodes.length - 1; i >= 0; i--) {
+                    const node = nodes[i];
+                    if (node.flags && node.flags.collapsed) continue;
+                    const source = getNodeImageSource(node);
+                    if (!source) continue;
+                    const rect = this.getImageCanvasRect(node, source);
+                    if (rect && centerX >= rect.x && centerX <= rect.x + rect.width &&
+                        centerY >= rect.y && centerY <= rect.y + rect.height) {
+                        return { node, img: source.img, rect };
+                    }
+                }
+                return null;
+            }
+            
+            // Native-resolution sampling: the source rect mapped into the full-size image under the glass.
+            // Tile mode always samples natively; the image rect then holds tiles x tiles copies, and UVs count tiles.
+            calculateNativeImageRegion() {
+                const tiles = TILE_MODES[this.config.tileMode] || 0;
+                if (!this.config.nativeImageSampling && !tiles) return null;
+                const hit = this.findImageUnderGlass();
+                if (!hit) return null;
+                
+                const { img, rect } = hit;
+                const scale = tiles || 1;
+                const centerX = this.state.sourceX + this.state.sourceWidth / 2;
+                const centerY = this.state.sourceY + this.state.sourceHeight / 2;
+                let centerU = (centerX - rect.x) / rect.width * scale;
+                let centerV = (centerY - rect.y) / rect.height * scale;
+                if (tiles) {
+                    centerU -= Math.floor(centerU);
+                    centerV -= Math.floor(centerV);
+                }
+                return {
+                    imageA: hit.img,
+                    imageB: null,
+                    uvX: (this.state.sourceX - rect.x) / rect.width * scale,
+                    uvY: (this.state.sourceY - rect.y) / rect.height * scale,
+                    uvWidth: this.state.sourceWidth / rect.width * scale,
+                    uvHeight: this.state.sourceHeight / rect.height * scale,
+                    mode: "Native",
+                    tiles,
+                    // Image pixel under the glass center and the on-canvas scale, for the HUD
+                    imageX: Math.min(img.naturalWidth - 1, Math.floor(centerU * img.naturalWidth)),
+                    imageY: Math.min(img.naturalHeight - 1, Math.floor(centerV * img.naturalHeight)),
+                    canvasPixelsPerImagePixel: rect.width / (img.naturalWidth * scale)
+                };
+            }
+            
+            // Lock the zoom so one image pixel covers one glass pixel, or go back to the previous zoom
+            toggleActualPixels() {
+                if (this.state.actualPixels) {
+                    this.exitActualPixels();
+                    this.ui.showHud(`Zoom ${this.config.zoomFactor.toFixed(2)}x`);
+                } else {
+                    this.state.actualPixels = true;
+                    this.state.zoomBeforeActualPixels = this.config.zoomFactor;
+                    this.ui.showHud("100% actual pixels");
+                }
+                this.updateMagnifiedView();
+            }
+            
+            // Leave the 1:1 lock. Its zoom can be outside the Zoom Factor setting's range, so the zoom from before
+            // the lock comes back.
+            exitActualPixels() {
+                if (!this.state.actualPixels) return;
+                this.state.actualPixels = false;
+                if (this.state.zoomBeforeActualPixels != null) this.config.zoomFactor = this.state.zoomBeforeActualPixels;
+                this.state.zoomBeforeActualPixels = null;
+            }
+            
+            // Hide the glass and end what only lasts while it is shown
+            deactivate() {
+                this.state.active = false;
+                this.ui.hide();
+                this.exitActualPixels();
+                clearTimeout(this.statsTimeout); // A pending statistics refresh would read a hidden glass
+                this.statsTimeout = null;
+            }
+            
+            // Tear down the magnifier: pending work, then the UI
+            cleanup() {
+                clearTimeout(this.statsTimeout);
+                this.statsTimeout = null;
+                this.unhookCanvasDraw();
+                this.releaseVectorCanvas();
+                this.ui.cleanup();
+            }
+            
+            applyActualPixelsZoom() {
+                const hit = this.findImageUnderGlass();
+                if (!hit) return; // Keep the last 1:1 zoom while moving between images
+                
+                const tiles = TILE_MODES[this.config.tileMode] || 1;
+                // One image pixel per drawing buffer pixel, which is one device pixel on HiDPI displays
+                const zoom = Math.min(ACTUAL_PIXELS_ZOOM_MAX, Math.max(ACTUAL_PIXELS_ZOOM_MIN, hit.img.naturalWidth * tiles / hit.rect.width / getPixelRatio()));
+                if (Math.abs(zoom - this.config.zoomFactor) > 1e-4) {
+                    this.config.zoomFactor = zoom;
+                    this.calculateSourceRegion();
+                }
+            }
+            
+            // Keep the flicker going while the mouse is still
+            scheduleFlickerRefresh(compare) {
+                clearTimeout(this.flickerTimeout);
+                this.flickerTimeout = null;
+                if (!compare || compare.mode !== "Flicker") return;
+                
+                const interval = this.config.compareFlickerInterval;
+                this.flickerTimeout = setTimeout(() => this.updateMagnifiedView(), interval - (performance.now() % interval));
+            }
+            
+            setCompareNode(slot, node) {
+                if (slot === "A") {
+                    this.state.compareNodeA = node ? node.id : null;
+                } else {
+                    this.state.compareNodeB = node ? node.id : null;
+                }
+                this.debugger.log(`Compare ${slot} set to node ${node ? node.id : 'none'}`);
+                this.updateMagnifiedView();
+            }
+            
+            cycleCompareMode() {
+                const index = COMPARE_MODES.indexOf(this.config.compareMode);
+                this.config.compareMode = COMPARE_MODES[(index + 1) % COMPARE_MODES.length];
+                this.ui.showHud(`Compare: ${this.config.compareMode}`);
+                this.updateMagnifiedView();
+            }
+            
+            registerNodeMenuOptions() {
+                const canvasClass = typeof LGraphCanvas !== 'undefined' ? LGraphCanvas : LiteGraph.LGraphCanvas;
+                if (!canvasClass || !canvasClass.prototype.getNodeMenuOptions) {
+                    this.debugger.log("LGraphCanvas.getNodeMenuOptions not found, A/B compare menu entries disabled.");
+                    return;
+                }
+                
+                const magnifyGlass = this;
+                const originalGetNodeMenuOptions = canvasClass.prototype.getNodeMenuOptions;
+                canvasClass.prototype.getNodeMenuOptions = function (node) {
+                    const options = originalGetNodeMenuOptions.apply(this, arguments);
+                    const isA = magnifyGlass.state.compareNodeA === node.id;
+                    const isB = magnifyGlass.state.compareNodeB === node.id;
+                    if (!getNodeImageSource(node) && !isA && !isB) return options;
+                    
+                    options.push(null, {
+                        content: "🔍 Magnify Glass: Set as A",
+                        callback: () => magnifyGlass.setCompareNode("A", node)
+                    }, {
+                        content: "🔍 Magnify Glass: Set as B",
+                        callback: () => magnifyGlass.setCompareNode("B", node)
+                    });
+                    if (isA || isB) {
+                        options.push({
+                            content: `🔍 Magnify Glass: Clear ${isA ? 'A' : 'B'}`,
+                            callback: () => magnifyGlass.setCompareNode(isA ? "A" : "B", null)
+                        });
+                    }
+                    return options;
+                };
+            }
+            
+            // Helper function to check if two rectangles overlap
+            rectsOverlap(rect1, rect2) {
+                return rect1.x < rect2.x + rect2.width &&
+                       rect1.x + rect1.width > rect2.x &&
+                       rect1.y < rect2.y + rect2.height &&
+                       rect1.y + rect1.height > rect2.y;
+            }
+
+            // Magnified DOM widgets: one persistent clone per widget element while it overlaps the source rect,
+            // kept in sync instead of rebuilt, so videos keep playing and images do not reload
+            renderHtmlOverlays() {
+                if (!this.state.active || !this.ui.htmlOverlayContainer || !app.graph || !this.litegraphCanvas) {
+                    this.ui.clearOverlayClones();
+                    return;
+                }
+
+                // Clones are scaled linearly and would not line up with a distorting lens,
+                // and an A/B comparison replaces the canvas view entirely
+                if (this.config.lensProfile !== "Flat" || this.state.compareActive) {
+                    this.ui.clearOverlayClones();
+                    return;
+                }
+
+                const magnifyRect = {
+                    x: this.state.sourceX,
+                    y: this.state.sourceY,
+                    width: this.state.sourceWidth,
+                    height: this.state.sourceHeight
+                };
+
+                const nodes = app.graph._nodes;
+                if (!nodes) return;
+                
+                // Clones keep the widget's CSS size and are scaled like the canvas pixels under them: zoomFactor
+                // glass pixels per canvas pixel, and the canvas has its own pixels per CSS pixel
+                const canvasRect = this.litegraphCanvas.getBoundingClientRect();
+                const canvasPixelsPerCssPixel = canvasRect.width > 0 ? this.litegraphCanvas.width / canvasRect.width : 1;
+
+                const visible = new Set();
+                for (const node of nodes) {
+                    if (!node.widgets) continue;
+
+                    for (const widget of node.widgets) {
+                        const source = this.getOverlaySource(widget, node);
+                        if (!source) continue;
+                        
+                        const clientRect = source.element.getBoundingClientRect();
+                        const widgetSourceRect = this.clientRectToCanvasRect(clientRect);
+                        if (!this.rectsOverlap(magnifyRect, widgetSourceRect)) continue;
+                        
+                        visible.add(source.element);
+                        const context = {
+                            widget,
+                            node,
+                            width: clientRect.width,
+                            height: clientRect.height,
+                            scale: this.config.zoomFactor * canvasPixelsPerCssPixel
+                        };
+                        const layout = {
+                            x: (widgetSourceRect.x - magnifyRect.x) * this.config.zoomFactor,
+                            y: (widgetSourceRect.y - magnifyRect.y) * this.config.zoomFactor
+                        };
+                        try {
+                            this.ui.syncOverlayClone(source.element, source.provider, context, layout);
+                        } catch (e) {
+                            console.error(`ComfyUI Magnifying Glass ERROR: Overlay provider "${source.provider.name}" failed:`, e);
+                            visible.delete(source.element);
+                        }
+                    }
+                }
+                
+                // Drop the clones of widgets that left the source rect
+                for (const element of this.ui.overlayClones.keys()) {
+                    if (!visible.has(element)) this.ui.removeOverlayClone(element);
+                }
+            }
+            
+            // The first registered overlay provider claiming a widget, as { element, provider }
+            getOverlaySource(widget, node) {
+                for (const provider of overlayProviders) {
+                    let element = null;
+                    try {
+                        element = provider.claim(widget, node);
+                    } catch (e) {
+                        console.error(`ComfyUI Magnifying Glass ERROR: Overlay provider "${provider.name}" failed to claim a widget:`, e);
+                    }
+                    if (element) return { element, provider };
+                }
+                return null;
+            }
+            
+            // Method to update config from settings (can be called from callbacks)
+            updateConfigFromSettings() {
+                this.config.zoomFactor = getSettingValue("🔍MagnifyGlass.ZoomFactor", DEFAULT_SETTINGS["🔍MagnifyGlass.ZoomFactor"]);
+                this.config.glassSize = getSettingValue("🔍MagnifyGlass.GlassSize", DEFAULT_SETTINGS["🔍MagnifyGlass.GlassSize"]);
+                this.config.borderColor = getSettingValue("🔍MagnifyGlass.BorderColor", DEFAULT_SETTINGS["🔍MagnifyGlass.BorderColor"]);
+                this.config.borderWidth = getSettingValue("🔍MagnifyGlass.BorderWidth", DEFAULT_SETTINGS["🔍MagnifyGlass.BorderWidth"]);
+                this.config.activationKey = getSettingValue("🔍MagnifyGlass.ActivationKey", DEFAULT_SETTINGS["🔍MagnifyGlass.ActivationKey"]);
+                this.config.altRequired = getSettingValue("🔍MagnifyGlass.AltRequired", DEFAULT_SETTINGS["🔍MagnifyGlass.AltRequired"]);
+                this.config.followCursor = getSettingValue("🔍MagnifyGlass.FollowCursor", DEFAULT_SETTINGS["🔍MagnifyGlass.FollowCursor"]);
+                this.config.debugMode = getSettingValue("🔍MagnifyGlass.DebugMode", DEFAULT_SETTINGS["🔍MagnifyGlass.DebugMode"]);
+                this.config.offsetStep = getSettingValue("🔍MagnifyGlass.OffsetStep", DEFAULT_SETTINGS["🔍MagnifyGlass.OffsetStep"]);
+                this.config.glassPosition = getSettingValue("🔍MagnifyGlass.GlassPosition", DEFAULT_SETTINGS["🔍MagnifyGlass.GlassPosition"]);
+                this.config.resetKey = getSettingValue("🔍MagnifyGlass.ResetKey", DEFAULT_SETTINGS["🔍MagnifyGlass.ResetKey"]);
+                this.config.glassShape = getSettingValue("🔍MagnifyGlass.GlassShape", DEFAULT_SETTINGS["🔍MagnifyGlass.GlassShape"]);
+                this.config.borderEnabled = getSettingValue("🔍MagnifyGlass.BorderEnabled", DEFAULT_SETTINGS["🔍MagnifyGlass.BorderEnabled"]);
+                this.config.textureFiltering = getSettingValue("🔍MagnifyGlass.TextureFiltering", DEFAULT_SETTINGS["🔍MagnifyGlass.TextureFiltering"]);
+                this.config.rendererMode = getSettingValue("🔍MagnifyGlass.Renderer", DEFAULT_SETTINGS["🔍MagnifyGlass.Renderer"]);
+                this.config.vectorRendering = getSettingValue("🔍MagnifyGlass.VectorRendering", DEFAULT_SETTINGS["🔍MagnifyGlass.VectorRendering"]);
+                this.config.channelView = getSettingValue("🔍MagnifyGlass.ChannelView", DEFAULT_SETTINGS["🔍MagnifyGlass.ChannelView"]);
+                this.config.channelViewKey = getSettingValue("🔍MagnifyGlass.ChannelViewKey", DEFAULT_SETTINGS["🔍MagnifyGlass.ChannelViewKey"]);
+                this.config.colorVision = getSettingValue("🔍MagnifyGlass.ColorVision", DEFAULT_SETTINGS["🔍MagnifyGlass.ColorVision"]);
+                this.config.colorVisionKey = getSettingValue("🔍MagnifyGlass.ColorVisionKey", DEFAULT_SETTINGS["🔍MagnifyGlass.ColorVisionKey"]);
+                this.config.filterChain = getSettingValue("🔍MagnifyGlass.FilterChain", DEFAULT_SETTINGS["🔍MagnifyGlass.FilterChain"]);
+                this.config.customShader = getSettingValue("🔍MagnifyGlass.CustomShader", DEFAULT_SETTINGS["🔍MagnifyGlass.CustomShader"]);
+                this.config.alwaysActiveMode = getSettingValue("🔍MagnifyGlass.AlwaysActiveMode", DEFAULT_SETTINGS["🔍MagnifyGlass.AlwaysActiveMode"]);
+                this.config.toggleFollowCursorKey = getSettingValue("🔍MagnifyGlass.ToggleFollowCursorKey", DEFAULT_SETTINGS["🔍MagnifyGlass.ToggleFollowCursorKey"]);
+                this.config.colorProbeKey = getSettingValue("🔍MagnifyGlass.ColorProbeKey", DEFAULT_SETTINGS["🔍MagnifyGlass.ColorProbeKey"]);
+                this.config.colorCopyKey = getSettingValue("🔍MagnifyGlass.ColorCopyKey", DEFAULT_SETTINGS["🔍MagnifyGlass.ColorCopyKey"]);
+                this.config.colorCopyFormat = getSettingValue("🔍MagnifyGlass.ColorCopyFormat", DEFAULT_SETTINGS["🔍MagnifyGlass.ColorCopyFormat"]);
+                this.config.pixelGrid = getSettingValue("🔍MagnifyGlass.PixelGrid", DEFAULT_SETTINGS["🔍MagnifyGlass.PixelGrid"]);
+                this.config.pixelGridMinZoom = getSettingValue("🔍MagnifyGlass.PixelGridMinZoom", DEFAULT_SETTINGS["🔍MagnifyGlass.PixelGridMinZoom"]);
+                this.config.pixelGridColor = getSettingValue("🔍MagnifyGlass.PixelGridColor", DEFAULT_SETTINGS["🔍MagnifyGlass.PixelGridColor"]);
+                this.config.reticleStyle = getSettingValue("🔍MagnifyGlass.ReticleStyle", DEFAULT_SETTINGS["🔍MagnifyGlass.ReticleStyle"]);
+                this.config.reticleColor = getSettingValue("🔍MagnifyGlass.ReticleColor", DEFAULT_SETTINGS["🔍MagnifyGlass.ReticleColor"]);
+                this.config.lensProfile = getSettingValue("🔍MagnifyGlass.LensProfile", DEFAULT_SETTINGS["🔍MagnifyGlass.LensProfile"]);
+                this.config.lensStrength = getSettingValue("🔍MagnifyGlass.LensStrength", DEFAULT_SETTINGS["🔍MagnifyGlass.LensStrength"]);
+                this.config.compareMode = getSettingValue("🔍MagnifyGlass.CompareMode", DEFAULT_SETTINGS["🔍MagnifyGlass.CompareMode"]);
+                this.config.compareModeKey = getSettingValue("🔍MagnifyGlass.CompareModeKey", DEFAULT_SETTINGS["🔍MagnifyGlass.CompareModeKey"]);
+                this.config.compareFlickerInterval = getSettingValue("🔍MagnifyGlass.CompareFlickerInterval", DEFAULT_SETTINGS["🔍MagnifyGlass.CompareFlickerInterval"]);
+                this.config.historyMode = getSettingValue("🔍MagnifyGlass.HistoryMode", DEFAULT_SETTINGS["🔍MagnifyGlass.HistoryMode"]);
+                this.config.historyLength = getSettingValue("🔍MagnifyGlass.HistoryLength", DEFAULT_SETTINGS["🔍MagnifyGlass.HistoryLength"]);
+                this.config.historyModeKey = getSettingValue("🔍MagnifyGlass.HistoryModeKey", DEFAULT_SETTINGS["🔍MagnifyGlass.HistoryModeKey"]);
+                this.config.historyBackKey = getSettingValue("🔍MagnifyGlass.HistoryBackKey", DEFAULT_SETTINGS["🔍MagnifyGlass.HistoryBackKey"]);
+                this.config.historyForwardKey = getSettingValue("🔍MagnifyGlass.HistoryForwardKey", DEFAULT_SETTINGS["🔍MagnifyGlass.HistoryForwardKey"]);
+                this.config.snapshotKey = getSettingValue("🔍MagnifyGlass.SnapshotKey", DEFAULT_SETTINGS["🔍MagnifyGlass.SnapshotKey"]);
+                this.config.snapshotDestination = getSettingValue("🔍MagnifyGlass.SnapshotDestination", DEFAULT_SETTINGS["🔍MagnifyGlass.SnapshotDestination"]);
+                this.config.snapshotCaption = getSettingValue("🔍MagnifyGlass.SnapshotCaption", DEFAULT_SETTINGS["🔍MagnifyGlass.SnapshotCaption"]);
+                this.config.pinKey = getSettingValue("🔍MagnifyGlass.PinKey", DEFAULT_SETTINGS["🔍MagnifyGlass.PinKey"]);
+                this.config.navigator = getSettingValue("🔍MagnifyGlass.Navigator", DEFAULT_SETTINGS["🔍MagnifyGlass.Navigator"]);
+                this.config.navigatorSize = getSettingValue("🔍MagnifyGlass.NavigatorSize", DEFAULT_SETTINGS["🔍MagnifyGlass.NavigatorSize"]);
+                this.config.liveRefreshFps = getSettingValue("🔍MagnifyGlass.LiveRefreshFps", DEFAULT_SETTINGS["🔍MagnifyGlass.LiveRefreshFps"]);
+                this.config.nativeImageSampling = getSettingValue("🔍MagnifyGlass.NativeImageSampling", DEFAULT_SETTINGS["🔍MagnifyGlass.NativeImageSampling"]);
+                this.config.actualPixelsKey = getSettingValue("🔍MagnifyGlass.ActualPixelsKey", DEFAULT_SETTINGS["🔍MagnifyGlass.ActualPixelsKey"]);
+                this.config.tileMode = getSettingValue("🔍MagnifyGlass.TileMode", DEFAULT_SETTINGS["🔍MagnifyGlass.TileMode"]);
+                this.config.tileSeams = getSettingValue("🔍MagnifyGlass.TileSeams", DEFAULT_SETTINGS["🔍MagnifyGlass.TileSeams"]);
+                this.config.tileModeKey = getSettingValue("🔍MagnifyGlass.TileModeKey", DEFAULT_SETTINGS["🔍MagnifyGlass.TileModeKey"]);
+                this.config.referenceOpacity = getSettingValue("🔍MagnifyGlass.ReferenceOpacity", DEFAULT_SETTINGS["🔍MagnifyGlass.ReferenceOpacity"]);
+                this.config.referenceBlendMode = getSettingValue("🔍MagnifyGlass.ReferenceBlendMode", DEFAULT_SETTINGS["🔍MagnifyGlass.ReferenceBlendMode"]);
+                this.config.referenceKey = getSettingValue("🔍MagnifyGlass.ReferenceKey", DEFAULT_SETTINGS["🔍MagnifyGlass.ReferenceKey"]);
+                this.config.statsKey = getSettingValue("🔍MagnifyGlass.StatsKey", DEFAULT_SETTINGS["🔍MagnifyGlass.StatsKey"]);
+                this.config.statsInterval = getSettingValue("🔍MagnifyGlass.StatsInterval", DEFAULT_SETTINGS["🔍MagnifyGlass.StatsInterval"]);
+                this.config.exposure = getSettingValue("🔍MagnifyGlass.Exposure", DEFAULT_SETTINGS["🔍MagnifyGlass.Exposure"]);
+                this.config.gamma = getSettingValue("🔍MagnifyGlass.Gamma", DEFAULT_SETTINGS["🔍MagnifyGlass.Gamma"]);
+                this.config.contrast = getSettingValue("🔍MagnifyGlass.Contrast", DEFAULT_SETTINGS["🔍MagnifyGlass.Contrast"]);
+                this.config.levelsBlack = getSettingValue("🔍MagnifyGlass.LevelsBlack", DEFAULT_SETTINGS["🔍MagnifyGlass.LevelsBlack"]);
+                this.config.levelsWhite = getSettingValue("🔍MagnifyGlass.LevelsWhite", DEFAULT_SETTINGS["🔍MagnifyGlass.LevelsWhite"]);
+                this.config.clampLevels();
+                this.config.clippingWarning = getSettingValue("🔍MagnifyGlass.ClippingWarning", DEFAULT_SETTINGS["🔍MagnifyGlass.ClippingWarning"]);
+                this.config.adjustPresetKey = getSettingValue("🔍MagnifyGlass.AdjustPresetKey", DEFAULT_SETTINGS["🔍MagnifyGlass.AdjustPresetKey"]);
+                this.config.adjustResetKey = getSettingValue("🔍MagnifyGlass.AdjustResetKey", DEFAULT_SETTINGS["🔍MagnifyGlass.AdjustResetKey"]);
+                this.config.wheelControl = getSettingValue("🔍MagnifyGlass.WheelControl", DEFAULT_SETTINGS["🔍MagnifyGlass.WheelControl"]);
+                this.config.wheelZoomStep = getSettingValue("🔍MagnifyGlass.WheelZoomStep", DEFAULT_SETTINGS["🔍MagnifyGlass.WheelZoomStep"]);
+                this.config.wheelSizeStep = getSettingValue("🔍MagnifyGlass.WheelSizeStep", DEFAULT_SETTINGS["🔍MagnifyGlass.WheelSizeStep"]);
+                this.config.wheelSaveToSettings = getSettingValue("🔍MagnifyGlass.WheelSaveToSettings", DEFAULT_SETTINGS["🔍MagnifyGlass.WheelSaveToSettings"]);
+                // Offsets X/Y are managed separately via load/save/arrow keys
             }
             
             // Method to apply UI changes based on config
@@ -390,14 +1816,16 @@ app.registerExtension({
                             this.ui.glassDiv.style.borderRadius = "50%"; 
                             break;
                     }
+                    
+                    // Keep the corner probe readout inside the visible area of rounded shapes
+                    if (this.ui.probeDiv) {
+                        const inset = this.config.glassShape === "Square" ? "6px" : (this.config.glassShape === "Rounded Square" ? "8%" : "16%");
+                        this.ui.probeDiv.style.top = inset;
+                        this.ui.probeDiv.style.left = inset;
+                    }
                 }
                 if (this.ui.glassCanvas) {
-                    this.ui.glassCanvas.width = this.config.glassSize;
-                    this.ui.glassCanvas.height = this.config.glassSize;
-                    // Re-initialize or update viewport if needed for WebGL
-                    if(this.renderer && this.renderer.gl) {
-                        this.renderer.gl.viewport(0, 0, this.renderer.gl.canvas.width, this.renderer.gl.canvas.height);
-                    }
+                    this.ui.sizeGlassCanvas(); // Renderers draw at the glass canvas size, so nothing else to update
                 }
                 // Handle debug canvas show/hide
                 if (this.config.debugMode) {
@@ -408,1136 +1836,5135 @@ app.registerExtension({
                 }
             }
             
-            resetOffsets() {
-                this.config.offsetX = 0;
-                this.config.offsetY = 0;
-                this.config.saveOffsets(); // Save the reset values
-                if (this.state.active) {
-                    this.updateMagnifiedView(); // Update if active
-                }
-                this.debugger.log("Offsets reset to 0, 0");
-            }
-        }
-        
-        // Configuration manager - Reads from settings
-        class ConfigManager {
-            constructor() {
-                // Initialize properties that will be set by reading settings
-                this.zoomFactor = DEFAULT_SETTINGS["🔍MagnifyGlass.ZoomFactor"];
-                this.glassSize = DEFAULT_SETTINGS["🔍MagnifyGlass.GlassSize"];
-                this.borderColor = DEFAULT_SETTINGS["🔍MagnifyGlass.BorderColor"];
-                this.borderWidth = DEFAULT_SETTINGS["🔍MagnifyGlass.BorderWidth"];
-                this.activationKey = DEFAULT_SETTINGS["🔍MagnifyGlass.ActivationKey"];
-                this.altRequired = DEFAULT_SETTINGS["🔍MagnifyGlass.AltRequired"];
-                this.followCursor = DEFAULT_SETTINGS["🔍MagnifyGlass.FollowCursor"];
-                this.debugMode = DEFAULT_SETTINGS["🔍MagnifyGlass.DebugMode"];
-                this.offsetStep = DEFAULT_SETTINGS["🔍MagnifyGlass.OffsetStep"];
-                this.glassPosition = DEFAULT_SETTINGS["🔍MagnifyGlass.GlassPosition"];
-                this.resetKey = DEFAULT_SETTINGS["🔍MagnifyGlass.ResetKey"];
-                this.glassShape = DEFAULT_SETTINGS["🔍MagnifyGlass.GlassShape"];
-                this.borderEnabled = DEFAULT_SETTINGS["🔍MagnifyGlass.BorderEnabled"];
-                this.textureFiltering = DEFAULT_SETTINGS["🔍MagnifyGlass.TextureFiltering"];
-                this.alwaysActiveMode = DEFAULT_SETTINGS["🔍MagnifyGlass.AlwaysActiveMode"];
-                this.toggleFollowCursorKey = DEFAULT_SETTINGS["🔍MagnifyGlass.ToggleFollowCursorKey"];
+            // Live zoom change from the mouse wheel (steps: positive zooms in, negative zooms out)
+            adjustZoomFactor(steps) {
+                this.state.actualPixels = false; // Manual zoom ends the 1:1 lock
+                const step = this.config.wheelZoomStep * steps;
+                const newZoom = Math.min(WHEEL_ZOOM_MAX, Math.max(WHEEL_ZOOM_MIN, this.config.zoomFactor + step));
+                const rounded = Math.round(newZoom * 100) / 100; // Avoid float drift from repeated steps
+                if (rounded === this.config.zoomFactor) return;
                 
-                // Alignment adjustment parameters - managed separately
-                this.offsetX = 0; // Default before loading saved
-                this.offsetY = 0; // Default before loading saved
+                this.config.zoomFactor = rounded;
+                this.ui.showHud(`Zoom ${rounded.toFixed(2)}x`);
+                this.queueSettingWrite("🔍MagnifyGlass.ZoomFactor", rounded);
+                this.updateMagnifiedView();
             }
             
-            // Call this after settings are registered and potentially read by MagnifyGlass
-            loadSettings() {
-                this.zoomFactor = getSettingValue("🔍MagnifyGlass.ZoomFactor", this.zoomFactor);
-                this.glassSize = getSettingValue("🔍MagnifyGlass.GlassSize", this.glassSize);
-                this.borderColor = getSettingValue("🔍MagnifyGlass.BorderColor", this.borderColor);
-                this.borderWidth = getSettingValue("🔍MagnifyGlass.BorderWidth", this.borderWidth);
-                this.activationKey = getSettingValue("🔍MagnifyGlass.ActivationKey", this.activationKey);
-                this.altRequired = getSettingValue("🔍MagnifyGlass.AltRequired", this.altRequired);
-                this.followCursor = getSettingValue("🔍MagnifyGlass.FollowCursor", this.followCursor);
-                this.debugMode = getSettingValue("🔍MagnifyGlass.DebugMode", this.debugMode);
-                this.offsetStep = getSettingValue("🔍MagnifyGlass.OffsetStep", this.offsetStep);
-                this.glassPosition = getSettingValue("🔍MagnifyGlass.GlassPosition", this.glassPosition);
-                this.resetKey = getSettingValue("🔍MagnifyGlass.ResetKey", this.resetKey);
-                this.glassShape = getSettingValue("🔍MagnifyGlass.GlassShape", this.glassShape);
-                this.borderEnabled = getSettingValue("🔍MagnifyGlass.BorderEnabled", this.borderEnabled);
-                this.textureFiltering = getSettingValue("🔍MagnifyGlass.TextureFiltering", this.textureFiltering);
-                this.alwaysActiveMode = getSettingValue("🔍MagnifyGlass.AlwaysActiveMode", this.alwaysActiveMode);
-                this.toggleFollowCursorKey = getSettingValue("🔍MagnifyGlass.ToggleFollowCursorKey", this.toggleFollowCursorKey);
+            // Live glass resize from the mouse wheel (steps: positive grows, negative shrinks)
+            adjustGlassSize(steps) {
+                const step = this.config.wheelSizeStep * steps;
+                const newSize = Math.min(WHEEL_SIZE_MAX, Math.max(WHEEL_SIZE_MIN, this.config.glassSize + step));
+                if (newSize === this.config.glassSize) return;
+                
+                this.config.glassSize = newSize;
+                this.applyUiChanges(); // Resize div/canvas and viewport
+                if (this.config.followCursor) {
+                    // Re-anchor around the cursor so the glass grows from its configured position
+                    this.ui.positionGlass(this.lastKnownMousePosition.x, this.lastKnownMousePosition.y);
+                }
+                this.ui.showHud(`Size ${newSize}px`);
+                this.queueSettingWrite("🔍MagnifyGlass.GlassSize", newSize);
+                this.updateMagnifiedView();
             }
             
-            loadSavedOffsets() {
-            try {
-                const savedOffsetX = localStorage.getItem('comfyui_magnify_offset_x');
-                const savedOffsetY = localStorage.getItem('comfyui_magnify_offset_y');
+            // Store wheel-adjusted values in the settings store once the wheel settles
+            queueSettingWrite(settingId, value) {
+                if (!this.config.wheelSaveToSettings) return;
                 
-                if (savedOffsetX !== null) {
-                        this.offsetX = parseInt(savedOffsetX, 10);
-                    } else {
-                        this.offsetX = 0; // Ensure reset if not found
-                    }
-                    
-                    if (savedOffsetY !== null) {
-                        this.offsetY = parseInt(savedOffsetY, 10);
-                    } else {
-                        this.offsetY = 0; // Ensure reset if not found
+                this.pendingSettingWrites[settingId] = value;
+                clearTimeout(this.settingWriteTimeout);
+                this.settingWriteTimeout = setTimeout(() => {
+                    const writes = this.pendingSettingWrites;
+                    this.pendingSettingWrites = {};
+                    for (const [id, pendingValue] of Object.entries(writes)) {
+                        try {
+                            app.ui.settings.setSettingValue(id, pendingValue);
+                        } catch (e) {
+                            console.warn(`ComfyUI Magnifying Glass: Could not save setting ${id}. Error: ${e}`);
+                        }
                     }
-                    
-                    // No initial debug log here, DebugManager handles it based on config.debugMode
-                } catch (e) {
-                    console.error("ComfyUI Magnifying Glass ERROR: Error loading saved offsets:", e);
-                    this.offsetX = 0; // Reset on error
-                    this.offsetY = 0;
-                }
+                }, 400);
             }
             
-            saveOffsets() {
-                try {
-                    localStorage.setItem('comfyui_magnify_offset_x', this.offsetX.toString());
-                    localStorage.setItem('comfyui_magnify_offset_y', this.offsetY.toString());
-                    // No log here, EventHandler handles it
-                } catch (e) {
-                    console.error("ComfyUI Magnifying Glass ERROR: Error saving offsets:", e);
-                }
+            toggleColorProbe() {
+                this.state.colorProbeActive = !this.state.colorProbeActive;
+                if (!this.state.colorProbeActive) this.state.probeColor = null;
+                this.ui.showColorProbe(this.state.colorProbeActive);
+                this.debugger.log(`Color probe ${this.state.colorProbeActive ? 'ON' : 'OFF'}`);
+                this.updateMagnifiedView();
             }
-        }
-        
-        // Magnifier state
-        class MagnifierState {
-            constructor() {
-                this.active = false;
-                this.x = 0; // Cursor X relative to litegraphCanvas
-                this.y = 0; // Cursor Y relative to litegraphCanvas
-                this.sourceX = 0; // Calculated source area X
-                this.sourceY = 0; // Calculated source area Y
-                this.sourceWidth = 0; // Calculated source area width
-                this.sourceHeight = 0; // Calculated source area height
-                this.canvasScale = 1.0; // Current canvas scale/zoom
-                this.canvasOffsetX = 0; // Canvas translation X
-                this.canvasOffsetY = 0; // Canvas translation Y
-                this.isRenderScheduled = false; // Flag to manage requestAnimationFrame
+            
+            // Live image adjustments are not written back to the settings
+            applyAdjustPreset(preset) {
+                this.config.exposure = preset.exposure;
+                this.config.gamma = preset.gamma;
+                this.config.contrast = preset.contrast;
+                this.config.levelsBlack = preset.levelsBlack;
+                this.config.levelsWhite = preset.levelsWhite;
+                this.ui.showHud(`Adjust: ${preset.name}`);
+                this.updateMagnifiedView();
             }
-        }
-        
-        // UI Manager - handles creation and management of DOM elements (Minor changes for config)
-        class UiManager {
-            constructor(config, state) {
-                this.config = config;
-                this.state = state;
-                this.glassDiv = null;
-                this.glassCanvas = null;
-                this.debugCanvas = null;
-                this.debugCtx = null;
-                this.htmlOverlayContainer = null; // Added for HTML overlays
+            
+            cycleAdjustPreset() {
+                this.adjustPresetIndex = (this.adjustPresetIndex + 1) % ADJUST_PRESETS.length;
+                this.applyAdjustPreset(ADJUST_PRESETS[this.adjustPresetIndex]);
             }
             
-            createElements() {
-                // Create magnifying glass container
-                this.glassDiv = document.createElement("div");
-                this.glassDiv.id = "comfyui-magnify-glass";
-                this.glassDiv.style.cssText = `
-                    position: absolute;
-                    width: ${this.config.glassSize}px;
-                    height: ${this.config.glassSize}px;
-                    border-radius: ${this.config.glassShape === "Circle" ? "50%" : "0px"};
-                    border: ${this.config.borderEnabled ? `${this.config.borderWidth}px solid ${this.config.borderColor}` : 'none'};
-                    overflow: hidden;
-                    pointer-events: none;
-                    z-index: 9999;
-                    display: none;
-                    box-shadow: 0 5px 15px rgba(0,0,0,0.3);
-                    background-color: rgba(255,255,255,0.1);
-                `;
-                
-                // Create WebGL canvas for the magnifying glass
-                this.glassCanvas = document.createElement("canvas");
-                this.glassCanvas.width = this.config.glassSize;
-                this.glassCanvas.height = this.config.glassSize;
-                this.glassCanvas.id = "comfyui-magnify-canvas";
-                this.glassDiv.appendChild(this.glassCanvas);
-                
-                // Create HTML overlay container
-                this.htmlOverlayContainer = document.createElement("div");
-                this.htmlOverlayContainer.id = "comfyui-magnify-html-overlay";
-                this.htmlOverlayContainer.style.cssText = `
-                    position: absolute;
-                    top: 0;
-                    left: 0;
-                    width: 100%;
-                    height: 100%;
-                    pointer-events: none;
-                    overflow: hidden; 
-                `;
-                this.glassDiv.appendChild(this.htmlOverlayContainer);
-                
-                document.body.appendChild(this.glassDiv);
-                
-                // Create debug canvas if debug mode is enabled
-                if (this.config.debugMode) {
-                    this.createDebugCanvas();
-                }
+            resetAdjustments() {
+                this.adjustPresetIndex = 0;
+                this.applyAdjustPreset(ADJUST_PRESETS[0]);
             }
             
-            createDebugCanvas() {
-                this.debugCanvas = document.createElement("canvas");
-                this.debugCanvas.id = "comfyui-magnify-debug";
-                this.debugCanvas.width = 400;
-                this.debugCanvas.height = 320;
-                this.debugCanvas.style.cssText = `
-                    position: fixed;
-                    top: 10px;
-                    right: 10px;
-                    background: rgba(0,0,0,0.7);
-                    border: 1px solid #fff;
-                    z-index: 10000;
-                    pointer-events: none;
-                    color: white;
-                    font-family: monospace;
-                    display: none;
-                `;
-                document.body.appendChild(this.debugCanvas);
-                this.debugCtx = this.debugCanvas.getContext('2d');
+            cycleChannelView() {
+                const views = Object.keys(CHANNEL_VIEWS);
+                const index = views.indexOf(this.config.channelView);
+                this.config.channelView = views[(index + 1) % views.length];
+                const imagesOnly = ALPHA_CHANNEL_VIEWS.includes(this.config.channelView) && !this.state.nativeImage && !this.state.compareActive;
+                this.ui.showHud(`View: ${this.config.channelView}${imagesOnly ? " (over images only)" : ""}`);
+                this.updateMagnifiedView();
             }
             
-            show() {
-                this.glassDiv.style.display = "block";
-                if (this.config.debugMode && this.debugCanvas) {
-                    this.debugCanvas.style.display = "block";
+            // Open a file picker for the onion-skin reference image
+            pickReferenceImage() {
+                const input = document.createElement("input");
+                input.type = "file";
+                input.accept = "image/*";
+                input.addEventListener("change", () => {
+                    if (input.files.length) this.loadReferenceFile(input.files[0]);
+                });
+                input.click();
+            }
+            
+            loadReferenceFile(file) {
+                if (!file.type.startsWith("image/")) {
+                    console.warn(`ComfyUI Magnifying Glass: ${file.name} is not an image, ignoring it as a reference.`);
+                    return;
                 }
+                const url = URL.createObjectURL(file);
+                const img = new Image();
+                img.onload = () => {
+                    this.clearReference();
+                    this.state.reference = { img, url, name: file.name, graphRect: this.getReferencePlacement(img), nudgeX: 0, nudgeY: 0, visible: true };
+                    this.ui.showHud(`Reference: ${file.name}`);
+                    if (this.state.active) this.updateMagnifiedView();
+                };
+                img.onerror = () => {
+                    URL.revokeObjectURL(url);
+                    console.error(`ComfyUI Magnifying Glass ERROR: Could not load reference image ${file.name}.`);
+                };
+                img.src = url;
             }
             
-            hide() {
-                this.glassDiv.style.display = "none";
-                if (this.config.debugMode && this.debugCanvas) {
-                    this.debugCanvas.style.display = "none";
+            // Where a new reference goes, in graph units: over the image under the glass, so a same-size
+            // generation lines up, otherwise centered on the glass (or the viewport) at one unit per pixel
+            getReferencePlacement(img) {
+                this.updateCanvasTransformation();
+                const scale = this.state.canvasScale || 1;
+                const hit = this.state.active ? this.findImageUnderGlass() : null;
+                if (hit) {
+                    const topLeft = this.canvasToGraph(hit.rect.x, hit.rect.y);
+                    return { x: topLeft.x, y: topLeft.y, width: hit.rect.width / scale, height: hit.rect.height / scale };
                 }
-                // Clear HTML overlays when hiding
-                if (this.htmlOverlayContainer) {
-                    this.htmlOverlayContainer.innerHTML = '';
+                let center;
+                if (this.state.active) {
+                    center = this.canvasToGraph(this.state.sourceX + this.state.sourceWidth / 2, this.state.sourceY + this.state.sourceHeight / 2);
+                } else {
+                    const view = this.getViewportGraphRect();
+                    center = { x: view.x + view.width / 2, y: view.y + view.height / 2 };
                 }
+                return { x: center.x - img.naturalWidth / 2, y: center.y - img.naturalHeight / 2, width: img.naturalWidth, height: img.naturalHeight };
             }
             
-            positionGlass(clientX, clientY) {
-                if (!this.config.followCursor) return;
-                
-                // Default position: Horizontally centered with cursor, top of glass 20px below cursor
-                let newLeft = clientX - (this.config.glassSize / 2);
-                let newTop = clientY + 20; // Default to Bottom
-
-                const glassSize = this.config.glassSize;
-                const offsetAmount = 20; // How far from the cursor the glass edge should be
-
-                switch (this.config.glassPosition) {
-                    case "Top":
-                        newLeft = clientX - (glassSize / 2);
-                        newTop = clientY - glassSize - offsetAmount;
-                        break;
-                    case "Bottom":
-                        newLeft = clientX - (glassSize / 2);
-                        newTop = clientY + offsetAmount;
-                        break;
-                    case "Left":
-                        newLeft = clientX - glassSize - offsetAmount;
-                        newTop = clientY - (glassSize / 2);
-                        break;
-                    case "Right":
-                        newLeft = clientX + offsetAmount;
-                        newTop = clientY - (glassSize / 2);
-                        break;
-                    case "Top-Left":
-                        newLeft = clientX - glassSize - offsetAmount;
-                        newTop = clientY - glassSize - offsetAmount;
-                        break;
-                    case "Top-Right":
-                        newLeft = clientX + offsetAmount;
-                        newTop = clientY - glassSize - offsetAmount;
-                        break;
-                    case "Bottom-Left":
-                        newLeft = clientX - glassSize - offsetAmount;
-                        newTop = clientY + offsetAmount;
-                        break;
-                    case "Bottom-Right":
-                        newLeft = clientX + offsetAmount;
-                        newTop = clientY + offsetAmount;
-                        break;
-                    default: // Default to Bottom if something is wrong
-                        newLeft = clientX - (glassSize / 2);
-                        newTop = clientY + offsetAmount;
-                        break;
+            clearReference() {
+                if (!this.state.reference) return;
+                URL.revokeObjectURL(this.state.reference.url);
+                this.state.reference = null;
+                if (this.state.active) this.updateMagnifiedView();
+            }
+            
+            // Show or hide the reference; without one, ask for a file
+            toggleReference() {
+                const reference = this.state.reference;
+                if (!reference) {
+                    this.pickReferenceImage();
+                    return;
                 }
-                
-                this.glassDiv.style.left = `${newLeft}px`;
-                this.glassDiv.style.top = `${newTop}px`;
-                
-                this.adjustForBoundaries(clientX, clientY);
+                reference.visible = !reference.visible;
+                this.ui.showHud(`Reference: ${reference.visible ? reference.name : "Hidden"}`);
+                this.updateMagnifiedView();
             }
             
-            adjustForBoundaries(clientX, clientY) {
-                const glassRect = this.glassDiv.getBoundingClientRect();
+            // Move the reference by whole reference pixels to line it up
+            nudgeReference(dx, dy) {
+                const reference = this.state.reference;
+                const rect = reference.graphRect;
+                rect.x += dx * rect.width / reference.img.naturalWidth;
+                rect.y += dy * rect.height / reference.img.naturalHeight;
+                reference.nudgeX += dx;
+                reference.nudgeY += dy;
+                this.ui.showHud(`Reference nudge: ${reference.nudgeX}, ${reference.nudgeY} px`);
+                this.updateMagnifiedView();
+            }
+            
+            cycleTileMode() {
+                const modes = Object.keys(TILE_MODES);
+                const index = modes.indexOf(this.config.tileMode);
+                this.config.tileMode = modes[(index + 1) % modes.length];
+                this.ui.showHud(`Tiles: ${this.config.tileMode}`);
+                this.updateMagnifiedView();
+            }
+            
+            cycleColorVision() {
+                const modes = Object.keys(COLOR_VISION_MATRICES);
+                const index = modes.indexOf(this.config.colorVision);
+                this.config.colorVision = modes[(index + 1) % modes.length];
+                this.ui.showHud(`Vision: ${this.config.colorVision}`);
+                this.updateMagnifiedView();
+            }
+            
+            toggleRegionStats() {
+                this.state.statsActive = !this.state.statsActive;
+                this.ui.showStatsPanel(this.state.statsActive);
+                this.debugger.log(`Region statistics ${this.state.statsActive ? 'ON' : 'OFF'}`);
+                this.lastStatsUpdate = 0;
+                this.updateMagnifiedView();
+            }
+            
+            // Histogram and channel statistics of the sampled region, read back at most once per StatsInterval
+            updateRegionStats() {
+                const wait = this.config.statsInterval - (performance.now() - this.lastStatsUpdate);
+                if (wait > 0) {
+                    // Trailing update so the panel settles on the region where the glass stopped
+                    if (!this.statsTimeout) {
+                        this.statsTimeout = setTimeout(() => {
+                            this.statsTimeout = null;
+                            this.updateMagnifiedView();
+                        }, wait);
+                    }
+                    return;
+                }
+                this.lastStatsUpdate = performance.now();
                 
-                // Check right boundary
-                if (glassRect.right > window.innerWidth) {
-                    this.glassDiv.style.left = `${clientX - glassRect.width - 20}px`;
+                // Same pixels as the glass: the full-resolution image when sampling one, the canvas otherwise
+                const nativeImage = this.state.nativeImage;
+                let pixels;
+                if (nativeImage) {
+                    const img = nativeImage.imageA;
+                    // In tile mode, read the tile under the region's top-left corner (clipped at its seam)
+                    const uvX = nativeImage.tiles ? nativeImage.uvX - Math.floor(nativeImage.uvX) : nativeImage.uvX;
+                    const uvY = nativeImage.tiles ? nativeImage.uvY - Math.floor(nativeImage.uvY) : nativeImage.uvY;
+                    pixels = this.renderer.readImageRegion("Native",
+                        uvX * img.naturalWidth, uvY * img.naturalHeight,
+                        nativeImage.uvWidth * img.naturalWidth, nativeImage.uvHeight * img.naturalHeight);
+                } else {
+                    pixels = this.renderer.readSourceRegion(this.state.sourceX, this.state.sourceY, this.state.sourceWidth, this.state.sourceHeight);
+                }
+                this.ui.updateStatsPanel(pixels ? computeChannelStats(pixels) : null);
+            }
+            
+            updateColorProbe(compare = null) {
+                // Probe the center of the source rect: the cursor pixel once manual offsets are applied
+                const probeX = this.state.sourceX + (this.state.sourceWidth / 2);
+                const probeY = this.state.sourceY + (this.state.sourceHeight / 2);
+                // Over an image sampled at full resolution, probe the image pixel rather than the downscaled canvas
+                const nativeImage = this.state.nativeImage;
+                let pixel;
+                if (compare) {
+                    pixel = this.readComparePixel(compare);
+                } else if (nativeImage) {
+                    pixel = this.renderer.readImagePixel("Native", nativeImage.imageX, nativeImage.imageY);
+                } else {
+                    pixel = this.renderer.readSourcePixel(probeX, probeY);
                 }
+                this.state.probeColor = pixel ? { r: pixel[0], g: pixel[1], b: pixel[2], a: pixel[3] } : null;
+                this.ui.updateColorProbe(this.state.probeColor);
+            }
+            
+            // The compared image pixel shown at the glass center: the side of the divider it is on, the image
+            // currently flickered in, or the per-channel difference of both
+            readComparePixel(compare) {
+                const u = compare.uvX + compare.uvWidth / 2;
+                const v = compare.uvY + compare.uvHeight / 2;
+                const read = (slot, img) => this.renderer.readImagePixel(slot, u * img.naturalWidth, v * img.naturalHeight);
                 
-                // Check left boundary
-                const currentRectLeft = this.glassDiv.getBoundingClientRect();
-                if (currentRectLeft.left < 0) {
-                    this.glassDiv.style.left = "10px";
+                if (compare.mode === "Split") {
+                    return 0.5 > compare.splitPosition ? read("B", compare.imageB) : read("A", compare.imageA);
+                }
+                if (compare.mode === "Flicker") {
+                    return compare.showB ? read("B", compare.imageB) : read("A", compare.imageA);
                 }
+                const a = read("A", compare.imageA);
+                const b = read("B", compare.imageB);
+                if (!a || !b) return null;
+                return [Math.abs(a[0] - b[0]), Math.abs(a[1] - b[1]), Math.abs(a[2] - b[2]), 255];
+            }
+            
+            // Move the A/B split divider from the wheel (steps: positive moves it right)
+            adjustSplitPosition(steps) {
+                const position = Math.min(1, Math.max(0, this.state.compareSplitPosition + steps * SPLIT_WHEEL_STEP));
+                this.state.compareSplitPosition = Math.round(position * 100) / 100;
+                this.ui.showHud(`Split ${Math.round(this.state.compareSplitPosition * 100)}%`);
+                this.updateMagnifiedView();
+            }
+            
+            // Copy the probed color to the clipboard, or into a color/string widget of the selected node
+            copyProbeColor(toSelectedNode) {
+                const color = this.state.probeColor;
+                if (!color) return;
+                const text = formatColor(color, this.config.colorCopyFormat);
                 
-                // Check bottom boundary
-                if (glassRect.bottom > window.innerHeight) {
-                    this.glassDiv.style.top = `${clientY - glassRect.height - 20}px`;
+                if (toSelectedNode) {
+                    const target = this.findColorTargetWidget();
+                    if (!target) {
+                        this.ui.showHud("No color widget on selected node");
+                        return;
+                    }
+                    const { node, widget } = target;
+                    widget.value = text;
+                    if (typeof widget.callback === "function") {
+                        widget.callback(text, app.canvas, node, null, null);
+                    }
+                    // Let ComfyUI's workflow tracking notice the edited value
+                    if (typeof app.graph.change === "function") app.graph.change();
+                    app.graph.setDirtyCanvas(true, true);
+                    this.ui.showHud(`${widget.name} = ${text}`);
+                    return;
                 }
                 
-                // Check top boundary
-                const currentRectTop = this.glassDiv.getBoundingClientRect();
-                if (currentRectTop.top < 0) {
-                    this.glassDiv.style.top = "10px";
+                if (!navigator.clipboard || !navigator.clipboard.writeText) {
+                    this.debugger.error("Clipboard API not available.");
+                    return;
                 }
+                navigator.clipboard.writeText(text)
+                    .then(() => this.ui.showHud(`Copied ${text}`))
+                    .catch(e => console.warn("ComfyUI Magnifying Glass: Could not copy color to clipboard", e));
             }
             
-            cleanup() {
-                if (this.glassDiv) this.glassDiv.remove();
-                if (this.debugCanvas) this.debugCanvas.remove();
-                // No need to explicitly remove htmlOverlayContainer as it's a child of glassDiv
+            // The color widget of the first selected node that has one, as { node, widget }
+            // (LiteGraph widgets have no reference back to their node)
+            findColorTargetWidget() {
+                const selected = app.canvas && app.canvas.selected_nodes ? Object.values(app.canvas.selected_nodes) : [];
+                for (const node of selected) {
+                    if (!node.widgets) continue;
+                    // Prefer a dedicated color widget, then a text widget that is named like a color
+                    const colorWidget = node.widgets.find(w => w.type === "color");
+                    if (colorWidget) return { node, widget: colorWidget };
+                    const stringWidget = node.widgets.find(w =>
+                        (w.type === "text" || w.type === "string" || w.type === "customtext") &&
+                        /colou?r|hex/i.test(w.name || ""));
+                    if (stringWidget) return { node, widget: stringWidget };
+                }
+                return null;
             }
-        }
-        
-        // WebGL Renderer
-        class WebGLRenderer {
-            constructor(config, state, ui) {
-                this.config = config;
-                this.state = state;
-                this.ui = ui;
+            
+            // Pin the current live view as a loupe anchored at the graph point under the glass center
+            pinCurrentView() {
+                if (!this.state.active || this.state.sourceWidth <= 0) return;
                 
-                this.gl = null;
-                this.program = null;
-                this.texture = null;
-                this.positionBuffer = null;
-                this.texCoordBuffer = null;
-                this.uniformLocations = null;
-                this.attributeLocations = null;
-                this.currentFilteringMode = null; // To store the GL constant for filtering
+                const scale = this.state.canvasScale || 1;
+                const center = this.canvasToGraph(this.state.sourceX + this.state.sourceWidth / 2, this.state.sourceY + this.state.sourceHeight / 2);
+                const loupe = this.createLoupe({
+                    size: this.config.glassSize,
+                    // Sampled region is fixed in graph units so it stays on the same content while zooming
+                    graphWidth: this.state.sourceWidth / scale,
+                    graphHeight: this.state.sourceHeight / scale,
+                    anchorGraphX: center.x,
+                    anchorGraphY: center.y,
+                });
                 
-                this.vertexShaderSource = `
-            attribute vec2 a_position;
-            attribute vec2 a_texCoord;
-            varying vec2 v_texCoord;
-            void main() {
-                gl_Position = vec4(a_position, 0.0, 1.0);
-                v_texCoord = a_texCoord;
+                const anchor = this.graphToClient(loupe.anchorGraphX, loupe.anchorGraphY);
+                const glassRect = this.ui.glassDiv.getBoundingClientRect();
+                loupe.screenOffsetX = glassRect.left - anchor.x;
+                loupe.screenOffsetY = glassRect.top - anchor.y;
+                
+                this.ui.showHud(`Pinned loupe ${loupe.id}`);
+                this.updateMagnifiedView();
             }
-        `;
-
-                this.fragmentShaderSource = `
-            precision mediump float;
-            varying vec2 v_texCoord;
-            uniform sampler2D u_sourceTexture;
-            uniform vec2 u_textureOffset;
-            uniform vec2 u_textureRepeat;
-                    uniform float u_glassSize;
-
-            void main() {
-                vec2 sampleCoord = u_textureOffset + v_texCoord * u_textureRepeat;
-                vec4 color = texture2D(u_sourceTexture, sampleCoord);
-                gl_FragColor = color;
+            
+            createLoupe(props) {
+                const loupe = {
+                    id: this.nextLoupeId++,
+                    state: new MagnifierState(),
+                    size: LOUPE_MIN_SIZE,
+                    graphWidth: 0,
+                    graphHeight: 0,
+                    anchorGraphX: 0,
+                    anchorGraphY: 0,
+                    screenOffsetX: 0, // Loupe top-left relative to the anchor's screen position
+                    screenOffsetY: 0,
+                    // Callouts are saved with the workflow and live entirely in graph units
+                    callout: false,
+                    graphOffsetX: 0,
+                    graphOffsetY: 0,
+                    graphSize: 0,
+                    elements: null,
+                    ...props
+                };
+                this.ui.createLoupeElements(loupe);
+                this.eventHandler.attachLoupeListeners(loupe);
+                this.loupes.push(loupe);
+                return loupe;
             }
-        `;
-
-                this.initialize();
+            
+            unpinLoupe(loupe) {
+                this.loupes = this.loupes.filter(l => l !== loupe);
+                this.ui.removeLoupeElements(loupe);
+                if (loupe.callout) this.saveCallouts();
             }
             
-            initialize() {
-                // Get WebGL context
-                this.gl = this.ui.glassCanvas.getContext("webgl", { preserveDrawingBuffer: true });
-                if (!this.gl) {
-                    console.error("ComfyUI Magnifying Glass ERROR: WebGL not supported or context creation failed.");
-                    return;
-                }
-                
-                // Create shader program
-                this.program = this.createShaderProgram(this.gl, this.vertexShaderSource, this.fragmentShaderSource);
-                if (!this.program) return;
+            // Client (CSS) pixels per graph unit at the current canvas zoom
+            clientPixelsPerGraphUnit() {
+                const rect = this.litegraphCanvas.getBoundingClientRect();
+                const cssPerPixel = this.litegraphCanvas.width > 0 ? rect.width / this.litegraphCanvas.width : 1;
+                return this.state.canvasScale * cssPerPixel;
+            }
+            
+            // Turn a pinned loupe into a workflow callout (or back), freezing its placement in graph units
+            toggleCallout(loupe) {
+                const perGraphUnit = this.clientPixelsPerGraphUnit();
+                if (perGraphUnit <= 0) return;
                 
-                // Create position buffer
-                this.positionBuffer = this.gl.createBuffer();
-                this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
-                const positions = [-1, -1, 1, -1, -1, 1, 1, 1];
-                this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array(positions), this.gl.STATIC_DRAW);
+                if (!loupe.callout) {
+                    loupe.callout = true;
+                    loupe.graphOffsetX = loupe.screenOffsetX / perGraphUnit;
+                    loupe.graphOffsetY = loupe.screenOffsetY / perGraphUnit;
+                    loupe.graphSize = loupe.size / perGraphUnit;
+                } else {
+                    loupe.callout = false;
+                    loupe.screenOffsetX = loupe.graphOffsetX * perGraphUnit;
+                    loupe.screenOffsetY = loupe.graphOffsetY * perGraphUnit;
+                }
+                this.ui.updateLoupeCalloutStyle(loupe);
+                this.ui.showHud(loupe.callout ? "Saved as workflow callout" : "Callout removed from workflow");
+                this.saveCallouts();
+                this.updateMagnifiedView();
+            }
+            
+            // Mirror the callouts into the graph's extra data so they are serialized with the workflow
+            saveCallouts() {
+                if (!app.graph) return;
+                const callouts = this.loupes.filter(loupe => loupe.callout).map(loupe => ({
+                    anchor: [loupe.anchorGraphX, loupe.anchorGraphY],
+                    region: [loupe.graphWidth, loupe.graphHeight],
+                    offset: [loupe.graphOffsetX, loupe.graphOffsetY],
+                    size: loupe.graphSize
+                }));
                 
-                // Create texture coordinate buffer
-                this.texCoordBuffer = this.gl.createBuffer();
-                this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.texCoordBuffer);
-                const texCoords = [0, 1, 1, 1, 0, 0, 1, 0]; // Flipped Y for texCoords
-                this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array(texCoords), this.gl.STATIC_DRAW);
+                app.graph.extra = app.graph.extra || {};
+                if (callouts.length) {
+                    app.graph.extra[CALLOUT_EXTRA_KEY] = { version: 1, callouts };
+                } else {
+                    delete app.graph.extra[CALLOUT_EXTRA_KEY];
+                }
+                // Let ComfyUI's workflow tracking notice the change
+                if (typeof app.graph.change === "function") app.graph.change();
+            }
+            
+            restoreCallouts() {
+                if (!this.renderer || !this.litegraphCanvas) return; // init() restores once it is ready
                 
-                // Create texture
-                this.texture = this.gl.createTexture();
-                this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
-                this.gl.pixelStorei(this.gl.UNPACK_FLIP_Y_WEBGL, false);
-                this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
-                this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
-                this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.LINEAR);
-                this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.LINEAR);
-                this.updateTextureFiltering(this.config.textureFiltering); // Initialize with config setting
+                for (const loupe of this.loupes.filter(l => l.callout)) {
+                    this.loupes = this.loupes.filter(l => l !== loupe);
+                    this.ui.removeLoupeElements(loupe);
+                }
                 
-                // Get uniform and attribute locations
-                this.uniformLocations = {
-                    sourceTexture: this.gl.getUniformLocation(this.program, "u_sourceTexture"),
-                    textureOffset: this.gl.getUniformLocation(this.program, "u_textureOffset"),
-                    textureRepeat: this.gl.getUniformLocation(this.program, "u_textureRepeat"),
-                    glassSize: this.gl.getUniformLocation(this.program, "u_glassSize"),
-                };
+                const saved = app.graph && app.graph.extra ? app.graph.extra[CALLOUT_EXTRA_KEY] : null;
+                const callouts = saved && Array.isArray(saved.callouts) ? saved.callouts : [];
+                let restored = 0;
+                for (const callout of callouts) {
+                    if (!isValidCallout(callout)) {
+                        console.warn("ComfyUI Magnifying Glass: Skipping a malformed callout in the workflow:", callout);
+                        continue;
+                    }
+                    restored++;
+                    const loupe = this.createLoupe({
+                        callout: true,
+                        anchorGraphX: callout.anchor[0],
+                        anchorGraphY: callout.anchor[1],
+                        graphWidth: callout.region[0],
+                        graphHeight: callout.region[1],
+                        graphOffsetX: callout.offset[0],
+                        graphOffsetY: callout.offset[1],
+                        graphSize: callout.size
+                    });
+                    this.ui.updateLoupeCalloutStyle(loupe);
+                }
                 
-                this.attributeLocations = {
-                    position: this.gl.getAttribLocation(this.program, "a_position"),
-                    texCoord: this.gl.getAttribLocation(this.program, "a_texCoord"),
+                this.debugger.log(`Restored ${restored} of ${callouts.length} callout(s) from the workflow.`);
+                this.updateMagnifiedView();
+            }
+            
+            unpinAllLoupes() {
+                for (const loupe of [...this.loupes]) this.unpinLoupe(loupe);
+            }
+            
+            graphToClient(graphX, graphY) {
+                const rect = this.litegraphCanvas.getBoundingClientRect();
+                const cssPerPixelX = this.litegraphCanvas.width > 0 ? rect.width / this.litegraphCanvas.width : 1;
+                const cssPerPixelY = this.litegraphCanvas.height > 0 ? rect.height / this.litegraphCanvas.height : 1;
+                const point = this.graphToCanvas(graphX, graphY);
+                return {
+                    x: rect.left + point.x * cssPerPixelX,
+                    y: rect.top + point.y * cssPerPixelY
                 };
             }
             
-            updateTextureFiltering(filteringModeString) {
-                if (!this.gl) return;
-
-                let glFilterMode;
-                if (filteringModeString === "Nearest") {
-                    glFilterMode = this.gl.NEAREST;
-                } else { // Default to Linear
-                    glFilterMode = this.gl.LINEAR;
+            renderPinnedLoupes() {
+                const scale = this.state.canvasScale;
+                for (const loupe of this.loupes) {
+                    const loupeState = loupe.state;
+                    loupeState.canvasScale = scale;
+                    loupeState.canvasOffsetX = this.state.canvasOffsetX;
+                    loupeState.canvasOffsetY = this.state.canvasOffsetY;
+                    loupeState.sourceWidth = loupe.graphWidth * scale;
+                    loupeState.sourceHeight = loupe.graphHeight * scale;
+                    const sourceTopLeft = this.graphToCanvas(loupe.anchorGraphX - loupe.graphWidth / 2, loupe.anchorGraphY - loupe.graphHeight / 2);
+                    loupeState.sourceX = sourceTopLeft.x;
+                    loupeState.sourceY = sourceTopLeft.y;
+                    
+                    const anchor = this.graphToClient(loupe.anchorGraphX, loupe.anchorGraphY);
+                    if (loupe.callout) {
+                        // Callouts scale and move with the canvas like nodes do
+                        const perGraphUnit = this.clientPixelsPerGraphUnit();
+                        const size = Math.round(Math.min(CALLOUT_MAX_SIZE, Math.max(CALLOUT_MIN_SIZE, loupe.graphSize * perGraphUnit)));
+                        if (size !== loupe.size) this.ui.resizeLoupe(loupe, size);
+                        const left = anchor.x + loupe.graphOffsetX * perGraphUnit;
+                        const top = anchor.y + loupe.graphOffsetY * perGraphUnit;
+                        this.ui.positionLoupe(loupe, left, top);
+                        
+                        const regionTopLeft = this.graphToClient(loupe.anchorGraphX - loupe.graphWidth / 2, loupe.anchorGraphY - loupe.graphHeight / 2);
+                        this.ui.updateCalloutLeader(loupe, anchor, {
+                            x: regionTopLeft.x,
+                            y: regionTopLeft.y,
+                            width: loupe.graphWidth * perGraphUnit,
+                            height: loupe.graphHeight * perGraphUnit
+                        });
+                    } else {
+                        this.ui.positionLoupe(loupe, anchor.x + loupe.screenOffsetX, anchor.y + loupe.screenOffsetY);
+                    }
+                    this.renderer.drawToCanvas(loupeState, loupe.elements.canvas);
                 }
-
-                if (this.currentFilteringMode === glFilterMode) return; // No change needed
-
-                this.currentFilteringMode = glFilterMode;
-
-                this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
-                this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, glFilterMode);
-                this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, glFilterMode);
-                this.gl.bindTexture(this.gl.TEXTURE_2D, null); // Unbind
-                // console.log(`ComfyUI Magnifying Glass: Texture filtering updated to ${filteringModeString}`);
             }
-
-            isValid() {
-                return this.gl !== null && this.program !== null;
+            
+            // Follow devicePixelRatio changes (window moved to another monitor, browser zoom). The media query
+            // only matches the ratio it was created for, so each change re-arms it at the new ratio.
+            watchPixelRatio() {
+                const query = window.matchMedia(`(resolution: ${getPixelRatio()}dppx)`);
+                query.addEventListener("change", () => this.handlePixelRatioChange(), { once: true });
             }
             
-            createShaderProgram(gl, vsSource, fsSource) {
-            const vertexShader = gl.createShader(gl.VERTEX_SHADER);
-            gl.shaderSource(vertexShader, vsSource);
-            gl.compileShader(vertexShader);
-            if (!gl.getShaderParameter(vertexShader, gl.COMPILE_STATUS)) {
-                    console.error('ComfyUI Magnifying Glass ERROR: Vertex shader compilation error:', gl.getShaderInfoLog(vertexShader));
-                gl.deleteShader(vertexShader);
-                return null;
+            handlePixelRatioChange() {
+                this.debugger.log(`Device pixel ratio changed to ${getPixelRatio()}`);
+                this.applyUiChanges(); // Resizes the glass drawing buffer
+                for (const loupe of this.loupes) {
+                    if (loupe.elements) this.ui.resizeLoupe(loupe, loupe.size);
+                }
+                this.watchPixelRatio();
+                this.updateMagnifiedView();
             }
-
-            const fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
-            gl.shaderSource(fragmentShader, fsSource);
-            gl.compileShader(fragmentShader);
-            if (!gl.getShaderParameter(fragmentShader, gl.COMPILE_STATUS)) {
-                    console.error('ComfyUI Magnifying Glass ERROR: Fragment shader compilation error:', gl.getShaderInfoLog(fragmentShader));
-                gl.deleteShader(vertexShader);
-                gl.deleteShader(fragmentShader);
-                return null;
+            
+            // Live refresh: LiteGraph only runs onDrawForeground when it actually redraws the canvas (pans, zooms,
+            // sampler previews, animations), so hooking it refreshes the glass, loupes and navigator exactly then
+            // and never re-uploads an unchanged canvas
+            hookCanvasDraw() {
+                const magnifyGlass = this;
+                const originalOnDrawForeground = app.canvas.onDrawForeground;
+                this.originalOnDrawForeground = originalOnDrawForeground;
+                this.canvasDrawHook = function () {
+                    const result = originalOnDrawForeground ? originalOnDrawForeground.apply(this, arguments) : undefined;
+                    if (magnifyGlass.canvasDrawHook) magnifyGlass.handleCanvasRedraw();
+                    return result;
+                };
+                app.canvas.onDrawForeground = this.canvasDrawHook;
             }
-
-            const program = gl.createProgram();
-            gl.attachShader(program, vertexShader);
-            gl.attachShader(program, fragmentShader);
-            gl.linkProgram(program);
-
-            if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-                    console.error('ComfyUI Magnifying Glass ERROR: Shader program linking error:', gl.getProgramInfoLog(program));
-                gl.deleteProgram(program);
-                gl.deleteShader(vertexShader);
-                gl.deleteShader(fragmentShader);
-                return null;
+            
+            // Put the original onDrawForeground back. If another extension has wrapped ours since, ours stays in
+            // its chain but no longer refreshes anything.
+            unhookCanvasDraw() {
+                if (!this.canvasDrawHook) return;
+                if (app.canvas && app.canvas.onDrawForeground === this.canvasDrawHook) {
+                    app.canvas.onDrawForeground = this.originalOnDrawForeground;
+                }
+                this.canvasDrawHook = null;
+                this.originalOnDrawForeground = null;
+                clearTimeout(this.liveRefreshTimeout);
+                this.liveRefreshTimeout = null;
             }
-                
-            return program;
+            
+            // onDrawForeground runs in the middle of LiteGraph's draw, so the refresh waits for a microtask: by then
+            // the frame is complete and the vector canvas does not start a draw inside the main one
+            handleCanvasRedraw() {
+                if (this.liveRefreshQueued || (!this.state.active && !this.hasBackgroundViews())) return;
+                this.liveRefreshQueued = true;
+                queueMicrotask(() => {
+                    this.liveRefreshQueued = false;
+                    this.refreshAfterCanvasDraw();
+                });
             }
             
-            render(sourceCanvas) {
-                // Bind texture and update with source canvas
-                this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
-                
+            refreshAfterCanvasDraw() {
+                if (!this.canvasDrawHook || (!this.state.active && !this.hasBackgroundViews())) return;
+                if (this.config.liveRefreshFps <= 0) {
+                    // No live refresh, but the loupes and navigator still follow pans and zooms
+                    if (this.getCanvasTransformKey() !== this.liveRefreshTransformKey) this.runLiveRefresh();
+                    return;
+                }
+                const wait = 1000 / this.config.liveRefreshFps - (performance.now() - this.lastLiveRefresh);
+                if (wait > 0) {
+                    // Trailing refresh so the views settle on the last frame LiteGraph drew
+                    if (!this.liveRefreshTimeout) {
+                        this.liveRefreshTimeout = setTimeout(() => {
+                            this.liveRefreshTimeout = null;
+                            this.runLiveRefresh();
+                        }, wait);
+                    }
+                    return;
+                }
+                this.runLiveRefresh();
+            }
+            
+            runLiveRefresh() {
+                this.lastLiveRefresh = performance.now();
+                this.liveRefreshTransformKey = this.getCanvasTransformKey();
+                this.updateMagnifiedView();
+            }
+            
+            getCanvasTransformKey() {
+                const ds = app.canvas.ds;
+                return `${ds.scale},${ds.offset[0]},${ds.offset[1]},${this.litegraphCanvas.width}x${this.litegraphCanvas.height}`;
+            }
+            
+            toggleNavigator() {
+                this.config.navigator = !this.config.navigator;
+                this.updateNavigatorVisibility();
                 try {
-                    this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, this.gl.RGBA, this.gl.UNSIGNED_BYTE, sourceCanvas);
+                    app.ui.settings.setSettingValue("🔍MagnifyGlass.Navigator", this.config.navigator);
                 } catch (e) {
-                    console.error("ComfyUI Magnifying Glass ERROR: Error in texImage2D:", e);
-                    return;
+                    console.warn(`ComfyUI Magnifying Glass: Could not save navigator setting. Error: ${e}`);
                 }
+            }
+            
+            updateNavigatorVisibility() {
+                if (!this.renderer || !this.litegraphCanvas) return; // init() applies it once ready
                 
-                // Calculate normalized texture coordinates (UV space: 0-1)
-                const uvX = this.state.sourceX / sourceCanvas.width;
-                const uvY = this.state.sourceY / sourceCanvas.height;
-                // Corrected: sourceWidth/Height are now *already* in sourceCanvas pixel units
-                const uvWidth = this.state.sourceWidth / sourceCanvas.width;
-                const uvHeight = this.state.sourceHeight / sourceCanvas.height;
+                if (this.config.navigator && !this.ui.navigatorDiv) {
+                    this.ui.createNavigatorElements();
+                    this.eventHandler.attachNavigatorListeners();
+                    this.navigatorViewKey = null; // The new panel has no viewport image yet
+                } else if (!this.config.navigator && this.ui.navigatorDiv) {
+                    this.ui.removeNavigatorElements();
+                    this.navigatorMap = null;
+                }
                 
-                // Set up rendering
-                this.gl.viewport(0, 0, this.gl.canvas.width, this.gl.canvas.height);
-                this.gl.clearColor(0.0, 0.0, 0.0, 0.0);
-                this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+                if (this.hasBackgroundViews()) this.updateMagnifiedView();
+            }
+            
+            // The part of the graph visible on the LiteGraph canvas, in graph units
+            getViewportGraphRect() {
+                const scale = this.state.canvasScale || 1;
+                const topLeft = this.canvasToGraph(0, 0);
+                return {
+                    x: topLeft.x,
+                    y: topLeft.y,
+                    width: this.litegraphCanvas.width / scale,
+                    height: this.litegraphCanvas.height / scale
+                };
+            }
+            
+            // Graph units bounds of every node and group, as [x, y, width, height] including node title bars
+            getGraphItemBounds() {
+                const bounds = [];
+                const graph = app.graph;
+                if (!graph) return bounds;
                 
-                this.gl.useProgram(this.program);
+                const titleHeight = LiteGraph.NODE_TITLE_HEIGHT || 30;
+                for (const group of graph._groups || graph.groups || []) {
+                    const rect = group._bounding || (group.pos && group.size ? [group.pos[0], group.pos[1], group.size[0], group.size[1]] : null);
+                    if (rect) bounds.push({ rect, color: group.color || "#3f789e", group: true });
+                }
+                for (const node of graph._nodes || graph.nodes || []) {
+                    if (!node.pos || !node.size) continue;
+                    const collapsed = node.flags && node.flags.collapsed;
+                    const width = collapsed ? (node._collapsed_width || LiteGraph.NODE_COLLAPSED_WIDTH || node.size[0]) : node.size[0];
+                    const height = collapsed ? titleHeight : node.size[1] + titleHeight;
+                    bounds.push({
+                        rect: [node.pos[0], node.pos[1] - titleHeight, width, height],
+                        color: node.bgcolor || node.color || LiteGraph.NODE_DEFAULT_BGCOLOR || "#353535",
+                        group: false
+                    });
+                }
+                return bounds;
+            }
+            
+            // The navigator's viewport image only changes with the canvas transform (pans, zooms, resizes)
+            // and the panel size
+            getNavigatorViewKey() {
+                const panelWidth = this.ui.navigatorCanvas ? this.ui.navigatorCanvas.width : 0;
+                return `${this.state.canvasScale},${this.state.canvasOffsetX},${this.state.canvasOffsetY},${this.litegraphCanvas.width}x${this.litegraphCanvas.height},${panelWidth}`;
+            }
+            
+            isNavigatorViewStale() {
+                return this.navigatorViewKey !== this.getNavigatorViewKey();
+            }
+            
+            // Downscaled whole-graph overview: node boxes everywhere, the live canvas inside the viewport rect.
+            // Boxes and rects are redrawn every frame, the viewport image only when the transform changed.
+            renderNavigator() {
+                const canvas = this.ui.navigatorCanvas;
+                if (!canvas) return;
+                const ctx = canvas.getContext("2d");
+                const width = canvas.width;
+                const height = canvas.height;
                 
-                // Set uniforms
-                this.gl.activeTexture(this.gl.TEXTURE0);
-                this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
-                this.gl.uniform1i(this.uniformLocations.sourceTexture, 0);
-                this.gl.uniform2f(this.uniformLocations.textureOffset, uvX, uvY);
-                this.gl.uniform2f(this.uniformLocations.textureRepeat, uvWidth, uvHeight);
-                this.gl.uniform1f(this.uniformLocations.glassSize, this.config.glassSize);
+                const view = this.getViewportGraphRect();
+                const items = this.getGraphItemBounds();
                 
-                // Set attributes
-                this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
-                this.gl.vertexAttribPointer(this.attributeLocations.position, 2, this.gl.FLOAT, false, 0, 0);
-                this.gl.enableVertexAttribArray(this.attributeLocations.position);
+                let map = this.navigatorDragMap;
+                if (!map) {
+                    // Fit the graph and the viewport, centered in the panel
+                    let minX = view.x, minY = view.y, maxX = view.x + view.width, maxY = view.y + view.height;
+                    for (const { rect } of items) {
+                        minX = Math.min(minX, rect[0]);
+                        minY = Math.min(minY, rect[1]);
+                        maxX = Math.max(maxX, rect[0] + rect[2]);
+                        maxY = Math.max(maxY, rect[1] + rect[3]);
+                    }
+                    const innerWidth = width - NAVIGATOR_PADDING * 2;
+                    const innerHeight = height - NAVIGATOR_PADDING * 2;
+                    const mapScale = Math.min(innerWidth / Math.max(1, maxX - minX), innerHeight / Math.max(1, maxY - minY));
+                    map = {
+                        scale: mapScale,
+                        originX: NAVIGATOR_PADDING + (innerWidth - (maxX - minX) * mapScale) / 2 - minX * mapScale,
+                        originY: NAVIGATOR_PADDING + (innerHeight - (maxY - minY) * mapScale) / 2 - minY * mapScale
+                    };
+                }
+                this.navigatorMap = map;
+                const toPanel = (rect) => [rect[0] * map.scale + map.originX, rect[1] * map.scale + map.originY, rect[2] * map.scale, rect[3] * map.scale];
                 
-                this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.texCoordBuffer);
-                this.gl.vertexAttribPointer(this.attributeLocations.texCoord, 2, this.gl.FLOAT, false, 0, 0);
-                this.gl.enableVertexAttribArray(this.attributeLocations.texCoord);
+                ctx.clearRect(0, 0, width, height);
+                for (const item of items) {
+                    const [x, y, w, h] = toPanel(item.rect);
+                    ctx.globalAlpha = item.group ? 0.35 : 1;
+                    ctx.fillStyle = item.color;
+                    ctx.fillRect(x, y, Math.max(1, w), Math.max(1, h));
+                }
+                ctx.globalAlpha = 1;
                 
-                // Draw
-                this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+                // The viewport shows what the canvas actually draws, through the same shader as the glass
+                const [viewX, viewY, viewW, viewH] = toPanel([view.x, view.y, view.width, view.height]);
+                const viewCanvas = this.ui.navigatorViewCanvas;
+                if (this.isNavigatorViewStale()) {
+                    viewCanvas.width = Math.max(1, Math.round(viewW));
+                    viewCanvas.height = Math.max(1, Math.round(viewH));
+                    const viewState = this.navigatorState;
+                    viewState.sourceX = 0;
+                    viewState.sourceY = 0;
+                    viewState.sourceWidth = this.litegraphCanvas.width;
+                    viewState.sourceHeight = this.litegraphCanvas.height;
+                    this.renderer.drawToCanvas(viewState, viewCanvas, true);
+                    this.navigatorViewKey = this.getNavigatorViewKey();
+                }
+                ctx.drawImage(viewCanvas, viewX, viewY, viewW, viewH);
+                
+                ctx.lineWidth = 1;
+                ctx.strokeStyle = "#ffffff";
+                ctx.strokeRect(viewX + 0.5, viewY + 0.5, Math.max(1, viewW - 1), Math.max(1, viewH - 1));
+                
+                if (this.state.active && this.state.sourceWidth > 0) {
+                    const sourceTopLeft = this.canvasToGraph(this.state.sourceX, this.state.sourceY);
+                    const scale = this.state.canvasScale || 1;
+                    const [x, y, w, h] = toPanel([sourceTopLeft.x, sourceTopLeft.y, this.state.sourceWidth / scale, this.state.sourceHeight / scale]);
+                    ctx.strokeStyle = NAVIGATOR_ACCENT_COLOR;
+                    ctx.strokeRect(x, y, Math.max(2, w), Math.max(2, h));
+                }
             }
             
-            checkWebGLError(label) {
-                const err = this.gl.getError();
-                if (err !== this.gl.NO_ERROR) {
-                    console.error(`ComfyUI Magnifying Glass ERROR: WebGL Error (${label}):`, err);
-                    return true;
-                }
-                return false;
+            // Client position on the navigator panel -> graph coordinates, using the given mapping
+            navigatorClientToGraph(clientX, clientY, map) {
+                const canvas = this.ui.navigatorCanvas;
+                const rect = canvas.getBoundingClientRect();
+                if (!map || rect.width <= 0 || rect.height <= 0) return null;
+                const panelX = (clientX - rect.left) * canvas.width / rect.width;
+                const panelY = (clientY - rect.top) * canvas.height / rect.height;
+                return {
+                    x: (panelX - map.originX) / map.scale,
+                    y: (panelY - map.originY) / map.scale
+                };
             }
-        }
-        
-        // Event Handler
-        class EventHandler {
-            constructor(magnifyGlass) {
-                this.magnifyGlass = magnifyGlass;
+            
+            // Pan the LiteGraph canvas so the viewport's top-left corner is at the given graph point
+            panCanvasTo(graphX, graphY) {
+                if (!app.canvas || !app.canvas.ds) return;
+                app.canvas.ds.offset[0] = -graphX;
+                app.canvas.ds.offset[1] = -graphY;
+                app.canvas.setDirty(true, true);
+                this.updateMagnifiedView();
             }
             
-            attachListeners() {
-                // Keydown event
-                document.addEventListener("keydown", this.handleKeyDown.bind(this));
+            // Save the current glass content (WebGL frame + HTML overlay clones) as a PNG
+            async takeSnapshot() {
+                if (!this.renderer || !this.state.hasRendered) {
+                    // Expected before the first frame, not an error
+                    this.ui.showHud("Nothing to snapshot yet");
+                    this.debugger.log("Nothing to snapshot yet. Activate the magnifier first.");
+                    return;
+                }
                 
-                // Keyup event
-                document.addEventListener("keyup", this.handleKeyUp.bind(this));
+                let blob;
+                try {
+                    const snapshotCanvas = this.composeSnapshotCanvas();
+                    blob = await new Promise((resolve, reject) => {
+                        snapshotCanvas.toBlob(result => result ? resolve(result) : reject(new Error("toBlob returned null")), "image/png");
+                    });
+                } catch (e) {
+                    // A cross-origin overlay image taints the canvas and makes toBlob throw
+                    this.debugger.error("Could not create snapshot image:", e);
+                    this.ui.showHud("Snapshot failed");
+                    return;
+                }
                 
-                // Mousemove event
-                document.addEventListener("mousemove", this.handleMouseMove.bind(this));
+                try {
+                    switch (this.config.snapshotDestination) {
+                        case "Download":
+                            this.downloadSnapshot(blob);
+                            this.ui.showHud("Snapshot downloaded");
+                            break;
+                        case "Output Folder": {
+                            const saved = await this.uploadSnapshot(blob);
+                            this.ui.showHud(`Saved ${saved.subfolder}/${saved.filename}`);
+                            break;
+                        }
+                        default: // Clipboard
+                            await navigator.clipboard.write([new ClipboardItem({ "image/png": blob })]);
+                            this.ui.showHud("Snapshot copied");
+                            break;
+                    }
+                } catch (e) {
+                    this.debugger.error(`Could not save snapshot (${this.config.snapshotDestination}):`, e);
+                    this.ui.showHud("Snapshot failed");
+                }
             }
             
-            handleKeyDown(e) {
-                const config = this.magnifyGlass.config;
-                const state = this.magnifyGlass.state;
+            composeSnapshotCanvas() {
+                const glassCanvas = this.ui.glassCanvas;
+                const pixelRatio = glassCanvas.width / this.config.glassSize; // Snapshots keep the drawing buffer's resolution
+                const captionHeight = this.config.snapshotCaption ? Math.round(SNAPSHOT_CAPTION_HEIGHT * pixelRatio) : 0;
+                const snapshotCanvas = document.createElement("canvas");
+                snapshotCanvas.width = glassCanvas.width;
+                snapshotCanvas.height = glassCanvas.height + captionHeight;
+                const ctx = snapshotCanvas.getContext("2d");
                 
-                // Magnifier activation
-                if (e.key.toLowerCase() === config.activationKey && 
-                    (!config.altRequired || e.altKey)) {
-                    if (config.alwaysActiveMode) {
-                        if (state.active) {
-                            state.active = false;
-                            this.magnifyGlass.ui.hide();
-                        } else {
-                            state.active = true;
-                            this.magnifyGlass.ui.show();
-                            this.updateInitialPosition(); // Update position when activating
-                        }
-                    } else {
-                        if (!state.active) {
-                            state.active = true;
-                            this.magnifyGlass.ui.show();
-                            this.updateInitialPosition(); // Update position when activating
-                        }
-                    }
+                // The glass canvas is a 2D canvas holding the last frame
+                ctx.drawImage(glassCanvas, 0, 0);
+                this.drawOverlayClonesToSnapshot(ctx, glassCanvas.width);
+                
+                if (captionHeight > 0) {
+                    ctx.fillStyle = "#111";
+                    ctx.fillRect(0, glassCanvas.height, snapshotCanvas.width, captionHeight);
+                    ctx.fillStyle = "#ddd";
+                    ctx.font = `${Math.round(12 * pixelRatio)}px monospace`;
+                    ctx.textBaseline = "middle";
+                    ctx.fillText(this.getSnapshotCaption(), 6 * pixelRatio, glassCanvas.height + captionHeight / 2, snapshotCanvas.width - 12 * pixelRatio);
                 }
+                return snapshotCanvas;
+            }
+            
+            // Rasterize the cloned DOM widgets on top of the WebGL frame
+            drawOverlayClonesToSnapshot(ctx, targetWidth) {
+                const container = this.ui.htmlOverlayContainer;
+                if (!container || !container.children.length) return;
                 
-                // Manual offset adjustment keys (only when magnifier is active)
-                if (state.active) {
-                    let offsetChanged = false;
-                    
-                    // Use larger steps when shift is pressed
-                    const stepSize = e.shiftKey ? config.offsetStep * 5 : config.offsetStep;
-                    
-                    // Arrow keys to adjust offset
-                    if (e.key === "ArrowUp") {
-                        config.offsetY -= stepSize;
-                        offsetChanged = true;
-                        e.preventDefault();
-                    } else if (e.key === "ArrowDown") {
-                        config.offsetY += stepSize;
-                        offsetChanged = true;
-                        e.preventDefault();
-                    } else if (e.key === "ArrowLeft") {
-                        config.offsetX -= stepSize;
-                        offsetChanged = true;
-                        e.preventDefault();
-                    } else if (e.key === "ArrowRight") {
-                        config.offsetX += stepSize;
-                        offsetChanged = true;
-                        e.preventDefault();
-                    } else if (e.key.toLowerCase() === config.resetKey.toLowerCase() && 
-                               (!config.altRequired || e.altKey)) { // Use configured reset key & check Alt
-                        // Reset offsets to zero
-                        config.offsetX = 0;
-                        config.offsetY = 0;
-                        offsetChanged = true;
-                        e.preventDefault();
-                    }
+                const containerRect = container.getBoundingClientRect();
+                if (containerRect.width <= 0) return;
+                const scale = targetWidth / containerRect.width;
+                
+                for (const clone of container.children) {
+                    const rect = clone.getBoundingClientRect();
+                    const x = (rect.left - containerRect.left) * scale;
+                    const y = (rect.top - containerRect.top) * scale;
+                    const width = rect.width * scale;
+                    const height = rect.height * scale;
                     
-                    // Toggle Follow Cursor Key
-                    if (e.key.toLowerCase() === config.toggleFollowCursorKey && 
-                        (!config.altRequired || e.altKey)) {
-                        config.followCursor = !config.followCursor;
-                        this.magnifyGlass.debugger.log(`Follow Cursor Toggled: ${config.followCursor ? 'ON' : 'OFF'}`);
-                        if (state.active && config.followCursor) {
-                            // If toggled ON and active, update glass position to current cursor
-                            this.magnifyGlass.ui.positionGlass(this.magnifyGlass.lastKnownMousePosition.x, this.magnifyGlass.lastKnownMousePosition.y);
+                    if (clone.tagName === 'IMG' || clone.tagName === 'VIDEO' || clone.tagName === 'CANVAS') {
+                        try {
+                            ctx.drawImage(clone, x, y, width, height);
+                        } catch (e) {
+                            this.debugger.log("Skipping overlay clone in snapshot:", e);
                         }
-                        // We might also want to trigger an update of the settings UI if it shows this value directly, but that's more complex.
-                        e.preventDefault();
-                    }
-                    
-                    // If offset was changed, update the view
-                    if (offsetChanged) {
-                        // Save the changes to localStorage
-                        config.saveOffsets();
-                        this.magnifyGlass.updateMagnifiedView();
+                    } else if (clone.classList.contains("comfyui-magnify-text-mirror")) {
+                        const style = window.getComputedStyle(clone);
+                        const cloneScale = clone.offsetWidth > 0 ? rect.width / clone.offsetWidth : 1; // Its scale() transform
+                        const fontSize = parseFloat(style.fontSize) * cloneScale * scale;
+                        const padding = (parseFloat(style.paddingLeft) || 0) * cloneScale * scale;
+                        
+                        ctx.save();
+                        ctx.beginPath();
+                        ctx.rect(x, y, width, height);
+                        ctx.clip();
+                        ctx.fillStyle = clone.style.backgroundColor || '#222';
+                        ctx.fillRect(x, y, width, height);
+                        ctx.fillStyle = clone.style.color || '#DDD';
+                        ctx.font = `${fontSize}px ${style.fontFamily}`;
+                        ctx.textBaseline = "top";
+                        
+                        const lineHeight = fontSize * 1.2;
+                        let lineY = y + padding - clone.scrollTop * cloneScale * scale; // Scrolled like the field
+                        for (const line of this.wrapSnapshotText(ctx, clone.textContent || "", width - padding * 2)) {
+                            if (lineY > y + height) break;
+                            ctx.fillText(line, x + padding, lineY);
+                            lineY += lineHeight;
+                        }
+                        ctx.restore();
                     }
                 }
             }
             
-            handleKeyUp(e) {
-                const config = this.magnifyGlass.config;
-                const state = this.magnifyGlass.state;
-                
-                // Check if the released key is the activation key OR if Alt was required and Alt was released.
-                if (!config.alwaysActiveMode && 
-                    (e.key.toLowerCase() === config.activationKey || 
-                    (config.altRequired && e.key === "Alt"))) { 
-                    
-                    // Only deactivate if the *other* key required for activation is NOT still pressed.
-                    // This handles cases like: Alt+X, release X (deactivate), or Alt+X, release Alt (deactivate).
-                    let shouldDeactivate = false;
-                    if (config.altRequired) {
-                        // If Alt is required, releasing either Alt or the activation key deactivates.
-                        if (e.key === "Alt" || e.key.toLowerCase() === config.activationKey) {
-                            shouldDeactivate = true;
-                        }
-                    } else {
-                        // If Alt is not required, only releasing the activation key deactivates.
-                        if (e.key.toLowerCase() === config.activationKey) {
-                            shouldDeactivate = true;
+            wrapSnapshotText(ctx, text, maxWidth) {
+                const lines = [];
+                for (const paragraph of text.split("\n")) {
+                    let line = "";
+                    for (const word of paragraph.split(" ")) {
+                        const candidate = line ? `${line} ${word}` : word;
+                        if (line && ctx.measureText(candidate).width > maxWidth) {
+                            lines.push(line);
+                            line = word;
+                        } else {
+                            line = candidate;
                         }
                     }
-
-                    if (state.active && shouldDeactivate) {
-                        // Check if the *other* key is still pressed down. If so, don't deactivate yet.
-                        // This is tricky because we don't have a perfect way to know key states globally
-                        // without more complex tracking. The current logic might sometimes deactivate
-                        // if Alt is released but X is still held (if altRequired = true).
-                        // For simplicity, we assume releasing any part of the combo means deactivation.
-                        state.active = false;
-                        this.magnifyGlass.ui.hide(); // This will now also clear HTML overlays
-                    }
+                    lines.push(line);
                 }
+                return lines;
             }
             
-            handleMouseMove(e) {
-                // Always track mouse position, even when magnifier is inactive
-                this.magnifyGlass.lastKnownMousePosition.x = e.clientX;
-                this.magnifyGlass.lastKnownMousePosition.y = e.clientY;
+            getSnapshotCaption() {
+                const center = this.canvasToGraph(this.state.sourceX + this.state.sourceWidth / 2, this.state.sourceY + this.state.sourceHeight / 2);
+                const centerGraphX = center.x;
+                const centerGraphY = center.y;
+                const node = app.graph && app.graph.getNodeOnPos ? app.graph.getNodeOnPos(centerGraphX, centerGraphY) : null;
                 
-                if (!this.magnifyGlass.state.active || !this.magnifyGlass.litegraphCanvas) return;
-
-                const rect = this.magnifyGlass.litegraphCanvas.getBoundingClientRect();
-                const cssMouseXOnCanvas = e.clientX - rect.left;
-                const cssMouseYOnCanvas = e.clientY - rect.top;
-
-                // Check if the cursor is over the canvas element (using CSS coordinates)
-                if (cssMouseXOnCanvas >= 0 && cssMouseXOnCanvas <= rect.width &&
-                    cssMouseYOnCanvas >= 0 && cssMouseYOnCanvas <= rect.height) {
-                    
-                    // Convert CSS coordinates on canvas to actual canvas pixel coordinates
-                    const canvasElement = this.magnifyGlass.litegraphCanvas;
-                    // Ensure rect.width and rect.height are not zero to prevent division by zero
-                    const scaleX = rect.width > 0 ? canvasElement.width / rect.width : 1;
-                    const scaleY = rect.height > 0 ? canvasElement.height / rect.height : 1;
-
-                    const pixelX = cssMouseXOnCanvas * scaleX;
-                    const pixelY = cssMouseYOnCanvas * scaleY;
-                    
-                    this.magnifyGlass.state.x = pixelX;
-                    this.magnifyGlass.state.y = pixelY;
-                    
-                    this.magnifyGlass.ui.positionGlass(e.clientX, e.clientY);
-                    this.magnifyGlass.updateMagnifiedView();
+                const parts = [`${this.config.zoomFactor.toFixed(2)}x`];
+                if (node) parts.push(node.title || node.type);
+                parts.push(`graph (${Math.round(centerGraphX)}, ${Math.round(centerGraphY)})`);
+                return parts.join("  |  ");
+            }
+            
+            downloadSnapshot(blob) {
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement("a");
+                link.href = url;
+                link.download = `magnify_${new Date().toISOString().replace(/[:.]/g, "-")}.png`;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            }
+            
+            // Store the snapshot in ComfyUI's output folder through the extension's backend route
+            async uploadSnapshot(blob) {
+                const body = new FormData();
+                body.append("image", blob, "snapshot.png");
+                const response = await api.fetchApi("/magnify_glass/snapshot", { method: "POST", body });
+                if (!response.ok) {
+                    throw new Error(`Server responded ${response.status}: ${await response.text()}`);
                 }
+                return await response.json();
             }
             
-            updateInitialPosition() {
-                if (!this.magnifyGlass.litegraphCanvas) return;
-
-                const rect = this.magnifyGlass.litegraphCanvas.getBoundingClientRect();
-                const clientX = this.magnifyGlass.lastKnownMousePosition.x;
-                const clientY = this.magnifyGlass.lastKnownMousePosition.y;
-
-                // If alwaysActiveMode is true, we want to set the initial position
-                // even if the cursor is not strictly over the canvas at the moment of activation.
-                // However, we still need a valid canvas context for calculations.
-                // The current logic in handleMouseMove which sets state.x/y only when over canvas remains crucial
-                // for continuous updates. This initial positioning is a one-shot for activation.
-                const isOverCanvas = clientX >= rect.left && clientX <= rect.right &&
-                                     clientY >= rect.top && clientY <= rect.bottom;
-
-                if (this.magnifyGlass.config.alwaysActiveMode || isOverCanvas) {
-                    const cssMouseXOnCanvas = clientX - rect.left;
-                    const cssMouseYOnCanvas = clientY - rect.top;
-
-                    const canvasElement = this.magnifyGlass.litegraphCanvas;
-                    const scaleX = rect.width > 0 ? canvasElement.width / rect.width : 1;
-                    const scaleY = rect.height > 0 ? canvasElement.height / rect.height : 1;
-
-                    const pixelX = cssMouseXOnCanvas * scaleX;
-                    const pixelY = cssMouseYOnCanvas * scaleY;
-
-                    this.magnifyGlass.state.x = pixelX;
-                    this.magnifyGlass.state.y = pixelY;
-
-                    // Position the glass immediately based on current cursor
-                    this.magnifyGlass.ui.positionGlass(clientX, clientY);
-                    this.magnifyGlass.updateMagnifiedView();
+            resetOffsets() {
+                this.config.offsetX = 0;
+                this.config.offsetY = 0;
+                this.config.saveOffsets(); // Save the reset values
+                if (this.state.active) {
+                    this.updateMagnifiedView(); // Update if active
                 }
+                this.debugger.log("Offsets reset to 0, 0");
             }
         }
         
-        // Debug Manager
-        class DebugManager {
-            constructor(config, state, ui) {
-                this.config = config;
-                this.state = state;
-                this.ui = ui;
+        // Configuration manager - Reads from settings
+        class ConfigManager {
+            constructor() {
+                // Initialize properties that will be set by reading settings
+                this.zoomFactor = DEFAULT_SETTINGS["🔍MagnifyGlass.ZoomFactor"];
+                this.glassSize = DEFAULT_SETTINGS["🔍MagnifyGlass.GlassSize"];
+                this.borderColor = DEFAULT_SETTINGS["🔍MagnifyGlass.BorderColor"];
+                this.borderWidth = DEFAULT_SETTINGS["🔍MagnifyGlass.BorderWidth"];
+                this.activationKey = DEFAULT_SETTINGS["🔍MagnifyGlass.ActivationKey"];
+                this.altRequired = DEFAULT_SETTINGS["🔍MagnifyGlass.AltRequired"];
+                this.followCursor = DEFAULT_SETTINGS["🔍MagnifyGlass.FollowCursor"];
+                this.debugMode = DEFAULT_SETTINGS["🔍MagnifyGlass.DebugMode"];
+                this.offsetStep = DEFAULT_SETTINGS["🔍MagnifyGlass.OffsetStep"];
+                this.glassPosition = DEFAULT_SETTINGS["🔍MagnifyGlass.GlassPosition"];
+                this.resetKey = DEFAULT_SETTINGS["🔍MagnifyGlass.ResetKey"];
+                this.glassShape = DEFAULT_SETTINGS["🔍MagnifyGlass.GlassShape"];
+                this.borderEnabled = DEFAULT_SETTINGS["🔍MagnifyGlass.BorderEnabled"];
+                this.textureFiltering = DEFAULT_SETTINGS["🔍MagnifyGlass.TextureFiltering"];
+                this.rendererMode = DEFAULT_SETTINGS["🔍MagnifyGlass.Renderer"];
+                this.vectorRendering = DEFAULT_SETTINGS["🔍MagnifyGlass.VectorRendering"];
+                this.channelView = DEFAULT_SETTINGS["🔍MagnifyGlass.ChannelView"];
+                this.channelViewKey = DEFAULT_SETTINGS["🔍MagnifyGlass.ChannelViewKey"];
+                this.colorVision = DEFAULT_SETTINGS["🔍MagnifyGlass.ColorVision"];
+                this.colorVisionKey = DEFAULT_SETTINGS["🔍MagnifyGlass.ColorVisionKey"];
+                this.filterChain = DEFAULT_SETTINGS["🔍MagnifyGlass.FilterChain"];
+                this.customShader = DEFAULT_SETTINGS["🔍MagnifyGlass.CustomShader"];
+                this.alwaysActiveMode = DEFAULT_SETTINGS["🔍MagnifyGlass.AlwaysActiveMode"];
+                this.toggleFollowCursorKey = DEFAULT_SETTINGS["🔍MagnifyGlass.ToggleFollowCursorKey"];
+                this.colorProbeKey = DEFAULT_SETTINGS["🔍MagnifyGlass.ColorProbeKey"];
+                this.colorCopyKey = DEFAULT_SETTINGS["🔍MagnifyGlass.ColorCopyKey"];
+                this.colorCopyFormat = DEFAULT_SETTINGS["🔍MagnifyGlass.ColorCopyFormat"];
+                this.pixelGrid = DEFAULT_SETTINGS["🔍MagnifyGlass.PixelGrid"];
+                this.pixelGridMinZoom = DEFAULT_SETTINGS["🔍MagnifyGlass.PixelGridMinZoom"];
+                this.pixelGridColor = DEFAULT_SETTINGS["🔍MagnifyGlass.PixelGridColor"];
+                this.reticleStyle = DEFAULT_SETTINGS["🔍MagnifyGlass.ReticleStyle"];
+                this.reticleColor = DEFAULT_SETTINGS["🔍MagnifyGlass.ReticleColor"];
+                this.lensProfile = DEFAULT_SETTINGS["🔍MagnifyGlass.LensProfile"];
+                this.lensStrength = DEFAULT_SETTINGS["🔍MagnifyGlass.LensStrength"];
+                this.compareMode = DEFAULT_SETTINGS["🔍MagnifyGlass.CompareMode"];
+                this.compareModeKey = DEFAULT_SETTINGS["🔍MagnifyGlass.CompareModeKey"];
+                this.compareFlickerInterval = DEFAULT_SETTINGS["🔍MagnifyGlass.CompareFlickerInterval"];
+                this.historyMode = DEFAULT_SETTINGS["🔍MagnifyGlass.HistoryMode"];
+                this.historyLength = DEFAULT_SETTINGS["🔍MagnifyGlass.HistoryLength"];
+                this.historyModeKey = DEFAULT_SETTINGS["🔍MagnifyGlass.HistoryModeKey"];
+                this.historyBackKey = DEFAULT_SETTINGS["🔍MagnifyGlass.HistoryBackKey"];
+                this.historyForwardKey = DEFAULT_SETTINGS["🔍MagnifyGlass.HistoryForwardKey"];
+                this.snapshotKey = DEFAULT_SETTINGS["🔍MagnifyGlass.SnapshotKey"];
+                this.snapshotDestination = DEFAULT_SETTINGS["🔍MagnifyGlass.SnapshotDestination"];
+                this.snapshotCaption = DEFAULT_SETTINGS["🔍MagnifyGlass.SnapshotCaption"];
+                this.pinKey = DEFAULT_SETTINGS["🔍MagnifyGlass.PinKey"];
+                this.navigator = DEFAULT_SETTINGS["🔍MagnifyGlass.Navigator"];
+                this.navigatorSize = DEFAULT_SETTINGS["🔍MagnifyGlass.NavigatorSize"];
+                this.liveRefreshFps = DEFAULT_SETTINGS["🔍MagnifyGlass.LiveRefreshFps"];
+                this.nativeImageSampling = DEFAULT_SETTINGS["🔍MagnifyGlass.NativeImageSampling"];
+                this.actualPixelsKey = DEFAULT_SETTINGS["🔍MagnifyGlass.ActualPixelsKey"];
+                this.tileMode = DEFAULT_SETTINGS["🔍MagnifyGlass.TileMode"];
+                this.tileSeams = DEFAULT_SETTINGS["🔍MagnifyGlass.TileSeams"];
+                this.tileModeKey = DEFAULT_SETTINGS["🔍MagnifyGlass.TileModeKey"];
+                this.referenceOpacity = DEFAULT_SETTINGS["🔍MagnifyGlass.ReferenceOpacity"];
+                this.referenceBlendMode = DEFAULT_SETTINGS["🔍MagnifyGlass.ReferenceBlendMode"];
+                this.referenceKey = DEFAULT_SETTINGS["🔍MagnifyGlass.ReferenceKey"];
+                this.statsKey = DEFAULT_SETTINGS["🔍MagnifyGlass.StatsKey"];
+                this.statsInterval = DEFAULT_SETTINGS["🔍MagnifyGlass.StatsInterval"];
+                this.exposure = DEFAULT_SETTINGS["🔍MagnifyGlass.Exposure"];
+                this.gamma = DEFAULT_SETTINGS["🔍MagnifyGlass.Gamma"];
+                this.contrast = DEFAULT_SETTINGS["🔍MagnifyGlass.Contrast"];
+                this.levelsBlack = DEFAULT_SETTINGS["🔍MagnifyGlass.LevelsBlack"];
+                this.levelsWhite = DEFAULT_SETTINGS["🔍MagnifyGlass.LevelsWhite"];
+                this.clippingWarning = DEFAULT_SETTINGS["🔍MagnifyGlass.ClippingWarning"];
+                this.adjustPresetKey = DEFAULT_SETTINGS["🔍MagnifyGlass.AdjustPresetKey"];
+                this.adjustResetKey = DEFAULT_SETTINGS["🔍MagnifyGlass.AdjustResetKey"];
+                this.wheelControl = DEFAULT_SETTINGS["🔍MagnifyGlass.WheelControl"];
+                this.wheelZoomStep = DEFAULT_SETTINGS["🔍MagnifyGlass.WheelZoomStep"];
+                this.wheelSizeStep = DEFAULT_SETTINGS["🔍MagnifyGlass.WheelSizeStep"];
+                this.wheelSaveToSettings = DEFAULT_SETTINGS["🔍MagnifyGlass.WheelSaveToSettings"];
+                
+                // Alignment adjustment parameters - managed separately
+                this.offsetX = 0; // Default before loading saved
+                this.offsetY = 0; // Default before loading saved
             }
             
-            log(...args) {
-                if (this.config.debugMode) console.log("ComfyUI Magnifying Glass:", ...args);
+            // Call this after settings are registered and potentially read by MagnifyGlass
+            loadSettings() {
+                this.zoomFactor = getSettingValue("🔍MagnifyGlass.ZoomFactor", this.zoomFactor);
+                this.glassSize = getSettingValue("🔍MagnifyGlass.GlassSize", this.glassSize);
+                this.borderColor = getSettingValue("🔍MagnifyGlass.BorderColor", this.borderColor);
+                this.borderWidth = getSettingValue("🔍MagnifyGlass.BorderWidth", this.borderWidth);
+                this.activationKey = getSettingValue("🔍MagnifyGlass.ActivationKey", this.activationKey);
+                this.altRequired = getSettingValue("🔍MagnifyGlass.AltRequired", this.altRequired);
+                this.followCursor = getSettingValue("🔍MagnifyGlass.FollowCursor", this.followCursor);
+                this.debugMode = getSettingValue("🔍MagnifyGlass.DebugMode", this.debugMode);
+                this.offsetStep = getSettingValue("🔍MagnifyGlass.OffsetStep", this.offsetStep);
+                this.glassPosition = getSettingValue("🔍MagnifyGlass.GlassPosition", this.glassPosition);
+                this.resetKey = getSettingValue("🔍MagnifyGlass.ResetKey", this.resetKey);
+                this.glassShape = getSettingValue("🔍MagnifyGlass.GlassShape", this.glassShape);
+                this.borderEnabled = getSettingValue("🔍MagnifyGlass.BorderEnabled", this.borderEnabled);
+                this.textureFiltering = getSettingValue("🔍MagnifyGlass.TextureFiltering", this.textureFiltering);
+                this.rendererMode = getSettingValue("🔍MagnifyGlass.Renderer", this.rendererMode);
+                this.vectorRendering = getSettingValue("🔍MagnifyGlass.VectorRendering", this.vectorRendering);
+                this.channelView = getSettingValue("🔍MagnifyGlass.ChannelView", this.channelView);
+                this.channelViewKey = getSettingValue("🔍MagnifyGlass.ChannelViewKey", this.channelViewKey);
+                this.colorVision = getSettingValue("🔍MagnifyGlass.ColorVision", this.colorVision);
+                this.colorVisionKey = getSettingValue("🔍MagnifyGlass.ColorVisionKey", this.colorVisionKey);
+                this.filterChain = getSettingValue("🔍MagnifyGlass.FilterChain", this.filterChain);
+                this.customShader = getSettingValue("🔍MagnifyGlass.CustomShader", this.customShader);
+                this.alwaysActiveMode = getSettingValue("🔍MagnifyGlass.AlwaysActiveMode", this.alwaysActiveMode);
+                this.toggleFollowCursorKey = getSettingValue("🔍MagnifyGlass.ToggleFollowCursorKey", this.toggleFollowCursorKey);
+                this.colorProbeKey = getSettingValue("🔍MagnifyGlass.ColorProbeKey", this.colorProbeKey);
+                this.colorCopyKey = getSettingValue("🔍MagnifyGlass.ColorCopyKey", this.colorCopyKey);
+                this.colorCopyFormat = getSettingValue("🔍MagnifyGlass.ColorCopyFormat", this.colorCopyFormat);
+                this.pixelGrid = getSettingValue("🔍MagnifyGlass.PixelGrid", this.pixelGrid);
+                this.pixelGridMinZoom = getSettingValue("🔍MagnifyGlass.PixelGridMinZoom", this.pixelGridMinZoom);
+                this.pixelGridColor = getSettingValue("🔍MagnifyGlass.PixelGridColor", this.pixelGridColor);
+                this.reticleStyle = getSettingValue("🔍MagnifyGlass.ReticleStyle", this.reticleStyle);
+                this.reticleColor = getSettingValue("🔍MagnifyGlass.ReticleColor", this.reticleColor);
+                this.lensProfile = getSettingValue("🔍MagnifyGlass.LensProfile", this.lensProfile);
+                this.lensStrength = getSettingValue("🔍MagnifyGlass.LensStrength", this.lensStrength);
+                this.compareMode = getSettingValue("🔍MagnifyGlass.CompareMode", this.compareMode);
+                this.compareModeKey = getSettingValue("🔍MagnifyGlass.CompareModeKey", this.compareModeKey);
+                this.compareFlickerInterval = getSettingValue("🔍MagnifyGlass.CompareFlickerInterval", this.compareFlickerInterval);
+                this.historyMode = getSettingValue("🔍MagnifyGlass.HistoryMode", this.historyMode);
+                this.historyLength = getSettingValue("🔍MagnifyGlass.HistoryLength", this.historyLength);
+                this.historyModeKey = getSettingValue("🔍MagnifyGlass.HistoryModeKey", this.historyModeKey);
+                this.historyBackKey = getSettingValue("🔍MagnifyGlass.HistoryBackKey", this.historyBackKey);
+                this.historyForwardKey = getSettingValue("🔍MagnifyGlass.HistoryForwardKey", this.historyForwardKey);
+                this.snapshotKey = getSettingValue("🔍MagnifyGlass.SnapshotKey", this.snapshotKey);
+                this.snapshotDestination = getSettingValue("🔍MagnifyGlass.SnapshotDestination", this.snapshotDestination);
+                this.snapshotCaption = getSettingValue("🔍MagnifyGlass.SnapshotCaption", this.snapshotCaption);
+                this.pinKey = getSettingValue("🔍MagnifyGlass.PinKey", this.pinKey);
+                this.navigator = getSettingValue("🔍MagnifyGlass.Navigator", this.navigator);
+                this.navigatorSize = getSettingValue("🔍MagnifyGlass.NavigatorSize", this.navigatorSize);
+                this.liveRefreshFps = getSettingValue("🔍MagnifyGlass.LiveRefreshFps", this.liveRefreshFps);
+                this.nativeImageSampling = getSettingValue("🔍MagnifyGlass.NativeImageSampling", this.nativeImageSampling);
+                this.actualPixelsKey = getSettingValue("🔍MagnifyGlass.ActualPixelsKey", this.actualPixelsKey);
+                this.tileMode = getSettingValue("🔍MagnifyGlass.TileMode", this.tileMode);
+                this.tileSeams = getSettingValue("🔍MagnifyGlass.TileSeams", this.tileSeams);
+                this.tileModeKey = getSettingValue("🔍MagnifyGlass.TileModeKey", this.tileModeKey);
+                this.referenceOpacity = getSettingValue("🔍MagnifyGlass.ReferenceOpacity", this.referenceOpacity);
+                this.referenceBlendMode = getSettingValue("🔍MagnifyGlass.ReferenceBlendMode", this.referenceBlendMode);
+                this.referenceKey = getSettingValue("🔍MagnifyGlass.ReferenceKey", this.referenceKey);
+                this.statsKey = getSettingValue("🔍MagnifyGlass.StatsKey", this.statsKey);
+                this.statsInterval = getSettingValue("🔍MagnifyGlass.StatsInterval", this.statsInterval);
+                this.exposure = getSettingValue("🔍MagnifyGlass.Exposure", this.exposure);
+                this.gamma = getSettingValue("🔍MagnifyGlass.Gamma", this.gamma);
+                this.contrast = getSettingValue("🔍MagnifyGlass.Contrast", this.contrast);
+                this.levelsBlack = getSettingValue("🔍MagnifyGlass.LevelsBlack", this.levelsBlack);
+                this.levelsWhite = getSettingValue("🔍MagnifyGlass.LevelsWhite", this.levelsWhite);
+                this.clampLevels();
+                this.clippingWarning = getSettingValue("🔍MagnifyGlass.ClippingWarning", this.clippingWarning);
+                this.adjustPresetKey = getSettingValue("🔍MagnifyGlass.AdjustPresetKey", this.adjustPresetKey);
+                this.adjustResetKey = getSettingValue("🔍MagnifyGlass.AdjustResetKey", this.adjustResetKey);
+                this.wheelControl = getSettingValue("🔍MagnifyGlass.WheelControl", this.wheelControl);
+                this.wheelZoomStep = getSettingValue("🔍MagnifyGlass.WheelZoomStep", this.wheelZoomStep);
+                this.wheelSizeStep = getSettingValue("🔍MagnifyGlass.WheelSizeStep", this.wheelSizeStep);
+                this.wheelSaveToSettings = getSettingValue("🔍MagnifyGlass.WheelSaveToSettings", this.wheelSaveToSettings);
             }
             
-            error(...args) {
-                console.error("ComfyUI Magnifying Glass ERROR:", ...args);
+            // Keep the levels black point below the white point; the shader divides by their difference
+            clampLevels() {
+                this.levelsBlack = Math.min(Math.max(this.levelsBlack, 0), 254);
+                this.levelsWhite = Math.min(Math.max(this.levelsWhite, this.levelsBlack + 1), 255);
             }
             
-            printCanvasInfo() {
-                if (!this.config.debugMode) return;
-            
+            loadSavedOffsets() {
             try {
-                const canvas = app.canvas.graph_canvas;
-                if (!canvas) {
-                        this.log("Could not find graph canvas for detailed info");
-                    return;
-                }
-                
-                    this.log("---- Canvas Information ----");
-                    this.log(`Canvas dimensions: ${canvas.width}x${canvas.height}`);
-                    this.log(`Canvas display size: ${canvas.clientWidth}x${canvas.clientHeight}`);
-                    this.log(`Canvas CSS transform: ${canvas.style.transform || 'none'}`);
+                const savedOffsetX = localStorage.getItem('comfyui_magnify_offset_x');
+                const savedOffsetY = localStorage.getItem('comfyui_magnify_offset_y');
                 
-                if (app.canvas.ds) {
-                        this.log(`Canvas DS scale: ${app.canvas.ds.scale}`);
-                    if (app.canvas.ds.offset) {
-                            this.log(`Canvas DS offset: [${app.canvas.ds.offset[0]}, ${app.canvas.ds.offset[1]}]`);
-                        } else {
-                            this.log("Canvas DS offset not found");
-                        }
+                if (savedOffsetX !== null) {
+                        this.offsetX = parseInt(savedOffsetX, 10);
                     } else {
-                        this.log("Canvas DS object not found");
-                }
-                
-                // Try to compute the expected offset based on resolution
-                const screenWidth = window.innerWidth;
-                const screenHeight = window.innerHeight;
-                const canvasWidth = canvas.width;
-                const canvasHeight = canvas.height;
-                
-                    this.log(`Window dimensions: ${screenWidth}x${screenHeight}`);
-                    this.log(`Resolution scale factor: X=${canvasWidth/screenWidth}, Y=${canvasHeight/screenHeight}`);
-                    this.log("---- End Canvas Information ----");
-            } catch (e) {
-                    this.log("Error in printCanvasInfo:", e);
+                        this.offsetX = 0; // Ensure reset if not found
+                    }
+                    
+                    if (savedOffsetY !== null) {
+                        this.offsetY = parseInt(savedOffsetY, 10);
+                    } else {
+                        this.offsetY = 0; // Ensure reset if not found
+                    }
+                    
+                    // No initial debug log here, DebugManager handles it based on config.debugMode
+                } catch (e) {
+                    console.error("ComfyUI Magnifying Glass ERROR: Error loading saved offsets:", e);
+                    this.offsetX = 0; // Reset on error
+                    this.offsetY = 0;
                 }
             }
             
-            updateDebugView() {
-                if (!this.config.debugMode || !this.ui || !this.ui.debugCanvas || !this.ui.debugCtx) return;
-
-                const debugCtx = this.ui.debugCtx;
-                const debugCanvas = this.ui.debugCanvas;
-
-            debugCtx.clearRect(0, 0, debugCanvas.width, debugCanvas.height);
-            
-            // Draw background
-            debugCtx.fillStyle = 'rgba(0,0,0,0.8)';
-            debugCtx.fillRect(0, 0, debugCanvas.width, debugCanvas.height);
-            
-            // Header
-            debugCtx.fillStyle = '#FFFFFF';
-            debugCtx.font = '14px monospace';
-            debugCtx.fillText('Magnify Glass Debug', 10, 20);
-            
-            // Position info
-            debugCtx.font = '12px monospace';
-                debugCtx.fillText(`Cursor: (${this.state.x.toFixed(1)}, ${this.state.y.toFixed(1)})`, 10, 50);
-                debugCtx.fillText(`Source Rect: (${this.state.sourceX.toFixed(1)}, ${this.state.sourceY.toFixed(1)}, w:${this.state.sourceWidth.toFixed(1)}, h:${this.state.sourceHeight.toFixed(1)})`, 10, 70);
-            
-            // Canvas transform
-                debugCtx.fillText(`Canvas Scale: ${this.state.canvasScale.toFixed(2)}`, 10, 90);
-                debugCtx.fillText(`Canvas Offset: (${this.state.canvasOffsetX.toFixed(1)}, ${this.state.canvasOffsetY.toFixed(1)})`, 10, 110);
-            
-            // Offset information
-            debugCtx.fillStyle = '#FFFF00'; // Yellow for emphasis
-                debugCtx.fillText(`MANUAL OFFSETS: X=${this.config.offsetX}, Y=${this.config.offsetY} (Use arrow keys to adjust)`, 10, 130);
-            debugCtx.fillStyle = '#FFFFFF';
-            
-            // Visualization of canvas and source rect
-                this.drawCanvasVisualization(debugCtx, debugCanvas);
+            saveOffsets() {
+                try {
+                    localStorage.setItem('comfyui_magnify_offset_x', this.offsetX.toString());
+                    localStorage.setItem('comfyui_magnify_offset_y', this.offsetY.toString());
+                    // No log here, EventHandler handles it
+                } catch (e) {
+                    console.error("ComfyUI Magnifying Glass ERROR: Error saving offsets:", e);
+                }
+            }
+        }
+        
+        // Magnifier state
+        class MagnifierState {
+            constructor() {
+                this.active = false;
+                this.x = 0; // Cursor X relative to litegraphCanvas
+                this.y = 0; // Cursor Y relative to litegraphCanvas
+                this.sourceX = 0; // Calculated source area X
+                this.sourceY = 0; // Calculated source area Y
+                this.sourceWidth = 0; // Calculated source area width
+                this.sourceHeight = 0; // Calculated source area height
+                this.canvasScale = 1.0; // Current canvas scale/zoom
+                this.canvasOffsetX = 0; // Canvas translation X
+                this.canvasOffsetY = 0; // Canvas translation Y
+                this.isRenderScheduled = false; // Flag to manage requestAnimationFrame
+                this.colorProbeActive = false; // Pixel eyedropper mode
+                this.probeColor = null; // Last probed { r, g, b, a } (0-255)
+                this.compareNodeA = null; // Node ids marked for A/B comparison
+                this.compareNodeB = null;
+                this.compareActive = false; // True while the glass is showing the A/B images
+                this.compareMode = null; // Mode of the A/B or run history view drawn by the last frame
+                this.compareSplitPosition = 0.5; // Split divider position across the glass (0-1)
+                this.draggingSplitDivider = false;
+                this.hasRendered = false; // True once the glass canvas holds a frame (for snapshots)
+                this.nativeImage = null; // Full-resolution image region sampled by the last frame
+                this.actualPixels = false; // Zoom locked to 1 image pixel per glass pixel
+                this.zoomBeforeActualPixels = null;
+                this.statsActive = false; // Histogram / channel statistics panel
+                this.historyStep = 1; // Run history modes compare with the output this many runs back
+                this.reference = null; // Onion-skin reference image: { img, url, name, graphRect, nudgeX, nudgeY, visible }
+                this.frameTiming = { frameMs: 0, uploadMs: 0, frames: 0, uploadWidth: 0, uploadHeight: 0 }; // Smoothed render timings for the debug view
+            }
+        }
+        
+        // UI Manager - handles creation and management of DOM elements (Minor changes for config)
+        class UiManager {
+            constructor(config, state) {
+                this.config = config;
+                this.state = state;
+                this.glassDiv = null;
+                this.glassCanvas = null;
+                this.debugCanvas = null;
+                this.debugCtx = null;
+                this.htmlOverlayContainer = null; // Added for HTML overlays
+                this.overlayClones = new Map(); // Widget element -> { clone, provider, layout } shown in the overlay container
+                this.hudDiv = null; // Short-lived value readout drawn on the glass
+                this.imageInfoDiv = null; // Image size and pixel coordinates while sampling an image natively
+                this.statsDiv = null; // Histogram and channel statistics panel, placed beside the glass
+                this.statsCanvas = null;
+                this.statsText = null;
+                this.probeDiv = null; // Color probe readout
+                this.probeSwatch = null;
+                this.probeText = null;
+                this.compareDiv = null; // A/B split divider and labels
+                this.compareDivider = null;
+                this.compareLabel = null;
+                this.compareDividerLabel = null;
+                this.navigatorDiv = null; // Whole-graph navigator panel
+                this.navigatorCanvas = null;
+                this.navigatorViewCanvas = null; // Scratch canvas for the live viewport content
+                this.shaderErrorDiv = null; // Shader compile and link errors, until fixed or dismissed
+                this.shaderErrorList = null;
+                this.hudTimeout = null;
             }
             
-            drawCanvasVisualization(debugCtx, debugCanvas) {
-            const canvasScale = 0.1; // Scale factor for visualization
-            const canvasVisX = 10;
-                const canvasVisY = 170;
-            const canvasVisWidth = 380;
-                const canvasVisHeight = 150;
+            createElements() {
+                // Create magnifying glass container
+                this.glassDiv = document.createElement("div");
+                this.glassDiv.id = "comfyui-magnify-glass";
+                this.glassDiv.style.cssText = `
+                    position: absolute;
+                    width: ${this.config.glassSize}px;
+                    height: ${this.config.glassSize}px;
+                    border-radius: ${this.config.glassShape === "Circle" ? "50%" : "0px"};
+                    border: ${this.config.borderEnabled ? `${this.config.borderWidth}px solid ${this.config.borderColor}` : 'none'};
+                    overflow: hidden;
+                    pointer-events: none;
+                    z-index: 9999;
+                    display: none;
+                    box-shadow: 0 5px 15px rgba(0,0,0,0.3);
+                    background-color: rgba(255,255,255,0.1);
+                `;
+                
+                // Create WebGL canvas for the magnifying glass
+                this.glassCanvas = document.createElement("canvas");
+                this.glassCanvas.id = "comfyui-magnify-canvas";
+                this.glassCanvas.style.display = "block";
+                this.sizeGlassCanvas();
+                this.glassDiv.appendChild(this.glassCanvas);
+                
+                // Create HTML overlay container
+                this.htmlOverlayContainer = document.createElement("div");
+                this.htmlOverlayContainer.id = "comfyui-magnify-html-overlay";
+                this.htmlOverlayContainer.style.cssText = `
+                    position: absolute;
+                    top: 0;
+                    left: 0;
+                    width: 100%;
+                    height: 100%;
+                    pointer-events: none;
+                    overflow: hidden; 
+                `;
+                this.glassDiv.appendChild(this.htmlOverlayContainer);
+                
+                // Create HUD (shown briefly when zoom/size change from the wheel)
+                this.hudDiv = document.createElement("div");
+                this.hudDiv.id = "comfyui-magnify-hud";
+                this.hudDiv.style.cssText = `
+                    position: absolute;
+                    bottom: 12%;
+                    left: 50%;
+                    transform: translateX(-50%);
+                    padding: 2px 8px;
+                    border-radius: 4px;
+                    background: rgba(0,0,0,0.65);
+                    color: #fff;
+                    font: 12px monospace;
+                    white-space: nowrap;
+                    pointer-events: none;
+                    display: none;
+                `;
+                this.glassDiv.appendChild(this.hudDiv);
+                
+                // Create image readout (shown while the glass samples a node image at full resolution)
+                this.imageInfoDiv = document.createElement("div");
+                this.imageInfoDiv.id = "comfyui-magnify-image-info";
+                this.imageInfoDiv.style.cssText = `
+                    position: absolute;
+                    bottom: 4%;
+                    left: 50%;
+                    transform: translateX(-50%);
+                    padding: 1px 6px;
+                    border-radius: 4px;
+                    background: rgba(0,0,0,0.55);
+                    color: #fff;
+                    font: 11px monospace;
+                    white-space: nowrap;
+                    pointer-events: none;
+                    display: none;
+                `;
+                this.glassDiv.appendChild(this.imageInfoDiv);
+                
+                // Create color probe readout (corner panel with swatch and values)
+                this.probeDiv = document.createElement("div");
+                this.probeDiv.id = "comfyui-magnify-probe";
+                this.probeDiv.style.cssText = `
+                    position: absolute;
+                    top: 6px;
+                    left: 6px;
+                    display: none;
+                    align-items: flex-start;
+                    gap: 6px;
+                    padding: 4px 6px;
+                    border-radius: 4px;
+                    background: rgba(0,0,0,0.7);
+                    color: #fff;
+                    font: 11px monospace;
+                    pointer-events: none;
+                `;
+                this.probeSwatch = document.createElement("div");
+                this.probeSwatch.style.cssText = `
+                    width: 24px;
+                    height: 24px;
+                    border: 1px solid #fff;
+                    flex-shrink: 0;
+                `;
+                this.probeText = document.createElement("div");
+                this.probeText.style.whiteSpace = "pre";
+                this.probeDiv.appendChild(this.probeSwatch);
+                this.probeDiv.appendChild(this.probeText);
+                this.glassDiv.appendChild(this.probeDiv);
+                
+                // Create A/B compare overlay: draggable split divider and a mode label
+                this.compareDiv = document.createElement("div");
+                this.compareDiv.id = "comfyui-magnify-compare";
+                this.compareDiv.style.cssText = `
+                    position: absolute;
+                    top: 0;
+                    left: 0;
+                    width: 100%;
+                    height: 100%;
+                    pointer-events: none;
+                    display: none;
+                `;
+                this.compareDivider = document.createElement("div");
+                this.compareDivider.style.cssText = `
+                    position: absolute;
+                    top: 0;
+                    width: 9px;
+                    height: 100%;
+                    margin-left: -4px;
+                    cursor: ew-resize;
+                    pointer-events: auto;
+                    background: linear-gradient(to right, transparent 4px, #fff 4px, #fff 5px, transparent 5px);
+                `;
+                const dividerLabel = document.createElement("div");
+                dividerLabel.textContent = "A | B";
+                this.compareDividerLabel = dividerLabel;
+                dividerLabel.style.cssText = `
+                    position: absolute;
+                    top: 8%;
+                    left: 50%;
+                    transform: translateX(-50%);
+                    color: #fff;
+                    font: bold 12px monospace;
+                    text-shadow: 0 0 3px #000, 0 0 3px #000;
+                    white-space: pre;
+                `;
+                this.compareDivider.appendChild(dividerLabel);
+                this.compareLabel = document.createElement("div");
+                this.compareLabel.style.cssText = `
+                    position: absolute;
+                    top: 8%;
+                    left: 0;
+                    width: 100%;
+                    text-align: center;
+                    color: #fff;
+                    font: bold 12px monospace;
+                    text-shadow: 0 0 3px #000, 0 0 3px #000;
+                    white-space: pre;
+                `;
+                this.compareDiv.appendChild(this.compareDivider);
+                this.compareDiv.appendChild(this.compareLabel);
+                this.glassDiv.appendChild(this.compareDiv);
+                
+                document.body.appendChild(this.glassDiv);
+                
+                // Create statistics panel (outside the glass, which clips its children)
+                this.statsDiv = document.createElement("div");
+                this.statsDiv.id = "comfyui-magnify-stats";
+                this.statsDiv.style.cssText = `
+                    position: absolute;
+                    padding: 6px;
+                    border-radius: 4px;
+                    background: rgba(0,0,0,0.75);
+                    color: #fff;
+                    font: 11px monospace;
+                    pointer-events: none;
+                    z-index: 9999;
+                    display: none;
+                `;
+                this.statsCanvas = document.createElement("canvas");
+                this.statsCanvas.width = STATS_HISTOGRAM_WIDTH;
+                this.statsCanvas.height = STATS_HISTOGRAM_HEIGHT;
+                this.statsCanvas.style.cssText = `
+                    display: block;
+                    width: ${STATS_HISTOGRAM_WIDTH / 2}px;
+                    height: ${STATS_HISTOGRAM_HEIGHT}px;
+                    background: #111;
+                    margin-bottom: 4px;
+                `;
+                this.statsText = document.createElement("div");
+                this.statsText.style.whiteSpace = "pre";
+                this.statsDiv.appendChild(this.statsCanvas);
+                this.statsDiv.appendChild(this.statsText);
+                document.body.appendChild(this.statsDiv);
+                
+                // Create shader error panel
+                this.shaderErrorDiv = document.createElement("div");
+                this.shaderErrorDiv.id = "comfyui-magnify-shader-errors";
+                this.shaderErrorDiv.style.cssText = `
+                    position: fixed;
+                    top: 8px;
+                    right: 8px;
+                    max-width: 480px;
+                    max-height: 50vh;
+                    overflow: auto;
+                    padding: 6px 8px;
+                    border-radius: 4px;
+                    background: rgba(90,0,0,0.9);
+                    color: #fff;
+                    font: 11px monospace;
+                    z-index: 10000;
+                    display: none;
+                `;
+                const shaderErrorHeader = document.createElement("div");
+                shaderErrorHeader.style.cssText = "display: flex; justify-content: space-between; font-weight: bold; margin-bottom: 4px;";
+                shaderErrorHeader.textContent = "Magnify Glass shader errors (passthrough in use)";
+                const shaderErrorClose = document.createElement("span");
+                shaderErrorClose.textContent = "✕";
+                shaderErrorClose.title = "Dismiss";
+                shaderErrorClose.style.cssText = "cursor: pointer; margin-left: 12px;";
+                shaderErrorClose.addEventListener("click", () => {
+                    this.shaderErrorDiv.style.display = "none";
+                });
+                shaderErrorHeader.appendChild(shaderErrorClose);
+                this.shaderErrorList = document.createElement("div");
+                this.shaderErrorDiv.appendChild(shaderErrorHeader);
+                this.shaderErrorDiv.appendChild(this.shaderErrorList);
+                document.body.appendChild(this.shaderErrorDiv);
+                
+                // Create debug canvas if debug mode is enabled
+                if (this.config.debugMode) {
+                    this.createDebugCanvas();
+                }
+            }
             
-            // Draw canvas representation
-            debugCtx.strokeStyle = '#AAAAAA';
-            debugCtx.strokeRect(canvasVisX, canvasVisY, canvasVisWidth, canvasVisHeight);
-            debugCtx.fillStyle = '#444444';
-            debugCtx.fillRect(canvasVisX, canvasVisY, canvasVisWidth, canvasVisHeight);
+            createDebugCanvas() {
+                this.debugCanvas = document.createElement("canvas");
+                this.debugCanvas.id = "comfyui-magnify-debug";
+                this.debugCanvas.width = 400;
+                this.debugCanvas.height = 320;
+                this.debugCanvas.style.cssText = `
+                    position: fixed;
+                    top: 10px;
+                    right: 10px;
+                    background: rgba(0,0,0,0.7);
+                    border: 1px solid #fff;
+                    z-index: 10000;
+                    pointer-events: none;
+                    color: white;
+                    font-family: monospace;
+                    display: none;
+                `;
+                document.body.appendChild(this.debugCanvas);
+                this.debugCtx = this.debugCanvas.getContext('2d');
+            }
             
-            // Calculate cursor position in visualization
-                const cursorVisX = canvasVisX + (this.state.x * canvasScale);
-                const cursorVisY = canvasVisY + (this.state.y * canvasScale);
+            show() {
+                this.glassDiv.style.display = "block";
+                this.showStatsPanel(this.state.statsActive);
+                if (this.config.debugMode && this.debugCanvas) {
+                    this.debugCanvas.style.display = "block";
+                }
+            }
             
-            // Calculate source rect in visualization
-                const sourceRectVisX = canvasVisX + (this.state.sourceX * canvasScale);
-                const sourceRectVisY = canvasVisY + (this.state.sourceY * canvasScale);
-                const sourceRectVisWidth = this.state.sourceWidth * canvasScale;
-                const sourceRectVisHeight = this.state.sourceHeight * canvasScale;
+            hide() {
+                this.glassDiv.style.display = "none";
+                if (this.config.debugMode && this.debugCanvas) {
+                    this.debugCanvas.style.display = "none";
+                }
+                // Clear HTML overlays when hiding
+                this.clearOverlayClones();
+                this.hideHud();
+                this.updateImageInfo(null);
+                this.showStatsPanel(false);
+            }
             
-            // Draw source rect
-            debugCtx.strokeStyle = '#FF0000';
-            debugCtx.strokeRect(sourceRectVisX, sourceRectVisY, sourceRectVisWidth, sourceRectVisHeight);
+            showHud(text) {
+                if (!this.hudDiv) return;
+                this.hudDiv.textContent = text;
+                this.hudDiv.style.display = "block";
+                clearTimeout(this.hudTimeout);
+                this.hudTimeout = setTimeout(() => this.hideHud(), HUD_DISPLAY_MS);
+            }
             
-            // Draw cursor position
-            debugCtx.fillStyle = '#FFFF00';
-            debugCtx.beginPath();
-            debugCtx.arc(cursorVisX, cursorVisY, 3, 0, Math.PI * 2);
-            debugCtx.fill();
+            updateImageInfo(nativeImage, zoomFactor) {
+                if (!this.imageInfoDiv) return;
+                if (!nativeImage) {
+                    this.imageInfoDiv.style.display = "none";
+                    return;
+                }
+                const img = nativeImage.imageA;
+                const percent = Math.round(zoomFactor * nativeImage.canvasPixelsPerImagePixel * 100);
+                const tiles = nativeImage.tiles ? `  tiled ${nativeImage.tiles}×${nativeImage.tiles}` : "";
+                this.imageInfoDiv.textContent = `${img.naturalWidth}×${img.naturalHeight}  px ${nativeImage.imageX}, ${nativeImage.imageY}  ${percent}%${tiles}`;
+                this.imageInfoDiv.style.display = "block";
+            }
             
-            // Draw line from cursor to source rect center
-            debugCtx.strokeStyle = '#00FF00';
-            debugCtx.beginPath();
-            debugCtx.moveTo(cursorVisX, cursorVisY);
-            debugCtx.lineTo(sourceRectVisX + sourceRectVisWidth/2, sourceRectVisY + sourceRectVisHeight/2);
-            debugCtx.stroke();
+            showStatsPanel(visible) {
+                if (!this.statsDiv) return;
+                this.statsDiv.style.display = visible ? "block" : "none";
+            }
             
-            // Label for visualization
-            debugCtx.fillStyle = '#FFFFFF';
-            debugCtx.fillText('Canvas Visualization (scaled)', canvasVisX, canvasVisY - 5);
+            // Keep the panel beside the glass, on whichever side has room
+            positionStatsPanel() {
+                if (!this.statsDiv) return;
+                const glassRect = this.glassDiv.getBoundingClientRect();
+                const panelWidth = this.statsDiv.offsetWidth;
+                let left = glassRect.right + 6;
+                if (left + panelWidth > window.innerWidth) left = glassRect.left - panelWidth - 6;
+                this.statsDiv.style.left = `${Math.max(0, left)}px`;
+                this.statsDiv.style.top = `${glassRect.top}px`;
+            }
             
-            // Offset values
-                const offsetX = this.state.sourceX - this.state.x + (this.state.sourceWidth / 2);
-                const offsetY = this.state.sourceY - this.state.y + (this.state.sourceHeight / 2);
-            debugCtx.fillText(`Alignment Offset: (${offsetX.toFixed(1)}, ${offsetY.toFixed(1)})`, 10, canvasVisY + canvasVisHeight + 20);
+            updateStatsPanel(stats) {
+                if (!this.statsDiv) return;
+                const ctx = this.statsCanvas.getContext("2d");
+                ctx.clearRect(0, 0, this.statsCanvas.width, this.statsCanvas.height);
+                if (!stats) {
+                    this.statsText.textContent = "No pixels";
+                    return;
+                }
+                
+                // Shared vertical scale. A channel's tallest bin is often a flat background that would
+                // squash everything else, so scale to the second tallest bin and let the tallest clip.
+                const height = this.statsCanvas.height;
+                let tallest = 0;
+                let secondTallest = 0;
+                for (const channel of ["r", "g", "b"]) {
+                    let first = 0;
+                    let second = 0;
+                    for (const count of stats.histograms[channel]) {
+                        if (count > first) {
+                            second = first;
+                            first = count;
+                        } else if (count > second) {
+                            second = count;
+                        }
+                    }
+                    tallest = Math.max(tallest, first);
+                    secondTallest = Math.max(secondTallest, second);
+                }
+                const scale = height / Math.max(1, secondTallest || tallest);
+                
+                ctx.globalCompositeOperation = "lighter";
+                const colors = { r: "rgb(200,40,40)", g: "rgb(40,200,40)", b: "rgb(40,80,220)" };
+                for (const channel of ["r", "g", "b"]) {
+                    ctx.fillStyle = colors[channel];
+                    const histogram = stats.histograms[channel];
+                    for (let value = 0; value < 256; value++) {
+                        const barHeight = Math.min(height, histogram[value] * scale);
+                        ctx.fillRect(value, height - barHeight, 1, barHeight);
+                    }
+                }
+                ctx.globalCompositeOperation = "source-over";
+                
+                // Luma as an outline on top
+                ctx.strokeStyle = "rgba(255,255,255,0.8)";
+                ctx.beginPath();
+                for (let value = 0; value < 256; value++) {
+                    const y = height - Math.min(height, stats.histograms.l[value] * scale);
+                    if (value === 0) ctx.moveTo(value + 0.5, y); else ctx.lineTo(value + 0.5, y);
+                }
+                ctx.stroke();
+                
+                const row = (label, c) => `${label}  ${String(c.min).padStart(3)}  ${String(c.max).padStart(3)}  ${c.mean.toFixed(1).padStart(5)}  ${c.std.toFixed(1).padStart(5)}`;
+                this.statsText.textContent =
+                    `   min  max   mean    std\n` +
+                    `${row("R", stats.channels.r)}\n` +
+                    `${row("G", stats.channels.g)}\n` +
+                    `${row("B", stats.channels.b)}\n` +
+                    `${row("L", stats.channels.l)}\n` +
+                    `${stats.pixelCount} px${stats.samples < stats.pixelCount ? ` (${stats.samples} sampled)` : ''}`;
+            }
+            
+            // List shader info logs; an empty list hides the panel
+            showShaderErrors(errors) {
+                if (!this.shaderErrorDiv) return;
+                this.shaderErrorList.textContent = "";
+                for (const { title, log } of errors) {
+                    const heading = document.createElement("div");
+                    heading.textContent = title;
+                    heading.style.color = "#ffb3b3";
+                    const pre = document.createElement("pre");
+                    pre.textContent = log;
+                    pre.style.cssText = "margin: 2px 0 6px; white-space: pre-wrap;";
+                    this.shaderErrorList.appendChild(heading);
+                    this.shaderErrorList.appendChild(pre);
+                }
+                this.shaderErrorDiv.style.display = errors.length ? "block" : "none";
+            }
+            
+            showColorProbe(visible) {
+                if (!this.probeDiv) return;
+                this.probeDiv.style.display = visible ? "flex" : "none";
+            }
+            
+            updateColorProbe(color) {
+                if (!this.probeDiv) return;
+                if (!color) {
+                    this.probeSwatch.style.background = "transparent";
+                    this.probeText.textContent = "No pixel";
+                    return;
+                }
+                const hsv = rgbToHsv(color.r, color.g, color.b);
+                this.probeSwatch.style.background = `rgba(${color.r}, ${color.g}, ${color.b}, ${color.a / 255})`;
+                this.probeText.textContent =
+                    `RGB ${color.r}, ${color.g}, ${color.b}\n` +
+                    `HEX ${rgbToHex(color.r, color.g, color.b)}\n` +
+                    `HSV ${hsv.h}°, ${hsv.s}%, ${hsv.v}%\n` +
+                    `A   ${color.a} (${Math.round(color.a / 255 * 100)}%)`;
+            }
+            
+            createLoupeElements(loupe) {
+                const div = document.createElement("div");
+                div.className = "comfyui-magnify-loupe";
+                div.style.cssText = `
+                    position: absolute;
+                    border: ${this.config.borderEnabled ? `${this.config.borderWidth}px solid ${this.config.borderColor}` : 'none'};
+                    border-radius: ${this.config.glassShape === "Circle" ? "50%" : (this.config.glassShape === "Rounded Square" ? "20%" : "0px")};
+                    overflow: hidden;
+                    z-index: 9998;
+                    cursor: move;
+                    box-shadow: 0 5px 15px rgba(0,0,0,0.3);
+                    background-color: rgba(255,255,255,0.1);
+                `;
+                
+                const canvas = document.createElement("canvas");
+                canvas.style.cssText = "display: block; width: 100%; height: 100%; pointer-events: none;";
+                div.appendChild(canvas);
+                
+                const closeButton = document.createElement("div");
+                closeButton.textContent = "×";
+                closeButton.title = "Close loupe";
+                closeButton.style.cssText = `
+                    position: absolute;
+                    top: 10%;
+                    right: 10%;
+                    width: 18px;
+                    height: 18px;
+                    line-height: 18px;
+                    text-align: center;
+                    border-radius: 50%;
+                    background: rgba(0,0,0,0.6);
+                    color: #fff;
+                    font: bold 14px sans-serif;
+                    cursor: pointer;
+                `;
+                div.appendChild(closeButton);
+                
+                const resizeHandle = document.createElement("div");
+                resizeHandle.title = "Resize loupe";
+                resizeHandle.style.cssText = `
+                    position: absolute;
+                    bottom: 10%;
+                    right: 10%;
+                    width: 12px;
+                    height: 12px;
+                    border-right: 2px solid #fff;
+                    border-bottom: 2px solid #fff;
+                    cursor: nwse-resize;
+                `;
+                div.appendChild(resizeHandle);
+                
+                const calloutButton = document.createElement("div");
+                calloutButton.textContent = "💬";
+                calloutButton.title = "Save with the workflow as a callout (toggle)";
+                calloutButton.style.cssText = `
+                    position: absolute;
+                    top: 10%;
+                    left: 10%;
+                    width: 18px;
+                    height: 18px;
+                    line-height: 18px;
+                    text-align: center;
+                    border-radius: 50%;
+                    background: rgba(0,0,0,0.6);
+                    font: 11px sans-serif;
+                    cursor: pointer;
+                    opacity: 0.5;
+                `;
+                div.appendChild(calloutButton);
+                
+                // Leader line and source region outline, only shown for callouts
+                const svgNs = "http://www.w3.org/2000/svg";
+                const leaderSvg = document.createElementNS(svgNs, "svg");
+                leaderSvg.setAttribute("class", "comfyui-magnify-loupe-leader");
+                leaderSvg.style.cssText = `
+                    position: fixed;
+                    top: 0;
+                    left: 0;
+                    width: 100vw;
+                    height: 100vh;
+                    pointer-events: none;
+                    z-index: 9997;
+                    display: none;
+                `;
+                const leaderLine = document.createElementNS(svgNs, "line");
+                const regionRect = document.createElementNS(svgNs, "rect");
+                for (const shape of [leaderLine, regionRect]) {
+                    shape.setAttribute("stroke", this.config.borderColor);
+                    shape.setAttribute("stroke-width", "1.5");
+                    shape.setAttribute("fill", "none");
+                    leaderSvg.appendChild(shape);
+                }
+                
+                document.body.appendChild(leaderSvg);
+                document.body.appendChild(div);
+                loupe.elements = { div, canvas, closeButton, resizeHandle, calloutButton, leaderSvg, leaderLine, regionRect };
+                this.resizeLoupe(loupe, loupe.size); // Sizes the element and its capped drawing buffer
+            }
+            
+            updateLoupeCalloutStyle(loupe) {
+                if (!loupe.elements) return;
+                loupe.elements.calloutButton.style.opacity = loupe.callout ? "1" : "0.5";
+                loupe.elements.leaderSvg.style.display = loupe.callout ? "block" : "none";
+            }
+            
+            updateCalloutLeader(loupe, anchor, regionRect) {
+                const { div, leaderLine, regionRect: rectShape } = loupe.elements;
+                const loupeRect = div.getBoundingClientRect();
+                leaderLine.setAttribute("x1", anchor.x);
+                leaderLine.setAttribute("y1", anchor.y);
+                leaderLine.setAttribute("x2", loupeRect.left + loupeRect.width / 2);
+                leaderLine.setAttribute("y2", loupeRect.top + loupeRect.height / 2);
+                rectShape.setAttribute("x", regionRect.x);
+                rectShape.setAttribute("y", regionRect.y);
+                rectShape.setAttribute("width", Math.max(0, regionRect.width));
+                rectShape.setAttribute("height", Math.max(0, regionRect.height));
+            }
+            
+            // glassSize CSS pixels on screen, backed by glassSize x pixel ratio drawing buffer pixels.
+            // Only touches the buffer when its size changes: resizing clears it.
+            sizeGlassCanvas() {
+                const size = this.config.glassSize;
+                const bufferSize = Math.max(1, Math.round(size * getPixelRatio()));
+                this.glassCanvas.style.width = `${size}px`;
+                this.glassCanvas.style.height = `${size}px`;
+                if (this.glassCanvas.width !== bufferSize || this.glassCanvas.height !== bufferSize) {
+                    this.glassCanvas.width = bufferSize;
+                    this.glassCanvas.height = bufferSize;
+                }
+            }
+            
+            // Create the clone of a widget element on first sight, then sync only what changes between frames
+            syncOverlayClone(element, provider, context, layout) {
+                let entry = this.overlayClones.get(element);
+                if (entry && entry.provider !== provider) {
+                    this.removeOverlayClone(element); // Claimed by another provider now
+                    entry = null;
+                }
+                if (!entry) {
+                    const clone = provider.create(element, context);
+                    clone.style.position = 'absolute';
+                    clone.style.pointerEvents = 'none';
+                    clone.style.transformOrigin = 'top left';
+                    entry = { clone, provider, layout: null };
+                    this.overlayClones.set(element, entry);
+                    this.htmlOverlayContainer.appendChild(clone);
+                }
+                const clone = entry.clone;
+                
+                const layoutKey = `${layout.x},${layout.y},${context.width},${context.height},${context.scale}`;
+                if (entry.layout !== layoutKey) {
+                    entry.layout = layoutKey;
+                    clone.style.left = `${layout.x}px`;
+                    clone.style.top = `${layout.y}px`;
+                    clone.style.width = `${context.width}px`;
+                    clone.style.height = `${context.height}px`;
+                    clone.style.transform = `scale(${context.scale})`;
+                }
+                if (provider.update) provider.update(clone, element, context);
+            }
+            
+            removeOverlayClone(element) {
+                const entry = this.overlayClones.get(element);
+                if (!entry) return;
+                this.overlayClones.delete(element);
+                entry.clone.remove();
+                try {
+                    if (entry.provider.remove) entry.provider.remove(entry.clone, element);
+                } catch (e) {
+                    console.error(`ComfyUI Magnifying Glass ERROR: Overlay provider "${entry.provider.name}" failed to remove its clone:`, e);
+                }
+            }
+            
+            clearOverlayClones() {
+                for (const element of Array.from(this.overlayClones.keys())) this.removeOverlayClone(element);
+            }
+            
+            positionLoupe(loupe, left, top) {
+                loupe.elements.div.style.left = `${left}px`;
+                loupe.elements.div.style.top = `${top}px`;
+            }
+            
+            resizeLoupe(loupe, size) {
+                loupe.size = size;
+                loupe.elements.div.style.width = `${size}px`;
+                loupe.elements.div.style.height = `${size}px`;
+                // Capped so a callout zoomed in with the canvas does not grow the renderer's surface with it
+                loupe.elements.canvas.width = Math.max(1, Math.min(LOUPE_MAX_BUFFER_SIZE, Math.round(size * getPixelRatio())));
+                loupe.elements.canvas.height = loupe.elements.canvas.width;
+            }
+            
+            removeLoupeElements(loupe) {
+                if (loupe.elements) {
+                    loupe.elements.div.remove();
+                    loupe.elements.leaderSvg.remove();
+                }
+                loupe.elements = null;
+            }
+            
+            createNavigatorElements() {
+                this.navigatorDiv = document.createElement("div");
+                this.navigatorDiv.id = "comfyui-magnify-navigator";
+                this.navigatorDiv.style.cssText = `
+                    position: fixed;
+                    right: 12px;
+                    bottom: 12px;
+                    border: 1px solid rgba(255,255,255,0.4);
+                    border-radius: 4px;
+                    background: rgba(20,20,20,0.85);
+                    box-shadow: 0 5px 15px rgba(0,0,0,0.3);
+                    z-index: 9996;
+                    cursor: crosshair;
+                `;
+                
+                this.navigatorCanvas = document.createElement("canvas");
+                this.navigatorCanvas.style.cssText = "display: block;";
+                this.navigatorDiv.appendChild(this.navigatorCanvas);
+                this.navigatorViewCanvas = document.createElement("canvas");
+                this.resizeNavigator(this.config.navigatorSize);
+                
+                document.body.appendChild(this.navigatorDiv);
+            }
+            
+            resizeNavigator(width) {
+                if (!this.navigatorCanvas) return;
+                this.navigatorCanvas.width = width;
+                this.navigatorCanvas.height = Math.round(width * NAVIGATOR_ASPECT);
+            }
+            
+            removeNavigatorElements() {
+                if (this.navigatorDiv) this.navigatorDiv.remove();
+                this.navigatorDiv = null;
+                this.navigatorCanvas = null;
+                this.navigatorViewCanvas = null;
+            }
+            
+            updateCompareOverlay(compare) {
+                if (!this.compareDiv) return;
+                if (!compare) {
+                    this.compareDiv.style.display = "none";
+                    return;
+                }
+                
+                this.compareDiv.style.display = "block";
+                const isSplit = compare.mode === "Split";
+                this.compareDivider.style.display = isSplit ? "block" : "none";
+                this.compareDivider.style.left = `${compare.splitPosition * 100}%`;
+                const [labelA, labelB] = compare.labels || ["A", "B"];
+                this.compareDividerLabel.textContent = `${labelA} | ${labelB}`;
+                if (isSplit) {
+                    this.compareLabel.textContent = ""; // The divider carries its own A | B label
+                } else if (compare.mode === "Difference") {
+                    this.compareLabel.textContent = `|${labelA} - ${labelB}|`;
+                } else if (compare.mode === "Heatmap") {
+                    this.compareLabel.textContent = `Δ ${labelA} vs ${labelB}`;
+                } else {
+                    this.compareLabel.textContent = compare.showB ? labelB : labelA;
+                }
+            }
+            
+            hideHud() {
+                clearTimeout(this.hudTimeout);
+                this.hudTimeout = null;
+                if (this.hudDiv) this.hudDiv.style.display = "none";
+            }
+            
+            positionGlass(clientX, clientY) {
+                if (!this.config.followCursor) return;
+                
+                // Default position: Horizontally centered with cursor, top of glass 20px below cursor
+                let newLeft = clientX - (this.config.glassSize / 2);
+                let newTop = clientY + 20; // Default to Bottom
+
+                const glassSize = this.config.glassSize;
+                const offsetAmount = 20; // How far from the cursor the glass edge should be
+
+                switch (this.config.glassPosition) {
+                    case "Top":
+                        newLeft = clientX - (glassSize / 2);
+                        newTop = clientY - glassSize - offsetAmount;
+                        break;
+                    case "Bottom":
+                        newLeft = clientX - (glassSize / 2);
+                        newTop = clientY + offsetAmount;
+                        break;
+                    case "Left":
+                        newLeft = clientX - glassSize - offsetAmount;
+                        newTop = clientY - (glassSize / 2);
+                        break;
+                    case "Right":
+                        newLeft = clientX + offsetAmount;
+                        newTop = clientY - (glassSize / 2);
+                        break;
+                    case "Top-Left":
+                        newLeft = clientX - glassSize - offsetAmount;
+                        newTop = clientY - glassSize - offsetAmount;
+                        break;
+                    case "Top-Right":
+                        newLeft = clientX + offsetAmount;
+                        newTop = clientY - glassSize - offsetAmount;
+                        break;
+                    case "Bottom-Left":
+                        newLeft = clientX - glassSize - offsetAmount;
+                        newTop = clientY + offsetAmount;
+                        break;
+                    case "Bottom-Right":
+                        newLeft = clientX + offsetAmount;
+                        newTop = clientY + offsetAmount;
+                        break;
+                    default: // Default to Bottom if something is wrong
+                        newLeft = clientX - (glassSize / 2);
+                        newTop = clientY + offsetAmount;
+                        break;
+                }
+                
+                this.glassDiv.style.left = `${newLeft}px`;
+                this.glassDiv.style.top = `${newTop}px`;
+                
+                this.adjustForBoundaries(clientX, clientY);
+            }
+            
+            adjustForBoundaries(clientX, clientY) {
+                const glassRect = this.glassDiv.getBoundingClientRect();
+                
+                // Check right boundary
+                if (glassRect.right > window.innerWidth) {
+                    this.glassDiv.style.left = `${clientX - glassRect.width - 20}px`;
+                }
+                
+                // Check left boundary
+                const currentRectLeft = this.glassDiv.getBoundingClientRect();
+                if (currentRectLeft.left < 0) {
+                    this.glassDiv.style.left = "10px";
+                }
+                
+                // Check bottom boundary
+                if (glassRect.bottom > window.innerHeight) {
+                    this.glassDiv.style.top = `${clientY - glassRect.height - 20}px`;
+                }
+                
+                // Check top boundary
+                const currentRectTop = this.glassDiv.getBoundingClientRect();
+                if (currentRectTop.top < 0) {
+                    this.glassDiv.style.top = "10px";
+                }
+            }
+            
+            cleanup() {
+                if (this.glassDiv) this.glassDiv.remove();
+                if (this.statsDiv) this.statsDiv.remove();
+                if (this.shaderErrorDiv) this.shaderErrorDiv.remove();
+                for (const loupeDiv of document.querySelectorAll(".comfyui-magnify-loupe, .comfyui-magnify-loupe-leader")) loupeDiv.remove();
+                if (this.debugCanvas) this.debugCanvas.remove();
+                this.removeNavigatorElements();
+                // No need to explicitly remove htmlOverlayContainer as it's a child of glassDiv
+            }
+        }
+        
+        // WebGL Renderer
+        class WebGLRenderer {
+            constructor(config, state, ui) {
+                this.config = config;
+                this.state = state;
+                this.ui = ui;
+                
+                this.name = "WebGL";
+                // Offscreen drawing surface shared by all views: each view is drawn into its bottom-left corner and
+                // copied to the view's own canvas. It only grows, so views of different sizes never reallocate it.
+                this.canvas = document.createElement("canvas");
+                this.contextLost = false;
+                this.onContextLost = null; // Callbacks set by the owner, to re-render or fall back
+                this.onContextRestored = null;
+                this.gl = null;
+                this.program = null; // Program of the selected channel view variant
+                this.programs = new Map(); // Compiled variants, keyed by channel view
+                this.texture = null;
+                this.positionBuffer = null;
+                this.texCoordBuffer = null;
+                this.uniformLocations = null;
+                this.attributeLocations = null;
+                this.currentFilteringMode = null; // To store the GL constant for filtering
+                this.readFramebuffer = null; // Lazily created for pixel readback from the source texture
+                this.imageTextures = new Map(); // Full-resolution node images, keyed by slot ("A"/"B")
+                this.vectorTexture = null; // Vector mode's offscreen graph rendering
+                this.textureWidth = 0; // Allocated size of the source texture
+                this.textureHeight = 0;
+                this.sourceRect = { x: 0, y: 0, width: 0, height: 0 }; // Canvas region held by the source texture, in canvas pixels
+                this.stagingCanvas = null; // 2D canvas a source region is copied into before upload
+                this.stagingCtx = null;
+                this.filterPrograms = new Map(); // Filter chain passes as { pass, error }, keyed by name ("Custom" also by its source)
+                this.filterTexCoordBuffer = null;
+                this.renderTargets = []; // Two framebuffer textures the filter chain ping-pongs between
+                this.shaderErrors = new Map(); // Errors shown in the error panel, keyed by view or filter
+                this.lastShaderError = null; // Info log of the last failed createShaderProgram call
+                
+                this.vertexShaderSource = `
+            attribute vec2 a_position;
+            attribute vec2 a_texCoord;
+            varying vec2 v_texCoord;
+            void main() {
+                gl_Position = vec4(a_position, 0.0, 1.0);
+                v_texCoord = a_texCoord;
+            }
+        `;
+
+                this.fragmentShaderSource = `
+            // Texel math on large canvases needs more than mediump's ~11 bits
+            #ifdef GL_FRAGMENT_PRECISION_HIGH
+            precision highp float;
+            #else
+            precision mediump float;
+            #endif
+            varying vec2 v_texCoord;
+            uniform sampler2D u_sourceTexture;
+            uniform vec2 u_textureOffset;
+            uniform vec2 u_textureRepeat;
+                    uniform float u_glassSize;
+            uniform vec2 u_textureSize;   // Source texture size in texels
+            uniform vec2 u_viewportSize;  // Glass canvas size in pixels
+            uniform float u_pixelRatio;   // Drawing buffer pixels per CSS pixel (line widths and patterns are in CSS pixels)
+            uniform float u_gridAlpha;    // 0 disables the pixel grid
+            uniform vec3 u_gridColor;
+            uniform int u_reticleStyle;   // 0 none, 1 crosshair, 2 center pixel box, 3 dot, 4 crosshair + box
+            uniform vec3 u_reticleColor;
+            uniform int u_lensProfile;    // 0 flat, 1 fisheye, 2 bubble
+            uniform float u_lensStrength;
+            uniform sampler2D u_compareTexture; // Image B for A/B comparison
+            uniform int u_compareMode;    // 0 off, 1 split, 2 difference, 3 native image (canvas around it), 4 heatmap, 5 vector
+            uniform float u_splitPosition;
+            uniform vec2 u_canvasOffset;  // Glass region on the canvas texture (u_compareTexture in mode 3)
+            uniform vec2 u_canvasRepeat;
+            uniform float u_tileCount;    // Tile mode: image copies per side (texture coords count tiles), 0 off
+            uniform bool u_seamHighlight;
+            uniform sampler2D u_referenceTexture; // Onion-skin reference image
+            uniform bool u_referenceEnabled;
+            uniform vec4 u_referenceRect; // Reference placement on the canvas texture (UV x, y, width, height)
+            uniform float u_referenceOpacity;
+            uniform int u_referenceBlend; // 0 normal, 1 difference
+
+            uniform float u_exposure;     // Stops
+            uniform float u_gamma;
+            uniform float u_contrast;
+            uniform vec2 u_levels;        // Black and white input points (0-1)
+            uniform bool u_clippingWarning;
+            uniform bool u_colorVisionEnabled;
+            uniform mat3 u_colorVisionMatrix; // Color vision deficiency simulation in linear RGB
+
+            // Levels, exposure (in linear light), contrast around mid-gray, then gamma
+            vec3 adjustImage(vec3 rgb) {
+                rgb = clamp((rgb - u_levels.x) / max(u_levels.y - u_levels.x, 1.0 / 255.0), 0.0, 1.0);
+                rgb = pow(pow(rgb, vec3(2.2)) * exp2(u_exposure), vec3(1.0 / 2.2));
+                rgb = clamp((rgb - 0.5) * u_contrast + 0.5, 0.0, 1.0);
+                return pow(rgb, vec3(1.0 / u_gamma));
+            }
+
+            // Black where nothing changed, then blue -> cyan -> yellow -> red as the change grows
+            vec3 heatmap(float t) {
+                if (t <= 0.0) return vec3(0.0);
+                return clamp(vec3(1.5 - abs(4.0 * t - 3.0), 1.5 - abs(4.0 * t - 2.0), 1.5 - abs(4.0 * t - 1.0)), 0.0, 1.0);
+            }
+
+            // Defined per shader variant (see CHANNEL_VIEWS)
+            vec4 applyChannelView(vec4 color, vec2 fragPx);
+
+            // Radial lens mapping. r is the distance from the glass center (1.0 = edge of the inscribed circle),
+            // returns (source radius in flat-view units, radial derivative). A derivative of 1 keeps the zoom
+            // factor, a derivative equal to the zoom factor is 1x.
+            vec2 lensMap(float r, float zoom) {
+                float extra = (zoom - 1.0) * u_lensStrength;
+                if (u_lensProfile == 1) {
+                    // Fisheye: magnification falls continuously from the zoom factor at the center to 1x at the edge
+                    return vec2(r + extra * r * r * r / 3.0, 1.0 + extra * r * r);
+                } else if (u_lensProfile == 2) {
+                    // Bubble: flat magnified center, smooth roll-off to 1x over the outer ring
+                    float r0 = 0.5;
+                    float t = clamp((r - r0) / (1.0 - r0), 0.0, 1.0);
+                    float ring = (1.0 - r0) * (t * t * t - 0.5 * t * t * t * t) + max(r - 1.0, 0.0);
+                    return vec2(r + extra * ring, 1.0 + extra * t * t * (3.0 - 2.0 * t));
+                }
+                return vec2(r, 1.0);
+            }
+
+            void main() {
+                vec2 pixelsPerTexel = u_viewportSize / (u_textureRepeat * u_textureSize);
+
+                vec2 lensCoord = v_texCoord;
+                float lensDerivative = 1.0;
+                if (u_lensProfile > 0) {
+                    vec2 fromCenter = v_texCoord - 0.5;
+                    float r = length(fromCenter) * 2.0;
+                    vec2 lens = lensMap(r, max(pixelsPerTexel.x, 1.0));
+                    if (r > 0.0) lensCoord = 0.5 + fromCenter * (lens.x / r);
+                    lensDerivative = lens.y;
+                }
+
+                vec2 sampleCoord = u_textureOffset + lensCoord * u_textureRepeat;
+                vec2 imageCoord = sampleCoord; // 0-1 across the image rect, whatever the tiling
+                if (u_tileCount > 0.0) {
+                    // Wrap in the shader too: REPEAT only works for power-of-two textures in WebGL 1
+                    imageCoord = sampleCoord / u_tileCount;
+                }
+                vec4 color = texture2D(u_sourceTexture, u_tileCount > 0.0 ? fract(sampleCoord) : sampleCoord);
+
+                bool outsideImage = false;
+                if (u_compareMode == 1 && v_texCoord.x > u_splitPosition) {
+                    color = texture2D(u_compareTexture, sampleCoord);
+                } else if (u_compareMode == 2) {
+                    vec4 colorB = texture2D(u_compareTexture, sampleCoord);
+                    color = vec4(abs(color.rgb - colorB.rgb), 1.0);
+                } else if (u_compareMode == 4) {
+                    // sqrt lifts small changes so a one-step difference still shows
+                    vec4 colorB = texture2D(u_compareTexture, sampleCoord);
+                    color = vec4(heatmap(sqrt(length(color.rgb - colorB.rgb) / sqrt(3.0))), 1.0);
+                } else if (u_compareMode == 5) {
+                    // Vector mode: u_compareTexture holds the graph redrawn over exactly the glass
+                    color = texture2D(u_compareTexture, lensCoord);
+                } else if (u_compareMode == 3 && (any(lessThan(imageCoord, vec2(0.0))) || any(greaterThan(imageCoord, vec2(1.0))))) {
+                    // Around a natively sampled image, show the canvas as usual
+                    color = texture2D(u_compareTexture, u_canvasOffset + lensCoord * u_canvasRepeat);
+                    outsideImage = true;
+                }
+
+                vec3 unadjusted = color.rgb;
+
+                // Onion skin: the reference image, placed in canvas coordinates, over whatever the glass samples
+                if (u_referenceEnabled) {
+                    vec2 referenceCoord = (u_canvasOffset + lensCoord * u_canvasRepeat - u_referenceRect.xy) / u_referenceRect.zw;
+                    if (all(greaterThanEqual(referenceCoord, vec2(0.0))) && all(lessThanEqual(referenceCoord, vec2(1.0)))) {
+                        vec4 reference = texture2D(u_referenceTexture, referenceCoord);
+                        vec3 blended = u_referenceBlend == 1 ? abs(color.rgb - reference.rgb) : reference.rgb;
+                        float weight = u_referenceOpacity * reference.a;
+                        color.rgb = mix(color.rgb, blended, weight);
+                        color.a = max(color.a, weight);
+                    }
+                }
+                color.rgb = adjustImage(color.rgb);
+                color = applyChannelView(color, v_texCoord * u_viewportSize / u_pixelRatio);
+
+                // Simulate how a viewer with a color vision deficiency sees the result
+                if (u_colorVisionEnabled) {
+                    vec3 linearColor = u_colorVisionMatrix * pow(color.rgb, vec3(2.2));
+                    color.rgb = pow(clamp(linearColor, 0.0, 1.0), vec3(1.0 / 2.2));
+                }
+
+                // Zebra stripes where the source has a channel at 255 (red) or at 0 (blue)
+                if (u_clippingWarning) {
+                    vec2 stripePx = v_texCoord * u_viewportSize / u_pixelRatio;
+                    bool onStripe = mod(stripePx.x + stripePx.y, 8.0) < 4.0;
+                    float highest = max(unadjusted.r, max(unadjusted.g, unadjusted.b));
+                    float lowest = min(unadjusted.r, min(unadjusted.g, unadjusted.b));
+                    if (onStripe && highest >= 254.5 / 255.0) {
+                        color = vec4(1.0, 0.0, 0.0, 1.0);
+                    } else if (onStripe && lowest <= 0.5 / 255.0 && color.a > 0.0) {
+                        color = vec4(0.0, 0.3, 1.0, 1.0);
+                    }
+                }
+
+                vec2 texel = sampleCoord * u_textureSize;
+
+                // Pixel grid: 1px lines on the source texel boundaries
+                if (u_gridAlpha > 0.0 && !outsideImage) {
+                    vec2 localPixelsPerTexel = pixelsPerTexel / lensDerivative;
+                    vec2 edgeDistance = min(fract(texel), 1.0 - fract(texel)) * localPixelsPerTexel;
+                    float onGrid = step(min(edgeDistance.x, edgeDistance.y), 0.5 * u_pixelRatio) * u_gridAlpha;
+                    // Drop the grid where a lens has compressed texels too small to separate
+                    onGrid *= step(3.0 * u_pixelRatio, min(localPixelsPerTexel.x, localPixelsPerTexel.y));
+                    color.rgb = mix(color.rgb, u_gridColor, onGrid);
+                    color.a = max(color.a, onGrid);
+                }
+
+                // Seams between tiles, dashed so the pixels on both sides stay visible
+                if (u_seamHighlight && u_tileCount > 0.0 && !outsideImage) {
+                    vec2 nearestSeam = floor(sampleCoord + 0.5);
+                    vec2 seamDistance = abs(sampleCoord - nearestSeam) * u_viewportSize / (u_textureRepeat * lensDerivative * u_pixelRatio);
+                    vec2 dashPx = v_texCoord * u_viewportSize / u_pixelRatio;
+                    bool onDash = mod(dashPx.x + dashPx.y, 12.0) < 6.0;
+                    bool innerX = nearestSeam.x > 0.0 && nearestSeam.x < u_tileCount;
+                    bool innerY = nearestSeam.y > 0.0 && nearestSeam.y < u_tileCount;
+                    if (onDash && ((innerX && seamDistance.x < 1.0) || (innerY && seamDistance.y < 1.0))) {
+                        color = vec4(1.0, 0.0, 1.0, 1.0);
+                    }
+                }
+
+                // Reticle, centered on the texel under the glass center
+                if (u_reticleStyle > 0) {
+                    vec2 fragPx = v_texCoord * u_viewportSize;
+                    vec2 fromCenter = abs(fragPx - 0.5 * u_viewportSize) / u_pixelRatio;
+                    vec2 cssPixelsPerTexel = pixelsPerTexel / u_pixelRatio;
+                    float onReticle = 0.0;
+
+                    if (u_reticleStyle == 1 || u_reticleStyle == 4) {
+                        float arm = 0.12 * min(u_viewportSize.x, u_viewportSize.y) / u_pixelRatio;
+                        float gap = max(4.0, 0.5 * max(cssPixelsPerTexel.x, cssPixelsPerTexel.y) + 2.0);
+                        if ((fromCenter.x < 0.75 && fromCenter.y > gap && fromCenter.y < arm) ||
+                            (fromCenter.y < 0.75 && fromCenter.x > gap && fromCenter.x < arm)) {
+                            onReticle = 1.0;
+                        }
+                    }
+                    if (u_reticleStyle == 2 || u_reticleStyle == 4) {
+                        vec2 centerTexel = floor((u_textureOffset + 0.5 * u_textureRepeat) * u_textureSize) + 0.5;
+                        vec2 boxDistance = abs(texel - centerTexel) * cssPixelsPerTexel;
+                        vec2 halfBox = 0.5 * cssPixelsPerTexel;
+                        bool insideOuter = boxDistance.x <= halfBox.x + 1.0 && boxDistance.y <= halfBox.y + 1.0;
+                        bool insideInner = boxDistance.x < halfBox.x - 1.0 && boxDistance.y < halfBox.y - 1.0;
+                        if (insideOuter && !insideInner) {
+                            onReticle = 1.0;
+                        }
+                    }
+                    if (u_reticleStyle == 3 && length(fromCenter) < 2.5) {
+                        onReticle = 1.0;
+                    }
+
+                    color = mix(color, vec4(u_reticleColor, 1.0), onReticle);
+                }
+
+                gl_FragColor = color;
+            }
+        `;
+
+                // The context can be lost at any time (GPU reset, too many contexts); preventing the default lets
+                // the browser restore it, after which every GL object is rebuilt
+                this.handleContextLost = this.handleContextLost.bind(this);
+                this.handleContextRestored = this.handleContextRestored.bind(this);
+                this.canvas.addEventListener("webglcontextlost", this.handleContextLost);
+                this.canvas.addEventListener("webglcontextrestored", this.handleContextRestored);
+                
+                this.initialize();
+            }
+            
+            handleContextLost(e) {
+                e.preventDefault();
+                this.contextLost = true;
+                console.warn("ComfyUI Magnifying Glass: WebGL context lost, waiting for the browser to restore it.");
+                if (this.onContextLost) this.onContextLost();
+            }
+            
+            handleContextRestored() {
+                this.contextLost = false;
+                this.resetResources();
+                this.initialize();
+                if (!this.isValid()) {
+                    console.error("ComfyUI Magnifying Glass ERROR: Could not rebuild the WebGL renderer after a context loss.");
+                    return;
+                }
+                console.warn("ComfyUI Magnifying Glass: WebGL context restored.");
+                if (this.onContextRestored) this.onContextRestored();
+            }
+            
+            // Forget every object of the old context; they are invalid after a loss and are recreated on demand
+            resetResources() {
+                this.program = null;
+                this.programs.clear();
+                this.texture = null;
+                this.positionBuffer = null;
+                this.texCoordBuffer = null;
+                this.uniformLocations = null;
+                this.attributeLocations = null;
+                this.currentFilteringMode = null;
+                this.readFramebuffer = null;
+                this.imageTextures.clear();
+                this.vectorTexture = null;
+                this.textureWidth = 0;
+                this.textureHeight = 0;
+                this.sourceRect = { x: 0, y: 0, width: 0, height: 0 };
+                this.filterPrograms.clear();
+                this.filterTexCoordBuffer = null;
+                this.renderTargets = [];
+            }
+            
+            // Release the context when switching renderers
+            destroy() {
+                this.canvas.removeEventListener("webglcontextlost", this.handleContextLost);
+                this.canvas.removeEventListener("webglcontextrestored", this.handleContextRestored);
+                const loseContext = this.gl && this.gl.getExtension("WEBGL_lose_context");
+                if (loseContext) loseContext.loseContext();
+                this.gl = null;
+                this.program = null;
+            }
+            
+            initialize() {
+                // Get WebGL context
+                this.gl = this.canvas.getContext("webgl"); // Views copy their frame out at once, nothing has to be preserved
+                if (!this.gl) {
+                    console.error("ComfyUI Magnifying Glass ERROR: WebGL not supported or context creation failed.");
+                    return;
+                }
+                
+                // Create shader program (the plain RGB variant; other channel views compile on first use)
+                if (!this.selectProgram("RGB")) return;
+                
+                // Create position buffer
+                this.positionBuffer = this.gl.createBuffer();
+                this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
+                const positions = [-1, -1, 1, -1, -1, 1, 1, 1];
+                this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array(positions), this.gl.STATIC_DRAW);
+                
+                // Create texture coordinate buffer
+                this.texCoordBuffer = this.gl.createBuffer();
+                this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.texCoordBuffer);
+                const texCoords = [0, 1, 1, 1, 0, 0, 1, 0]; // Flipped Y for texCoords
+                this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array(texCoords), this.gl.STATIC_DRAW);
+                
+                // Filter passes read render targets, which are already stored bottom-up
+                this.filterTexCoordBuffer = this.gl.createBuffer();
+                this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.filterTexCoordBuffer);
+                this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), this.gl.STATIC_DRAW);
+                
+                // Create texture
+                this.gl.pixelStorei(this.gl.UNPACK_FLIP_Y_WEBGL, false);
+                this.texture = this.createSourceTexture();
+                this.updateTextureFiltering(this.config.textureFiltering); // Initialize with config setting
+                
+                // Select the configured channel view (falls back to RGB if it does not compile)
+                this.selectProgram(this.config.channelView);
+            }
+            
+            buildFragmentShaderSource(view) {
+                return `${this.fragmentShaderSource}
+            vec4 applyChannelView(vec4 color, vec2 fragPx) {
+                ${CHANNEL_VIEWS[view]}
+            }
+        `;
+            }
+            
+            // Compile a channel view variant on first use and make it the current program
+            selectProgram(view) {
+                if (!CHANNEL_VIEWS[view]) view = "RGB";
+                let variant = this.programs.get(view);
+                if (!variant) {
+                    const program = this.createShaderProgram(this.gl, this.vertexShaderSource, this.buildFragmentShaderSource(view));
+                    if (!program) {
+                        console.error(`ComfyUI Magnifying Glass ERROR: Could not build the "${view}" view shader.`);
+                        this.setShaderError(`view:${view}`, `Channel view "${view}"`, this.lastShaderError);
+                        return view === "RGB" ? false : this.selectProgram("RGB");
+                    }
+                    variant = {
+                        program,
+                        uniformLocations: this.getUniformLocations(program),
+                        attributeLocations: {
+                            position: this.gl.getAttribLocation(program, "a_position"),
+                            texCoord: this.gl.getAttribLocation(program, "a_texCoord"),
+                        }
+                    };
+                    this.programs.set(view, variant);
+                }
+                
+                this.program = variant.program;
+                this.uniformLocations = variant.uniformLocations;
+                this.attributeLocations = variant.attributeLocations;
+                return true;
+            }
+            
+            getUniformLocations(program) {
+                return {
+                    sourceTexture: this.gl.getUniformLocation(program, "u_sourceTexture"),
+                    textureOffset: this.gl.getUniformLocation(program, "u_textureOffset"),
+                    textureRepeat: this.gl.getUniformLocation(program, "u_textureRepeat"),
+                    glassSize: this.gl.getUniformLocation(program, "u_glassSize"),
+                    textureSize: this.gl.getUniformLocation(program, "u_textureSize"),
+                    viewportSize: this.gl.getUniformLocation(program, "u_viewportSize"),
+                    pixelRatio: this.gl.getUniformLocation(program, "u_pixelRatio"),
+                    gridAlpha: this.gl.getUniformLocation(program, "u_gridAlpha"),
+                    gridColor: this.gl.getUniformLocation(program, "u_gridColor"),
+                    reticleStyle: this.gl.getUniformLocation(program, "u_reticleStyle"),
+                    reticleColor: this.gl.getUniformLocation(program, "u_reticleColor"),
+                    lensProfile: this.gl.getUniformLocation(program, "u_lensProfile"),
+                    lensStrength: this.gl.getUniformLocation(program, "u_lensStrength"),
+                    compareTexture: this.gl.getUniformLocation(program, "u_compareTexture"),
+                    compareMode: this.gl.getUniformLocation(program, "u_compareMode"),
+                    splitPosition: this.gl.getUniformLocation(program, "u_splitPosition"),
+                    canvasOffset: this.gl.getUniformLocation(program, "u_canvasOffset"),
+                    canvasRepeat: this.gl.getUniformLocation(program, "u_canvasRepeat"),
+                    tileCount: this.gl.getUniformLocation(program, "u_tileCount"),
+                    seamHighlight: this.gl.getUniformLocation(program, "u_seamHighlight"),
+                    referenceTexture: this.gl.getUniformLocation(program, "u_referenceTexture"),
+                    referenceEnabled: this.gl.getUniformLocation(program, "u_referenceEnabled"),
+                    referenceRect: this.gl.getUniformLocation(program, "u_referenceRect"),
+                    referenceOpacity: this.gl.getUniformLocation(program, "u_referenceOpacity"),
+                    referenceBlend: this.gl.getUniformLocation(program, "u_referenceBlend"),
+                    exposure: this.gl.getUniformLocation(program, "u_exposure"),
+                    gamma: this.gl.getUniformLocation(program, "u_gamma"),
+                    contrast: this.gl.getUniformLocation(program, "u_contrast"),
+                    levels: this.gl.getUniformLocation(program, "u_levels"),
+                    clippingWarning: this.gl.getUniformLocation(program, "u_clippingWarning"),
+                    colorVisionEnabled: this.gl.getUniformLocation(program, "u_colorVisionEnabled"),
+                    colorVisionMatrix: this.gl.getUniformLocation(program, "u_colorVisionMatrix"),
+                };
+            }
+            
+            // Record a shader error for the error panel, or clear it with a null log
+            setShaderError(key, title, log) {
+                const current = this.shaderErrors.get(key);
+                if (log == null ? !current : current && current.log === log) return;
+                if (log == null) {
+                    this.shaderErrors.delete(key);
+                } else {
+                    this.shaderErrors.set(key, { title, log });
+                }
+                this.ui.showShaderErrors(Array.from(this.shaderErrors.values()));
+            }
+            
+            // Fragment source of a filter pass, null for an unknown name or an empty custom shader
+            getFilterSource(name) {
+                if (name === CUSTOM_FILTER_NAME) {
+                    const source = this.config.customShader.trim();
+                    if (!source) return null;
+                    return /\bprecision\s+\w+\s+float\s*;/.test(source) ? source : FILTER_SHADER_HEADER + source;
+                }
+                if (FILTER_PASSES[name]) return FILTER_SHADER_HEADER + FILTER_PASSES[name];
+                if (CHANNEL_VIEWS[name]) {
+                    return `${FILTER_SHADER_HEADER}
+            vec4 applyChannelView(vec4 color, vec2 fragPx) {
+                ${CHANNEL_VIEWS[name]}
+            }
+            void main() {
+                gl_FragColor = applyChannelView(texture2D(u_image, v_texCoord), gl_FragCoord.xy);
+            }
+        `;
+                }
+                return null;
+            }
+            
+            compileFilterPass(name) {
+                const source = this.getFilterSource(name);
+                if (source === null) {
+                    const error = name === CUSTOM_FILTER_NAME
+                        ? "The Custom Filter Shader setting is empty."
+                        : `Unknown filter. Available: ${FILTER_NAMES.join(", ")}`;
+                    return { pass: null, error };
+                }
+                const program = this.createShaderProgram(this.gl, this.vertexShaderSource, source);
+                if (!program) return { pass: null, error: this.lastShaderError };
+                return {
+                    pass: {
+                        program,
+                        uniformLocations: {
+                            image: this.gl.getUniformLocation(program, "u_image"),
+                            resolution: this.gl.getUniformLocation(program, "u_resolution"),
+                        },
+                        attributeLocations: {
+                            position: this.gl.getAttribLocation(program, "a_position"),
+                            texCoord: this.gl.getAttribLocation(program, "a_texCoord"),
+                        }
+                    },
+                    error: null
+                };
+            }
+            
+            // Compile a filter pass on first use; a pass that fails is replaced by passthrough
+            getFilterPass(name) {
+                const key = name === CUSTOM_FILTER_NAME ? `${name}:${this.config.customShader}` : name;
+                let entry = this.filterPrograms.get(key);
+                if (!entry) {
+                    if (name === CUSTOM_FILTER_NAME) this.deleteCustomFilterPasses();
+                    entry = this.compileFilterPass(name);
+                    this.filterPrograms.set(key, entry);
+                }
+                this.setShaderError(`filter:${name}`, `Filter "${name}"`, entry.error);
+                if (entry.pass) return entry.pass;
+                return name === "Passthrough" ? null : this.getFilterPass("Passthrough");
+            }
+            
+            // Drop programs built from earlier versions of the custom shader
+            deleteCustomFilterPasses() {
+                for (const [key, entry] of this.filterPrograms) {
+                    if (!key.startsWith(`${CUSTOM_FILTER_NAME}:`)) continue;
+                    if (entry.pass) this.gl.deleteProgram(entry.pass.program);
+                    this.filterPrograms.delete(key);
+                }
+            }
+            
+            // Passes of the FilterChain setting, in order
+            getFilterChain() {
+                const names = this.config.filterChain.split(",").map(name => name.trim()).filter(Boolean);
+                // Errors of filters that left the chain no longer apply
+                for (const key of Array.from(this.shaderErrors.keys())) {
+                    if (key.startsWith("filter:") && !names.includes(key.slice("filter:".length))) {
+                        this.setShaderError(key, null, null);
+                    }
+                }
+                return names.map(name => this.getFilterPass(name)).filter(Boolean);
+            }
+            
+            // Size both ping-pong render targets to the pass size, creating them on first use
+            getRenderTargets(width, height) {
+                const gl = this.gl;
+                if (!this.renderTargets.length) {
+                    this.renderTargets = [0, 1].map(() => {
+                        const texture = gl.createTexture();
+                        gl.bindTexture(gl.TEXTURE_2D, texture);
+                        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+                        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+                        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+                        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+                        return { texture, framebuffer: gl.createFramebuffer(), width: 0, height: 0 };
+                    });
+                }
+                for (const target of this.renderTargets) {
+                    if (target.width === width && target.height === height) continue;
+                    gl.bindTexture(gl.TEXTURE_2D, target.texture);
+                    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+                    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+                    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target.texture, 0);
+                    target.width = width;
+                    target.height = height;
+                }
+                gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+                return this.renderTargets;
+            }
+            
+            createSourceTexture() {
+                const texture = this.gl.createTexture();
+                this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
+                this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
+                this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
+                const filterMode = this.currentFilteringMode || this.gl.LINEAR;
+                this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, filterMode);
+                this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, filterMode);
+                return texture;
+            }
+            
+            // Upload a node image into a slot texture, only when the image changed since the last upload
+            uploadImageTexture(slot, img) {
+                let entry = this.imageTextures.get(slot);
+                if (!entry) {
+                    entry = { texture: this.createSourceTexture(), src: null, wrap: this.gl.CLAMP_TO_EDGE };
+                    this.imageTextures.set(slot, entry);
+                }
+                
+                this.gl.bindTexture(this.gl.TEXTURE_2D, entry.texture);
+                if (entry.src !== img.src) {
+                    try {
+                        this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, this.gl.RGBA, this.gl.UNSIGNED_BYTE, img);
+                        entry.src = img.src;
+                        entry.width = img.naturalWidth;
+                        entry.height = img.naturalHeight;
+                    } catch (e) {
+                        console.error(`ComfyUI Magnifying Glass ERROR: Error uploading image ${slot}:`, e);
+                        return null;
+                    }
+                }
+                return entry.texture;
+            }
+            
+            uploadVectorSource(canvas) {
+                if (!this.vectorTexture) this.vectorTexture = this.createSourceTexture();
+                this.gl.bindTexture(this.gl.TEXTURE_2D, this.vectorTexture);
+                try {
+                    this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, this.gl.RGBA, this.gl.UNSIGNED_BYTE, canvas);
+                } catch (e) {
+                    console.error("ComfyUI Magnifying Glass ERROR: Error uploading the vector rendering:", e);
+                    return null;
+                }
+                return this.vectorTexture;
+            }
+            
+            // Tile mode wants REPEAT wrapping, which WebGL 1 only allows for power-of-two textures;
+            // the shader wraps the coordinates itself, so other sizes just keep CLAMP_TO_EDGE
+            setImageTextureWrap(slot, repeat) {
+                const entry = this.imageTextures.get(slot);
+                if (!entry) return;
+                const isPowerOfTwo = (n) => n > 0 && (n & (n - 1)) === 0;
+                const wrap = repeat && isPowerOfTwo(entry.width) && isPowerOfTwo(entry.height) ? this.gl.REPEAT : this.gl.CLAMP_TO_EDGE;
+                if (entry.wrap === wrap) return;
+                this.gl.bindTexture(this.gl.TEXTURE_2D, entry.texture);
+                this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, wrap);
+                this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, wrap);
+                entry.wrap = wrap;
+            }
+            
+            updateTextureFiltering(filteringModeString) {
+                if (!this.gl) return;
+
+                let glFilterMode;
+                if (filteringModeString === "Nearest") {
+                    glFilterMode = this.gl.NEAREST;
+                } else { // Default to Linear
+                    glFilterMode = this.gl.LINEAR;
+                }
+
+                if (this.currentFilteringMode === glFilterMode) return; // No change needed
+
+                this.currentFilteringMode = glFilterMode;
+
+                const textures = [this.texture, ...Array.from(this.imageTextures.values(), entry => entry.texture)];
+                for (const texture of textures) {
+                    this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
+                    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, glFilterMode);
+                    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, glFilterMode);
+                }
+                this.gl.bindTexture(this.gl.TEXTURE_2D, null); // Unbind
+                // console.log(`ComfyUI Magnifying Glass: Texture filtering updated to ${filteringModeString}`);
+            }
+
+            isValid() {
+                return this.gl !== null && this.program !== null && !this.contextLost;
+            }
+            
+            createShaderProgram(gl, vsSource, fsSource) {
+            this.lastShaderError = null;
+            const vertexShader = gl.createShader(gl.VERTEX_SHADER);
+            gl.shaderSource(vertexShader, vsSource);
+            gl.compileShader(vertexShader);
+            if (!gl.getShaderParameter(vertexShader, gl.COMPILE_STATUS)) {
+                    this.lastShaderError = `Vertex shader compilation error:\n${gl.getShaderInfoLog(vertexShader)}`;
+                    console.error('ComfyUI Magnifying Glass ERROR: Vertex shader compilation error:', gl.getShaderInfoLog(vertexShader));
+                gl.deleteShader(vertexShader);
+                return null;
+            }
+
+            const fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
+            gl.shaderSource(fragmentShader, fsSource);
+            gl.compileShader(fragmentShader);
+            if (!gl.getShaderParameter(fragmentShader, gl.COMPILE_STATUS)) {
+                    this.lastShaderError = `Fragment shader compilation error:\n${gl.getShaderInfoLog(fragmentShader)}`;
+                    console.error('ComfyUI Magnifying Glass ERROR: Fragment shader compilation error:', gl.getShaderInfoLog(fragmentShader));
+                gl.deleteShader(vertexShader);
+                gl.deleteShader(fragmentShader);
+                return null;
+            }
+
+            const program = gl.createProgram();
+            gl.attachShader(program, vertexShader);
+            gl.attachShader(program, fragmentShader);
+            gl.linkProgram(program);
+
+            if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+                    this.lastShaderError = `Shader program linking error:\n${gl.getProgramInfoLog(program)}`;
+                    console.error('ComfyUI Magnifying Glass ERROR: Shader program linking error:', gl.getProgramInfoLog(program));
+                gl.deleteProgram(program);
+                gl.deleteShader(vertexShader);
+                gl.deleteShader(fragmentShader);
+                return null;
+            }
+                
+            return program;
+            }
+            
+            render(sourceCanvas, compare = null) {
+                if (!this.uploadSource(sourceCanvas)) return;
+                this.drawFiltered(this.state, compare);
+            }
+            
+            // Upload the source canvas once per frame; every view drawn afterwards samples the same texture.
+            // With a region (canvas pixels) only that part is uploaded: it is copied into a staging canvas at the
+            // texture's origin and sent with texSubImage2D, so the texture is only reallocated when the staging
+            // canvas has to grow. Without one, the whole canvas is uploaded (the navigator needs all of it).
+            uploadSource(sourceCanvas, region = null) {
+                const gl = this.gl;
+                const rect = clipToCanvas(sourceCanvas, region);
+                const { x: left, y: top, width, height } = rect;
+                const fullCanvas = width === sourceCanvas.width && height === sourceCanvas.height;
+                
+                // Bind texture and update with the source region
+                gl.bindTexture(gl.TEXTURE_2D, this.texture);
+                
+                try {
+                    if (fullCanvas) {
+                        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, sourceCanvas);
+                        this.textureWidth = sourceCanvas.width;
+                        this.textureHeight = sourceCanvas.height;
+                    } else {
+                        // Clear all of it: a larger earlier region would otherwise leave its pixels around this one
+                        const staging = this.getStagingCanvas(width, height);
+                        this.stagingCtx.clearRect(0, 0, staging.width, staging.height);
+                        this.stagingCtx.drawImage(sourceCanvas, left, top, width, height, 0, 0, width, height);
+                        if (staging.width === this.textureWidth && staging.height === this.textureHeight) {
+                            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, gl.RGBA, gl.UNSIGNED_BYTE, staging);
+                        } else {
+                            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, staging);
+                            this.textureWidth = staging.width;
+                            this.textureHeight = staging.height;
+                        }
+                    }
+                } catch (e) {
+                    console.error("ComfyUI Magnifying Glass ERROR: Error uploading the source canvas:", e);
+                    return false;
+                }
+                this.sourceRect = rect;
+                return true;
+            }
+            
+            // Staging canvas for region uploads; it only grows, so the texture allocation is reused
+            getStagingCanvas(width, height) {
+                if (!this.stagingCanvas) {
+                    this.stagingCanvas = document.createElement("canvas");
+                    this.stagingCanvas.width = 0;
+                    this.stagingCanvas.height = 0;
+                }
+                const staging = this.stagingCanvas;
+                if (width > staging.width || height > staging.height) {
+                    staging.width = Math.max(staging.width, width);
+                    staging.height = Math.max(staging.height, height);
+                    this.stagingCtx = null; // Resizing resets the context state
+                }
+                if (!this.stagingCtx) this.stagingCtx = staging.getContext("2d");
+                return staging;
+            }
+            
+            // Draw the source region of a MagnifierState into the bottom-left width x height of the WebGL canvas
+            // imageView is an A/B comparison or a natively sampled image (mode "Native"), null for the plain canvas.
+            // plain skips adjustments, the channel view, color vision simulation, lens, pixel grid and reticle
+            // (used for the navigator's overview).
+            draw(state, imageView = null, width = this.ui.glassCanvas.width, height = this.ui.glassCanvas.height, plain = false) {
+                // Calculate normalized texture coordinates (UV space: 0-1)
+                // The source texture holds sourceRect, at its origin
+                const canvasUvX = (state.sourceX - this.sourceRect.x) / this.textureWidth;
+                const canvasUvY = (state.sourceY - this.sourceRect.y) / this.textureHeight;
+                // Corrected: sourceWidth/Height are now *already* in sourceCanvas pixel units
+                const canvasUvWidth = state.sourceWidth / this.textureWidth;
+                const canvasUvHeight = state.sourceHeight / this.textureHeight;
+                let uvX = canvasUvX;
+                let uvY = canvasUvY;
+                let uvWidth = canvasUvWidth;
+                let uvHeight = canvasUvHeight;
+                let sourceTexture = this.texture;
+                let textureWidth = this.textureWidth;
+                let textureHeight = this.textureHeight;
+                let compareTexture = null;
+                let compare = null;
+                
+                if (imageView && imageView.mode === "Vector") {
+                    // The re-rendered graph covers exactly the glass. The canvas texture stays the source, so the
+                    // pixel grid, reticle and probe keep to the canvas pixels the vector view redraws.
+                    const vectorTexture = this.uploadVectorSource(imageView.canvas);
+                    if (vectorTexture) {
+                        compare = imageView;
+                        compareTexture = vectorTexture;
+                    }
+                } else if (imageView && imageView.mode === "Native") {
+                    // Full-resolution image; the canvas texture fills in around it
+                    const imageTexture = this.uploadImageTexture("Native", imageView.imageA);
+                    if (imageTexture) {
+                        this.setImageTextureWrap("Native", imageView.tiles > 0);
+                        compare = imageView;
+                        sourceTexture = imageTexture;
+                        compareTexture = this.texture;
+                        textureWidth = imageView.imageA.naturalWidth;
+                        textureHeight = imageView.imageA.naturalHeight;
+                        uvX = imageView.uvX;
+                        uvY = imageView.uvY;
+                        uvWidth = imageView.uvWidth;
+                        uvHeight = imageView.uvHeight;
+                    }
+                } else if (imageView) {
+                    // A/B compare: sample both images at the same relative region instead of the canvas
+                    compare = imageView;
+                    const textureA = this.uploadImageTexture("A", compare.imageA);
+                    const textureB = this.uploadImageTexture("B", compare.imageB);
+                    if (textureA && textureB) {
+                        const primary = compare.showB ? compare.imageB : compare.imageA;
+                        sourceTexture = compare.showB ? textureB : textureA;
+                        compareTexture = textureB;
+                        textureWidth = primary.naturalWidth;
+                        textureHeight = primary.naturalHeight;
+                        uvX = compare.uvX;
+                        uvY = compare.uvY;
+                        uvWidth = compare.uvWidth;
+                        uvHeight = compare.uvHeight;
+                    }
+                }
+                
+                // Onion-skin reference (live glass only)
+                const reference = !plain && state.reference && state.reference.visible ? state.reference : null;
+                const referenceTexture = reference ? this.uploadImageTexture("Reference", reference.img) : null;
+                
+                // Set up rendering
+                this.gl.viewport(0, 0, width, height);
+                this.gl.clearColor(0.0, 0.0, 0.0, 0.0);
+                this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+                
+                const showsImage = compare && compare.mode !== "Vector";
+                const channelView = plain || (!showsImage && ALPHA_CHANNEL_VIEWS.includes(this.config.channelView)) ? "RGB" : this.config.channelView;
+                this.selectProgram(channelView);
+                this.gl.useProgram(this.program);
+                
+                // Set uniforms
+                this.gl.activeTexture(this.gl.TEXTURE0);
+                this.gl.bindTexture(this.gl.TEXTURE_2D, sourceTexture);
+                this.gl.uniform1i(this.uniformLocations.sourceTexture, 0);
+                this.gl.activeTexture(this.gl.TEXTURE1);
+                this.gl.bindTexture(this.gl.TEXTURE_2D, compareTexture || sourceTexture);
+                this.gl.uniform1i(this.uniformLocations.compareTexture, 1);
+                this.gl.activeTexture(this.gl.TEXTURE0);
+                this.gl.uniform1i(this.uniformLocations.compareMode, compareTexture ? (COMPARE_SHADER_MODES[compare.mode] || 0) : 0);
+                this.gl.uniform1f(this.uniformLocations.splitPosition, compare && compare.splitPosition != null ? compare.splitPosition : 0.5);
+                this.gl.uniform2f(this.uniformLocations.canvasOffset, canvasUvX, canvasUvY);
+                this.gl.uniform2f(this.uniformLocations.canvasRepeat, canvasUvWidth, canvasUvHeight);
+                this.gl.uniform1f(this.uniformLocations.tileCount, compare && compare.tiles ? compare.tiles : 0);
+                this.gl.uniform1i(this.uniformLocations.seamHighlight, this.config.tileSeams ? 1 : 0);
+                this.gl.uniform1i(this.uniformLocations.referenceEnabled, referenceTexture ? 1 : 0);
+                if (referenceTexture) {
+                    this.gl.activeTexture(this.gl.TEXTURE2);
+                    this.gl.bindTexture(this.gl.TEXTURE_2D, referenceTexture);
+                    this.gl.uniform1i(this.uniformLocations.referenceTexture, 2);
+                    this.gl.activeTexture(this.gl.TEXTURE0);
+                    // Graph units -> canvas texture UV, as LiteGraph draws them: (graph + offset) * scale
+                    const rect = reference.graphRect;
+                    this.gl.uniform4f(this.uniformLocations.referenceRect,
+                        ((rect.x + state.canvasOffsetX) * state.canvasScale - this.sourceRect.x) / this.textureWidth,
+                        ((rect.y + state.canvasOffsetY) * state.canvasScale - this.sourceRect.y) / this.textureHeight,
+                        rect.width * state.canvasScale / this.textureWidth,
+                        rect.height * state.canvasScale / this.textureHeight);
+                    this.gl.uniform1f(this.uniformLocations.referenceOpacity, this.config.referenceOpacity);
+                    this.gl.uniform1i(this.uniformLocations.referenceBlend, REFERENCE_BLEND_MODES[this.config.referenceBlendMode] || 0);
+                }
+                this.gl.uniform2f(this.uniformLocations.textureOffset, uvX, uvY);
+                this.gl.uniform2f(this.uniformLocations.textureRepeat, uvWidth, uvHeight);
+                this.gl.uniform1f(this.uniformLocations.glassSize, this.config.glassSize);
+                this.gl.uniform2f(this.uniformLocations.textureSize, textureWidth, textureHeight);
+                this.gl.uniform2f(this.uniformLocations.viewportSize, width, height);
+                this.gl.uniform1f(this.uniformLocations.pixelRatio, getPixelRatio());
+                // The grid threshold is a zoom factor, so compare CSS pixels per texel
+                this.gl.uniform1f(this.uniformLocations.gridAlpha, plain ? 0 : getPixelGridAlpha(this.config, width / (uvWidth * textureWidth) / getPixelRatio()));
+                this.gl.uniform3fv(this.uniformLocations.gridColor, hexToRgbFloat(this.config.pixelGridColor, [0.5, 0.5, 0.5]));
+                this.gl.uniform1i(this.uniformLocations.reticleStyle, plain ? 0 : (RETICLE_STYLES[this.config.reticleStyle] || 0));
+                this.gl.uniform3fv(this.uniformLocations.reticleColor, hexToRgbFloat(this.config.reticleColor, [1, 0, 0]));
+                this.gl.uniform1i(this.uniformLocations.lensProfile, plain ? 0 : (LENS_PROFILES[this.config.lensProfile] || 0));
+                this.gl.uniform1f(this.uniformLocations.lensStrength, this.config.lensStrength);
+                this.gl.uniform1f(this.uniformLocations.exposure, plain ? 0 : this.config.exposure);
+                this.gl.uniform1f(this.uniformLocations.gamma, plain ? 1 : Math.max(0.01, this.config.gamma));
+                this.gl.uniform1f(this.uniformLocations.contrast, plain ? 1 : this.config.contrast);
+                this.gl.uniform2f(this.uniformLocations.levels, plain ? 0 : this.config.levelsBlack / 255, plain ? 1 : this.config.levelsWhite / 255);
+                this.gl.uniform1i(this.uniformLocations.clippingWarning, !plain && this.config.clippingWarning ? 1 : 0);
+                const colorVisionMatrix = plain ? null : COLOR_VISION_MATRICES[this.config.colorVision];
+                this.gl.uniform1i(this.uniformLocations.colorVisionEnabled, colorVisionMatrix ? 1 : 0);
+                if (colorVisionMatrix) {
+                    this.gl.uniformMatrix3fv(this.uniformLocations.colorVisionMatrix, false, transposeMatrix3(colorVisionMatrix));
+                }
+                
+                // Set attributes
+                this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
+                this.gl.vertexAttribPointer(this.attributeLocations.position, 2, this.gl.FLOAT, false, 0, 0);
+                this.gl.enableVertexAttribArray(this.attributeLocations.position);
+                
+                this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.texCoordBuffer);
+                this.gl.vertexAttribPointer(this.attributeLocations.texCoord, 2, this.gl.FLOAT, false, 0, 0);
+                this.gl.enableVertexAttribArray(this.attributeLocations.texCoord);
+                
+                // Draw
+                this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+            }
+            
+            // Draw the live glass through the filter chain: the main pass renders into a texture,
+            // each filter pass reads the previous one and the last pass writes to the glass canvas
+            drawFiltered(state, imageView = null) {
+                const glassCanvas = this.ui.glassCanvas;
+                const width = glassCanvas.width;
+                const height = glassCanvas.height;
+                this.ensureSurfaceSize(width, height);
+                
+                const passes = this.getFilterChain();
+                if (!passes.length) {
+                    this.draw(state, imageView, width, height);
+                } else {
+                    const gl = this.gl;
+                    const targets = this.getRenderTargets(width, height);
+                    gl.bindFramebuffer(gl.FRAMEBUFFER, targets[0].framebuffer);
+                    this.draw(state, imageView, width, height);
+                    passes.forEach((pass, i) => {
+                        const output = i === passes.length - 1 ? null : targets[(i + 1) % 2].framebuffer;
+                        gl.bindFramebuffer(gl.FRAMEBUFFER, output);
+                        this.drawFilterPass(pass, targets[i % 2].texture, width, height);
+                    });
+                }
+                this.copyToCanvas(glassCanvas, width, height);
+            }
+            
+            drawFilterPass(pass, inputTexture, width, height) {
+                const gl = this.gl;
+                gl.viewport(0, 0, width, height);
+                gl.clearColor(0.0, 0.0, 0.0, 0.0);
+                gl.clear(gl.COLOR_BUFFER_BIT);
+                
+                gl.useProgram(pass.program);
+                gl.activeTexture(gl.TEXTURE0);
+                gl.bindTexture(gl.TEXTURE_2D, inputTexture);
+                gl.uniform1i(pass.uniformLocations.image, 0);
+                gl.uniform2f(pass.uniformLocations.resolution, width, height);
+                
+                // Custom shaders may not use every attribute
+                if (pass.attributeLocations.position >= 0) {
+                    gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
+                    gl.vertexAttribPointer(pass.attributeLocations.position, 2, gl.FLOAT, false, 0, 0);
+                    gl.enableVertexAttribArray(pass.attributeLocations.position);
+                }
+                if (pass.attributeLocations.texCoord >= 0) {
+                    gl.bindBuffer(gl.ARRAY_BUFFER, this.filterTexCoordBuffer);
+                    gl.vertexAttribPointer(pass.attributeLocations.texCoord, 2, gl.FLOAT, false, 0, 0);
+                    gl.enableVertexAttribArray(pass.attributeLocations.texCoord);
+                }
+                
+                gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+            }
+            
+            // Draw a view (pinned loupe, navigator) into its own 2D canvas
+            drawToCanvas(state, targetCanvas, plain = false) {
+                const width = targetCanvas.width;
+                const height = targetCanvas.height;
+                this.ensureSurfaceSize(width, height);
+                this.draw(state, null, width, height, plain);
+                this.copyToCanvas(targetCanvas, width, height);
+            }
+            
+            ensureSurfaceSize(width, height) {
+                if (this.canvas.width < width || this.canvas.height < height) {
+                    this.canvas.width = Math.max(this.canvas.width, width);
+                    this.canvas.height = Math.max(this.canvas.height, height);
+                }
+            }
+            
+            // Copy the view just drawn into a view's canvas. The viewport sits at the bottom-left of the surface.
+            copyToCanvas(targetCanvas, width, height) {
+                const ctx = targetCanvas.getContext("2d");
+                ctx.clearRect(0, 0, width, height);
+                ctx.drawImage(this.canvas, 0, this.canvas.height - height, width, height, 0, 0, width, height);
+            }
+            
+            // Read one RGBA pixel of the uploaded source texture (canvas pixel coordinates, top-left origin)
+            readSourcePixel(x, y) {
+                const rect = this.sourceRect;
+                return this.readTexturePixel(this.texture, rect.width, rect.height, x - rect.x, y - rect.y);
+            }
+            
+            // Pixel of a node image texture, in image pixels
+            readImagePixel(slot, x, y) {
+                const entry = this.imageTextures.get(slot);
+                if (!entry || !entry.src) return null;
+                return this.readTexturePixel(entry.texture, entry.width, entry.height, x, y);
+            }
+            
+            readTexturePixel(texture, width, height, x, y) {
+                const px = Math.floor(x);
+                const py = Math.floor(y);
+                if (px < 0 || py < 0 || px >= width || py >= height) return null;
+                return this.readTextureRegion(texture, width, height, px, py, 1, 1);
+            }
+            
+            // RGBA bytes of a source canvas region (canvas pixels), clipped to the uploaded part of the canvas
+            readSourceRegion(x, y, regionWidth, regionHeight) {
+                const rect = this.sourceRect;
+                return this.readTextureRegion(this.texture, rect.width, rect.height, x - rect.x, y - rect.y, regionWidth, regionHeight);
+            }
+            
+            readImageRegion(slot, x, y, regionWidth, regionHeight) {
+                const entry = this.imageTextures.get(slot);
+                if (!entry || !entry.src) return null;
+                return this.readTextureRegion(entry.texture, entry.width, entry.height, x, y, regionWidth, regionHeight);
+            }
+            
+            // Synchronous readPixels through a framebuffer; stalls the GPU pipeline, so callers throttle it
+            readTextureRegion(texture, width, height, x, y, regionWidth, regionHeight) {
+                if (!this.gl || !texture) return null;
+                
+                const left = Math.max(0, Math.floor(x));
+                const top = Math.max(0, Math.floor(y));
+                const right = Math.min(width, Math.ceil(x + regionWidth));
+                const bottom = Math.min(height, Math.ceil(y + regionHeight));
+                if (right <= left || bottom <= top) return null;
+                
+                const gl = this.gl;
+                if (!this.readFramebuffer) this.readFramebuffer = gl.createFramebuffer();
+                gl.bindFramebuffer(gl.FRAMEBUFFER, this.readFramebuffer);
+                gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+                
+                let pixels = null;
+                if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE) {
+                    // The texture is uploaded without Y flip, so texel rows match canvas rows
+                    pixels = new Uint8Array((right - left) * (bottom - top) * 4);
+                    gl.readPixels(left, top, right - left, bottom - top, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+                } else {
+                    this.checkWebGLError("readTextureRegion");
+                }
+                gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+                return pixels;
+            }
+            
+            checkWebGLError(label) {
+                const err = this.gl.getError();
+                if (err !== this.gl.NO_ERROR) {
+                    console.error(`ComfyUI Magnifying Glass ERROR: WebGL Error (${label}):`, err);
+                    return true;
+                }
+                return false;
+            }
+        }
+        
+        // Canvas 2D Renderer - the WebGLRenderer interface on drawImage, for browsers without (working) WebGL.
+        // Covers the magnified view, A/B and history compares (Heatmap shows the plain difference), native and
+        // tiled images, vector mode, the onion skin, pixel grid and reticle. Shader-only features (channel views,
+        // adjustments, color vision, lens, clipping warning, filter chain) are skipped.
+        class Canvas2DRenderer {
+            constructor(config, state, ui) {
+                this.config = config;
+                this.state = state;
+                this.ui = ui;
+                
+                this.name = "Canvas 2D";
+                this.gl = null; // No WebGL context; callers check this before touching the viewport
+                this.ctx = ui.glassCanvas.getContext("2d");
+                if (!this.ctx) console.error("ComfyUI Magnifying Glass ERROR: Canvas 2D context creation failed.");
+                this.sourceCanvas = document.createElement("canvas"); // Copy of the uploaded source region, at its origin
+                this.sourceCanvas.width = 0;
+                this.sourceCanvas.height = 0;
+                this.sourceCtx = null;
+                this.sourceRect = { x: 0, y: 0, width: 0, height: 0 }; // Canvas region held by sourceCanvas, in canvas pixels
+                this.images = new Map(); // Node images last drawn per slot ("A"/"B"/"Native"), for pixel readback
+                this.readCanvas = null; // Scratch canvas for reading node image pixels
+                this.readCtx = null;
+                this.readSrc = null; // Image currently drawn into readCanvas
+            }
+            
+            isValid() {
+                return this.ctx !== null;
+            }
+            
+            destroy() {
+                this.ctx = null;
+            }
+            
+            // Filtering is read from the config on every draw
+            updateTextureFiltering() {}
+            
+            render(sourceCanvas, compare = null) {
+                if (!this.uploadSource(sourceCanvas)) return;
+                this.drawFiltered(this.state, compare);
+            }
+            
+            // Copy the sampled part of the source canvas (all of it without a region), like WebGLRenderer.uploadSource
+            uploadSource(sourceCanvas, region = null) {
+                const rect = clipToCanvas(sourceCanvas, region);
+                const copy = this.sourceCanvas;
+                if (rect.width > copy.width || rect.height > copy.height) {
+                    copy.width = Math.max(copy.width, rect.width);
+                    copy.height = Math.max(copy.height, rect.height);
+                    this.sourceCtx = null; // Resizing resets the context state
+                }
+                if (!this.sourceCtx) this.sourceCtx = copy.getContext("2d", { willReadFrequently: true });
+                
+                try {
+                    this.sourceCtx.clearRect(0, 0, copy.width, copy.height);
+                    this.sourceCtx.drawImage(sourceCanvas, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
+                } catch (e) {
+                    console.error("ComfyUI Magnifying Glass ERROR: Error copying the source canvas:", e);
+                    return false;
+                }
+                this.sourceRect = rect;
+                return true;
+            }
+            
+            // There is no filter chain without shaders
+            drawFiltered(state, imageView = null) {
+                const canvas = this.ctx.canvas;
+                this.draw(this.ctx, state, imageView, canvas.width, canvas.height, false);
+            }
+            
+            drawToCanvas(state, targetCanvas, plain = false) {
+                this.draw(targetCanvas.getContext("2d"), state, null, targetCanvas.width, targetCanvas.height, plain);
+            }
+            
+            // Draw the source region of a MagnifierState into ctx (same imageView and plain as WebGLRenderer.draw)
+            draw(ctx, state, imageView, width, height, plain = false) {
+                if (!(state.sourceWidth > 0 && state.sourceHeight > 0)) return;
+                ctx.save();
+                ctx.setTransform(1, 0, 0, 1, 0, 0);
+                ctx.clearRect(0, 0, width, height);
+                ctx.imageSmoothingEnabled = this.config.textureFiltering !== "Nearest";
+                
+                // Canvas pixels -> glass pixels
+                const scaleX = width / state.sourceWidth;
+                const scaleY = height / state.sourceHeight;
+                const canvasTransform = [scaleX, 0, 0, scaleY, -state.sourceX * scaleX, -state.sourceY * scaleY];
+                ctx.setTransform(...canvasTransform);
+                ctx.drawImage(this.sourceCanvas, this.sourceRect.x, this.sourceRect.y);
+                
+                // Texel lattice of whatever fills the glass, in glass pixels, for the grid and center pixel box
+                let lattice = { originX: canvasTransform[4], originY: canvasTransform[5], stepX: scaleX, stepY: scaleY };
+                
+                if (imageView && imageView.mode === "Vector") {
+                    ctx.setTransform(1, 0, 0, 1, 0, 0);
+                    ctx.drawImage(imageView.canvas, 0, 0, width, height);
+                } else if (imageView) {
+                    // Native images and A/B compares: image UV (one unit per image or tile) -> glass pixels
+                    const perUvX = width / imageView.uvWidth;
+                    const perUvY = height / imageView.uvHeight;
+                    ctx.setTransform(perUvX, 0, 0, perUvY, -imageView.uvX * perUvX, -imageView.uvY * perUvY);
+                    
+                    if (imageView.mode === "Native") {
+                        this.images.set("Native", imageView.imageA);
+                        const tiles = imageView.tiles || 1;
+                        for (let tileY = 0; tileY < tiles; tileY++) {
+                            for (let tileX = 0; tileX < tiles; tileX++) {
+                                ctx.drawImage(imageView.imageA, tileX, tileY, 1, 1);
+                            }
+                        }
+                        if (imageView.tiles && this.config.tileSeams) this.drawTileSeams(ctx, imageView.tiles, perUvX, perUvY);
+                    } else {
+                        this.images.set("A", imageView.imageA);
+                        this.images.set("B", imageView.imageB);
+                        ctx.clearRect(0, 0, 1, 1);
+                        ctx.drawImage(imageView.showB ? imageView.imageB : imageView.imageA, 0, 0, 1, 1);
+                        if (imageView.mode === "Split") {
+                            ctx.save();
+                            ctx.beginPath();
+                            ctx.rect(imageView.uvX + imageView.splitPosition * imageView.uvWidth, imageView.uvY, imageView.uvWidth, imageView.uvHeight);
+                            ctx.clip();
+                            ctx.drawImage(imageView.imageB, 0, 0, 1, 1);
+                            ctx.restore();
+                        } else if (imageView.mode === "Difference" || imageView.mode === "Heatmap") {
+                            ctx.globalCompositeOperation = "difference";
+                            ctx.drawImage(imageView.imageB, 0, 0, 1, 1);
+                            ctx.globalCompositeOperation = "source-over";
+                        }
+                    }
+                    const image = imageView.imageA;
+                    lattice = {
+                        originX: -imageView.uvX * perUvX,
+                        originY: -imageView.uvY * perUvY,
+                        stepX: perUvX / image.naturalWidth,
+                        stepY: perUvY / image.naturalHeight
+                    };
+                }
+                
+                // Onion-skin reference (live glass only), placed in canvas coordinates
+                const reference = !plain && state.reference && state.reference.visible ? state.reference : null;
+                if (reference) {
+                    const rect = reference.graphRect;
+                    ctx.setTransform(...canvasTransform);
+                    ctx.globalAlpha = this.config.referenceOpacity;
+                    if (this.config.referenceBlendMode === "Difference") ctx.globalCompositeOperation = "difference";
+                    ctx.drawImage(reference.img,
+                        (rect.x + state.canvasOffsetX) * state.canvasScale, (rect.y + state.canvasOffsetY) * state.canvasScale,
+                        rect.width * state.canvasScale, rect.height * state.canvasScale);
+                    ctx.globalAlpha = 1;
+                    ctx.globalCompositeOperation = "source-over";
+                }
+                
+                ctx.setTransform(1, 0, 0, 1, 0, 0);
+                if (!plain && lattice) {
+                    this.drawPixelGrid(ctx, lattice, width, height);
+                    this.drawReticle(ctx, lattice, width, height);
+                }
+                ctx.restore();
+            }
+            
+            // Dashed magenta lines on the inner tile edges (ctx in image UV units)
+            drawTileSeams(ctx, tiles, perUvX, perUvY) {
+                ctx.save();
+                ctx.strokeStyle = "#ff00ff";
+                ctx.lineWidth = getPixelRatio() / perUvX;
+                ctx.setLineDash([6 * getPixelRatio() / perUvX, 6 * getPixelRatio() / perUvX]);
+                ctx.beginPath();
+                for (let seam = 1; seam < tiles; seam++) {
+                    ctx.moveTo(seam, 0);
+                    ctx.lineTo(seam, tiles);
+                    ctx.moveTo(0, seam);
+                    ctx.lineTo(tiles, seam);
+                }
+                ctx.stroke();
+                ctx.restore();
+            }
+            
+            // 1 CSS pixel lines on the texel boundaries, faded in like the shader's grid
+            drawPixelGrid(ctx, lattice, width, height) {
+                const pixelRatio = getPixelRatio();
+                const alpha = getPixelGridAlpha(this.config, lattice.stepX / pixelRatio);
+                if (alpha <= 0 || Math.min(lattice.stepX, lattice.stepY) < 3 * pixelRatio) return;
+                
+                ctx.fillStyle = this.config.pixelGridColor;
+                ctx.globalAlpha = alpha;
+                const firstX = Math.ceil(-lattice.originX / lattice.stepX);
+                for (let x = lattice.originX + firstX * lattice.stepX; x <= width; x += lattice.stepX) {
+                    ctx.fillRect(x - pixelRatio / 2, 0, pixelRatio, height);
+                }
+                const firstY = Math.ceil(-lattice.originY / lattice.stepY);
+                for (let y = lattice.originY + firstY * lattice.stepY; y <= height; y += lattice.stepY) {
+                    ctx.fillRect(0, y - pixelRatio / 2, width, pixelRatio);
+                }
+                ctx.globalAlpha = 1;
+            }
+            
+            drawReticle(ctx, lattice, width, height) {
+                const style = RETICLE_STYLES[this.config.reticleStyle] || 0;
+                if (!style) return;
+                
+                const pixelRatio = getPixelRatio();
+                const centerX = width / 2;
+                const centerY = height / 2;
+                ctx.fillStyle = this.config.reticleColor;
+                ctx.strokeStyle = this.config.reticleColor;
+                if (style === 1 || style === 4) {
+                    const arm = 0.12 * Math.min(width, height);
+                    const gap = Math.max(4 * pixelRatio, 0.5 * Math.max(lattice.stepX, lattice.stepY) + 2 * pixelRatio);
+                    const thickness = 1.5 * pixelRatio;
+                    ctx.fillRect(centerX - thickness / 2, centerY - arm, thickness, arm - gap);
+                    ctx.fillRect(centerX - thickness / 2, centerY + gap, thickness, arm - gap);
+                    ctx.fillRect(centerX - arm, centerY - thickness / 2, arm - gap, thickness);
+                    ctx.fillRect(centerX + gap, centerY - thickness / 2, arm - gap, thickness);
+                }
+                if (style === 2 || style === 4) {
+                    // Box around the texel under the glass center
+                    const boxX = lattice.originX + Math.floor((centerX - lattice.originX) / lattice.stepX) * lattice.stepX;
+                    const boxY = lattice.originY + Math.floor((centerY - lattice.originY) / lattice.stepY) * lattice.stepY;
+                    ctx.lineWidth = 2 * pixelRatio;
+                    ctx.strokeRect(boxX, boxY, lattice.stepX, lattice.stepY);
+                }
+                if (style === 3) {
+                    ctx.beginPath();
+                    ctx.arc(centerX, centerY, 2.5 * pixelRatio, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            }
+            
+            // Read one RGBA pixel of the uploaded source region (canvas pixel coordinates, top-left origin)
+            readSourcePixel(x, y) {
+                return this.readSourceRegion(Math.floor(x), Math.floor(y), 1, 1);
+            }
+            
+            // RGBA bytes of a source canvas region (canvas pixels), clipped to the uploaded part of the canvas
+            readSourceRegion(x, y, regionWidth, regionHeight) {
+                if (!this.sourceCtx) return null;
+                const rect = this.sourceRect;
+                return this.readContextRegion(this.sourceCtx, rect.width, rect.height, x - rect.x, y - rect.y, regionWidth, regionHeight);
+            }
+            
+            // Pixel of a node image, in image pixels
+            readImagePixel(slot, x, y) {
+                return this.readImageRegion(slot, Math.floor(x), Math.floor(y), 1, 1);
+            }
+            
+            readImageRegion(slot, x, y, regionWidth, regionHeight) {
+                const img = this.images.get(slot);
+                if (!img) return null;
+                if (!this.readCanvas) this.readCanvas = document.createElement("canvas");
+                const canvas = this.readCanvas;
+                if (this.readSrc !== img.src) {
+                    // Setting the size also clears the canvas
+                    canvas.width = img.naturalWidth;
+                    canvas.height = img.naturalHeight;
+                    this.readCtx = canvas.getContext("2d", { willReadFrequently: true });
+                    this.readCtx.drawImage(img, 0, 0);
+                    this.readSrc = img.src;
+                }
+                return this.readContextRegion(this.readCtx, canvas.width, canvas.height, x, y, regionWidth, regionHeight);
+            }
+            
+            readContextRegion(ctx, width, height, x, y, regionWidth, regionHeight) {
+                const left = Math.max(0, Math.floor(x));
+                const top = Math.max(0, Math.floor(y));
+                const right = Math.min(width, Math.ceil(x + regionWidth));
+                const bottom = Math.min(height, Math.ceil(y + regionHeight));
+                if (right <= left || bottom <= top) return null;
+                
+                try {
+                    const imageData = ctx.getImageData(left, top, right - left, bottom - top);
+                    return new Uint8Array(imageData.data.buffer);
+                } catch (e) {
+                    // Cross-origin images taint the canvas
+                    console.warn("ComfyUI Magnifying Glass: Could not read pixels:", e);
+                    return null;
+                }
+            }
+        }
+        
+        // Event Handler
+        class EventHandler {
+            constructor(magnifyGlass) {
+                this.magnifyGlass = magnifyGlass;
+                this.wheelAccumulator = 0; // Scrolled pixels not yet turned into a zoom/size step
+                this.wheelAccumulatorTarget = null; // What the accumulated scroll adjusts: "zoom", "size" or "split"
+            }
+            
+            attachListeners() {
+                // Keydown event
+                document.addEventListener("keydown", this.handleKeyDown.bind(this));
+                
+                // Keyup event
+                document.addEventListener("keyup", this.handleKeyUp.bind(this));
+                
+                // Mousemove event
+                document.addEventListener("mousemove", this.handleMouseMove.bind(this));
+                
+                // A/B split divider dragging
+                this.magnifyGlass.ui.compareDivider.addEventListener("mousedown", this.handleDividerMouseDown.bind(this));
+                document.addEventListener("mouseup", this.handleMouseUp.bind(this));
+                
+                // Reference images dropped onto the glass (capture phase, ahead of ComfyUI's own file drop handling)
+                document.addEventListener("dragover", this.handleDragOver.bind(this), { capture: true });
+                document.addEventListener("drop", this.handleDrop.bind(this), { capture: true });
+                
+                // Wheel event - capture phase and non-passive so it runs before (and can cancel) LiteGraph's canvas zoom
+                document.addEventListener("wheel", this.handleWheel.bind(this), { capture: true, passive: false });
+            }
+            
+            handleKeyDown(e) {
+                const config = this.magnifyGlass.config;
+                const state = this.magnifyGlass.state;
+                
+                // Magnifier activation
+                if (e.key.toLowerCase() === config.activationKey && 
+                    (!config.altRequired || e.altKey)) {
+                    if (config.alwaysActiveMode) {
+                        if (state.active) {
+                            this.magnifyGlass.deactivate();
+                        } else {
+                            state.active = true;
+                            this.magnifyGlass.ui.show();
+                            this.updateInitialPosition(); // Update position when activating
+                        }
+                    } else {
+                        if (!state.active) {
+                            state.active = true;
+                            this.magnifyGlass.ui.show();
+                            this.updateInitialPosition(); // Update position when activating
+                        }
+                    }
+                }
+                
+                // Manual offset adjustment keys (only when magnifier is active)
+                if (state.active) {
+                    let offsetChanged = false;
+                    
+                    // Use larger steps when shift is pressed
+                    const stepSize = e.shiftKey ? config.offsetStep * 5 : config.offsetStep;
+                    
+                    // Ctrl/Cmd + Arrow keys nudge the onion-skin reference, plain arrow keys adjust the offset
+                    if (state.reference && (e.ctrlKey || e.metaKey) && e.key.startsWith("Arrow")) {
+                        const step = e.shiftKey ? REFERENCE_NUDGE_FAST : 1;
+                        const dx = e.key === "ArrowLeft" ? -step : e.key === "ArrowRight" ? step : 0;
+                        const dy = e.key === "ArrowUp" ? -step : e.key === "ArrowDown" ? step : 0;
+                        this.magnifyGlass.nudgeReference(dx, dy);
+                        e.preventDefault();
+                    } else if (e.key === "ArrowUp") {
+                        config.offsetY -= stepSize;
+                        offsetChanged = true;
+                        e.preventDefault();
+                    } else if (e.key === "ArrowDown") {
+                        config.offsetY += stepSize;
+                        offsetChanged = true;
+                        e.preventDefault();
+                    } else if (e.key === "ArrowLeft") {
+                        config.offsetX -= stepSize;
+                        offsetChanged = true;
+                        e.preventDefault();
+                    } else if (e.key === "ArrowRight") {
+                        config.offsetX += stepSize;
+                        offsetChanged = true;
+                        e.preventDefault();
+                    } else if (e.key.toLowerCase() === config.resetKey.toLowerCase() && 
+                               (!config.altRequired || e.altKey)) { // Use configured reset key & check Alt
+                        // Reset offsets to zero
+                        config.offsetX = 0;
+                        config.offsetY = 0;
+                        offsetChanged = true;
+                        e.preventDefault();
+                    }
+                    
+                    // Toggle Follow Cursor Key
+                    if (e.key.toLowerCase() === config.toggleFollowCursorKey && 
+                        (!config.altRequired || e.altKey)) {
+                        config.followCursor = !config.followCursor;
+                        this.magnifyGlass.debugger.log(`Follow Cursor Toggled: ${config.followCursor ? 'ON' : 'OFF'}`);
+                        if (state.active && config.followCursor) {
+                            // If toggled ON and active, update glass position to current cursor
+                            this.magnifyGlass.ui.positionGlass(this.magnifyGlass.lastKnownMousePosition.x, this.magnifyGlass.lastKnownMousePosition.y);
+                        }
+                        // We might also want to trigger an update of the settings UI if it shows this value directly, but that's more complex.
+                        e.preventDefault();
+                    }
+                    
+                    // Pin the current view as a loupe (Shift+Pin Key closes all pinned loupes)
+                    if (e.key.toLowerCase() === config.pinKey && 
+                        (!config.altRequired || e.altKey)) {
+                        if (e.shiftKey) {
+                            this.magnifyGlass.unpinAllLoupes();
+                        } else {
+                            this.magnifyGlass.pinCurrentView();
+                        }
+                        e.preventDefault();
+                    }
+                    
+                    // Snapshot of the glass content
+                    if (e.key.toLowerCase() === config.snapshotKey && 
+                        (!config.altRequired || e.altKey)) {
+                        this.magnifyGlass.takeSnapshot();
+                        e.preventDefault();
+                    }
+                    
+                    // 100% actual pixels zoom over images
+                    if (e.key.toLowerCase() === config.actualPixelsKey && 
+                        (!config.altRequired || e.altKey)) {
+                        this.magnifyGlass.toggleActualPixels();
+                        e.preventDefault();
+                    }
+                    
+                    // Onion-skin reference visibility
+                    if (e.key.toLowerCase() === config.referenceKey && 
+                        (!config.altRequired || e.altKey)) {
+                        this.magnifyGlass.toggleReference();
+                        e.preventDefault();
+                    }
+                    
+                    // Seamless-tile mode cycling
+                    if (e.key.toLowerCase() === config.tileModeKey && 
+                        (!config.altRequired || e.altKey)) {
+                        this.magnifyGlass.cycleTileMode();
+                        e.preventDefault();
+                    }
+                    
+                    // A/B compare mode cycling
+                    if (e.key.toLowerCase() === config.compareModeKey && 
+                        (!config.altRequired || e.altKey)) {
+                        this.magnifyGlass.cycleCompareMode();
+                        e.preventDefault();
+                    }
+                    
+                    // Run history mode and stepping through earlier runs
+                    if (e.key.toLowerCase() === config.historyModeKey && 
+                        (!config.altRequired || e.altKey)) {
+                        this.magnifyGlass.cycleHistoryMode();
+                        e.preventDefault();
+                    } else if (e.key.toLowerCase() === config.historyBackKey && 
+                               (!config.altRequired || e.altKey)) {
+                        this.magnifyGlass.stepHistory(1);
+                        e.preventDefault();
+                    } else if (e.key.toLowerCase() === config.historyForwardKey && 
+                               (!config.altRequired || e.altKey)) {
+                        this.magnifyGlass.stepHistory(-1);
+                        e.preventDefault();
+                    }
+                    
+                    // Image adjustment presets and reset
+                    if (e.key.toLowerCase() === config.adjustPresetKey && 
+                        (!config.altRequired || e.altKey)) {
+                        this.magnifyGlass.cycleAdjustPreset();
+                        e.preventDefault();
+                    } else if (e.key.toLowerCase() === config.adjustResetKey && 
+                               (!config.altRequired || e.altKey)) {
+                        this.magnifyGlass.resetAdjustments();
+                        e.preventDefault();
+                    }
+                    
+                    // Channel view cycling
+                    if (e.key.toLowerCase() === config.channelViewKey && 
+                        (!config.altRequired || e.altKey)) {
+                        this.magnifyGlass.cycleChannelView();
+                        e.preventDefault();
+                    }
+                    
+                    // Color vision deficiency simulation cycling
+                    if (e.key.toLowerCase() === config.colorVisionKey && 
+                        (!config.altRequired || e.altKey)) {
+                        this.magnifyGlass.cycleColorVision();
+                        e.preventDefault();
+                    }
+                    
+                    // Region histogram / statistics panel
+                    if (e.key.toLowerCase() === config.statsKey && 
+                        (!config.altRequired || e.altKey)) {
+                        this.magnifyGlass.toggleRegionStats();
+                        e.preventDefault();
+                    }
+                    
+                    // Color probe toggle and copy keys
+                    if (e.key.toLowerCase() === config.colorProbeKey && 
+                        (!config.altRequired || e.altKey)) {
+                        this.magnifyGlass.toggleColorProbe();
+                        e.preventDefault();
+                    } else if (e.key.toLowerCase() === config.colorCopyKey && state.colorProbeActive &&
+                               (!config.altRequired || e.altKey)) {
+                        // Shift pushes the value into the selected node instead of the clipboard
+                        this.magnifyGlass.copyProbeColor(e.shiftKey);
+                        e.preventDefault();
+                    }
+                    
+                    // If offset was changed, update the view
+                    if (offsetChanged) {
+                        // Save the changes to localStorage
+                        config.saveOffsets();
+                        this.magnifyGlass.updateMagnifiedView();
+                    }
+                }
+            }
+            
+            handleKeyUp(e) {
+                const config = this.magnifyGlass.config;
+                const state = this.magnifyGlass.state;
+                
+                // Check if the released key is the activation key OR if Alt was required and Alt was released.
+                if (!config.alwaysActiveMode && 
+                    (e.key.toLowerCase() === config.activationKey || 
+                    (config.altRequired && e.key === "Alt"))) { 
+                    
+                    // Only deactivate if the *other* key required for activation is NOT still pressed.
+                    // This handles cases like: Alt+X, release X (deactivate), or Alt+X, release Alt (deactivate).
+                    let shouldDeactivate = false;
+                    if (config.altRequired) {
+                        // If Alt is required, releasing either Alt or the activation key deactivates.
+                        if (e.key === "Alt" || e.key.toLowerCase() === config.activationKey) {
+                            shouldDeactivate = true;
+                        }
+                    } else {
+                        // If Alt is not required, only releasing the activation key deactivates.
+                        if (e.key.toLowerCase() === config.activationKey) {
+                            shouldDeactivate = true;
+                        }
+                    }
+
+                    if (state.active && shouldDeactivate) {
+                        // Check if the *other* key is still pressed down. If so, don't deactivate yet.
+                        // This is tricky because we don't have a perfect way to know key states globally
+                        // without more complex tracking. The current logic might sometimes deactivate
+                        // if Alt is released but X is still held (if altRequired = true).
+                        // For simplicity, we assume releasing any part of the combo means deactivation.
+                        this.magnifyGlass.deactivate(); // This will now also clear HTML overlays
+                    }
+                }
+            }
+            
+            handleMouseMove(e) {
+                // Always track mouse position, even when magnifier is inactive
+                this.magnifyGlass.lastKnownMousePosition.x = e.clientX;
+                this.magnifyGlass.lastKnownMousePosition.y = e.clientY;
+                
+                if (!this.magnifyGlass.state.active || !this.magnifyGlass.litegraphCanvas) return;
+                
+                // While dragging the A/B divider the mouse moves the divider, not the sampled region
+                if (this.magnifyGlass.state.draggingSplitDivider) {
+                    const glassRect = this.magnifyGlass.ui.glassDiv.getBoundingClientRect();
+                    if (glassRect.width > 0) {
+                        const position = (e.clientX - glassRect.left) / glassRect.width;
+                        this.magnifyGlass.state.compareSplitPosition = Math.min(1, Math.max(0, position));
+                        this.magnifyGlass.updateMagnifiedView();
+                    }
+                    return;
+                }
+
+                const rect = this.magnifyGlass.litegraphCanvas.getBoundingClientRect();
+                const cssMouseXOnCanvas = e.clientX - rect.left;
+                const cssMouseYOnCanvas = e.clientY - rect.top;
+
+                // Check if the cursor is over the canvas element (using CSS coordinates)
+                if (cssMouseXOnCanvas >= 0 && cssMouseXOnCanvas <= rect.width &&
+                    cssMouseYOnCanvas >= 0 && cssMouseYOnCanvas <= rect.height) {
+                    
+                    // Convert CSS coordinates on canvas to actual canvas pixel coordinates
+                    const canvasElement = this.magnifyGlass.litegraphCanvas;
+                    // Ensure rect.width and rect.height are not zero to prevent division by zero
+                    const scaleX = rect.width > 0 ? canvasElement.width / rect.width : 1;
+                    const scaleY = rect.height > 0 ? canvasElement.height / rect.height : 1;
+
+                    const pixelX = cssMouseXOnCanvas * scaleX;
+                    const pixelY = cssMouseYOnCanvas * scaleY;
+                    
+                    this.magnifyGlass.state.x = pixelX;
+                    this.magnifyGlass.state.y = pixelY;
+                    
+                    this.magnifyGlass.ui.positionGlass(e.clientX, e.clientY);
+                    this.magnifyGlass.updateMagnifiedView();
+                }
+            }
+            
+            // Move, resize and close for a pinned loupe
+            attachLoupeListeners(loupe) {
+                const { div, closeButton, resizeHandle, calloutButton } = loupe.elements;
+                
+                closeButton.addEventListener("mousedown", (e) => e.stopPropagation());
+                closeButton.addEventListener("click", (e) => {
+                    e.stopPropagation();
+                    this.magnifyGlass.unpinLoupe(loupe);
+                });
+                
+                calloutButton.addEventListener("mousedown", (e) => e.stopPropagation());
+                calloutButton.addEventListener("click", (e) => {
+                    e.stopPropagation();
+                    this.magnifyGlass.toggleCallout(loupe);
+                });
+                
+                // Callouts store their placement with the workflow once a drag ends
+                const onDragEnd = () => {
+                    if (loupe.callout) this.magnifyGlass.saveCallouts();
+                };
+                
+                const startDrag = (e, onMove) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    const startX = e.clientX;
+                    const startY = e.clientY;
+                    const move = (moveEvent) => onMove(moveEvent.clientX - startX, moveEvent.clientY - startY);
+                    const end = () => {
+                        document.removeEventListener("mousemove", move);
+                        document.removeEventListener("mouseup", end);
+                        onDragEnd();
+                    };
+                    document.addEventListener("mousemove", move);
+                    document.addEventListener("mouseup", end);
+                };
+                
+                div.addEventListener("mousedown", (e) => {
+                    const startOffsetX = loupe.screenOffsetX;
+                    const startOffsetY = loupe.screenOffsetY;
+                    const startGraphOffsetX = loupe.graphOffsetX;
+                    const startGraphOffsetY = loupe.graphOffsetY;
+                    const perGraphUnit = this.magnifyGlass.clientPixelsPerGraphUnit();
+                    startDrag(e, (dx, dy) => {
+                        if (loupe.callout) {
+                            loupe.graphOffsetX = startGraphOffsetX + dx / perGraphUnit;
+                            loupe.graphOffsetY = startGraphOffsetY + dy / perGraphUnit;
+                        } else {
+                            loupe.screenOffsetX = startOffsetX + dx;
+                            loupe.screenOffsetY = startOffsetY + dy;
+                        }
+                        this.magnifyGlass.updateMagnifiedView();
+                    });
+                });
+                
+                resizeHandle.addEventListener("mousedown", (e) => {
+                    const startSize = loupe.size;
+                    const startGraphWidth = loupe.graphWidth;
+                    const startGraphHeight = loupe.graphHeight;
+                    const startGraphSize = loupe.graphSize;
+                    startDrag(e, (dx, dy) => {
+                        const minSize = loupe.callout ? CALLOUT_MIN_SIZE : LOUPE_MIN_SIZE;
+                        const size = Math.max(minSize, Math.round(startSize + Math.max(dx, dy)));
+                        // Keep the zoom: a bigger loupe shows more of the graph around its anchor
+                        loupe.graphWidth = startGraphWidth * size / startSize;
+                        loupe.graphHeight = startGraphHeight * size / startSize;
+                        loupe.graphSize = startGraphSize * size / startSize;
+                        this.magnifyGlass.ui.resizeLoupe(loupe, size);
+                        this.magnifyGlass.updateMagnifiedView();
+                    });
+                });
+            }
+            
+            // Click or drag on the navigator to pan the canvas
+            attachNavigatorListeners() {
+                const canvas = this.magnifyGlass.ui.navigatorCanvas;
+                canvas.addEventListener("mousedown", (e) => {
+                    const magnifyGlass = this.magnifyGlass;
+                    const map = magnifyGlass.navigatorMap;
+                    const point = magnifyGlass.navigatorClientToGraph(e.clientX, e.clientY, map);
+                    if (!point) return;
+                    e.preventDefault();
+                    e.stopPropagation();
+                    
+                    magnifyGlass.updateCanvasTransformation();
+                    const view = magnifyGlass.getViewportGraphRect();
+                    const insideView = point.x >= view.x && point.x <= view.x + view.width &&
+                                       point.y >= view.y && point.y <= view.y + view.height;
+                    // Grab the viewport where it was clicked; clicking elsewhere centers it on the click
+                    const grabX = insideView ? point.x - view.x : view.width / 2;
+                    const grabY = insideView ? point.y - view.y : view.height / 2;
+                    
+                    // Keep the mapping fixed while dragging, the fitted bounds would otherwise follow the viewport
+                    magnifyGlass.navigatorDragMap = map;
+                    const move = (moveEvent) => {
+                        const target = magnifyGlass.navigatorClientToGraph(moveEvent.clientX, moveEvent.clientY, map);
+                        if (target) magnifyGlass.panCanvasTo(target.x - grabX, target.y - grabY);
+                    };
+                    const end = () => {
+                        document.removeEventListener("mousemove", move);
+                        document.removeEventListener("mouseup", end);
+                        magnifyGlass.navigatorDragMap = null;
+                        magnifyGlass.updateMagnifiedView();
+                    };
+                    if (!insideView) move(e);
+                    document.addEventListener("mousemove", move);
+                    document.addEventListener("mouseup", end);
+                });
+            }
+            
+            isOverGlass(e) {
+                if (!this.magnifyGlass.state.active) return false;
+                const rect = this.magnifyGlass.ui.glassDiv.getBoundingClientRect();
+                return e.clientX >= rect.left && e.clientX <= rect.right && e.clientY >= rect.top && e.clientY <= rect.bottom;
+            }
+            
+            handleDragOver(e) {
+                if (!this.isOverGlass(e) || !e.dataTransfer || !Array.from(e.dataTransfer.types).includes("Files")) return;
+                e.preventDefault();
+                e.stopPropagation();
+                e.dataTransfer.dropEffect = "copy";
+            }
+            
+            handleDrop(e) {
+                if (!this.isOverGlass(e) || !e.dataTransfer) return;
+                const file = Array.from(e.dataTransfer.files).find(f => f.type.startsWith("image/"));
+                if (!file) return;
+                e.preventDefault();
+                e.stopPropagation();
+                this.magnifyGlass.loadReferenceFile(file);
+            }
+            
+            handleDividerMouseDown(e) {
+                if (!this.magnifyGlass.state.active) return;
+                this.magnifyGlass.state.draggingSplitDivider = true;
+                e.preventDefault();
+                e.stopPropagation();
+            }
+            
+            handleMouseUp() {
+                this.magnifyGlass.state.draggingSplitDivider = false;
+            }
+            
+            handleWheel(e) {
+                const config = this.magnifyGlass.config;
+                const state = this.magnifyGlass.state;
+                
+                if (!state.active || !config.wheelControl || e.target !== this.magnifyGlass.litegraphCanvas) return;
+                
+                // Shift+wheel is reported as horizontal scroll on some platforms
+                const delta = e.deltaY !== 0 ? e.deltaY : e.deltaX;
+                
+                // Keep the wheel from also zooming the LiteGraph canvas underneath
+                e.preventDefault();
+                e.stopPropagation();
+                if (delta === 0) return;
+                
+                // Ctrl/Cmd+wheel moves the split divider, which cannot be grabbed while the glass follows the cursor
+                let target = e.shiftKey ? "size" : "zoom";
+                if ((e.ctrlKey || e.metaKey) && state.compareMode === "Split") target = "split";
+                
+                // Accumulate the scrolled distance so a step needs a mouse notch's worth, however finely it arrives
+                const pixels = delta * (e.deltaMode === 1 ? WHEEL_LINE_PX : e.deltaMode === 2 ? WHEEL_PAGE_PX : 1);
+                if (Math.sign(pixels) !== Math.sign(this.wheelAccumulator) || target !== this.wheelAccumulatorTarget) {
+                    this.wheelAccumulator = 0; // Start over when the direction or the adjusted value changes
+                    this.wheelAccumulatorTarget = target;
+                }
+                this.wheelAccumulator += pixels;
+                const notches = Math.trunc(this.wheelAccumulator / WHEEL_NOTCH_PX);
+                if (notches === 0) return;
+                this.wheelAccumulator -= notches * WHEEL_NOTCH_PX;
+                
+                const steps = -notches; // Scrolling up (negative delta) zooms in / grows
+                if (target === "split") {
+                    this.magnifyGlass.adjustSplitPosition(-steps); // Scrolling down moves the divider right
+                } else if (target === "size") {
+                    this.magnifyGlass.adjustGlassSize(steps);
+                } else {
+                    this.magnifyGlass.adjustZoomFactor(steps);
+                }
+            }
+            
+            updateInitialPosition() {
+                if (!this.magnifyGlass.litegraphCanvas) return;
+
+                const rect = this.magnifyGlass.litegraphCanvas.getBoundingClientRect();
+                const clientX = this.magnifyGlass.lastKnownMousePosition.x;
+                const clientY = this.magnifyGlass.lastKnownMousePosition.y;
+
+                // If alwaysActiveMode is true, we want to set the initial position
+                // even if the cursor is not strictly over the canvas at the moment of activation.
+                // However, we still need a valid canvas context for calculations.
+                // The current logic in handleMouseMove which sets state.x/y only when over canvas remains crucial
+                // for continuous updates. This initial positioning is a one-shot for activation.
+                const isOverCanvas = clientX >= rect.left && clientX <= rect.right &&
+                                     clientY >= rect.top && clientY <= rect.bottom;
+
+                if (this.magnifyGlass.config.alwaysActiveMode || isOverCanvas) {
+                    const cssMouseXOnCanvas = clientX - rect.left;
+                    const cssMouseYOnCanvas = clientY - rect.top;
+
+                    const canvasElement = this.magnifyGlass.litegraphCanvas;
+                    const scaleX = rect.width > 0 ? canvasElement.width / rect.width : 1;
+                    const scaleY = rect.height > 0 ? canvasElement.height / rect.height : 1;
+
+                    const pixelX = cssMouseXOnCanvas * scaleX;
+                    const pixelY = cssMouseYOnCanvas * scaleY;
+
+                    this.magnifyGlass.state.x = pixelX;
+                    this.magnifyGlass.state.y = pixelY;
+
+                    // Position the glass immediately based on current cursor
+                    this.magnifyGlass.ui.positionGlass(clientX, clientY);
+                    this.magnifyGlass.updateMagnifiedView();
+                }
+            }
+        }
+        
+        // Debug Manager
+        class DebugManager {
+            constructor(config, state, ui) {
+                this.config = config;
+                this.state = state;
+                this.ui = ui;
+            }
+            
+            log(...args) {
+                if (this.config.debugMode) console.log("ComfyUI Magnifying Glass:", ...args);
+            }
+            
+            error(...args) {
+                console.error("ComfyUI Magnifying Glass ERROR:", ...args);
+            }
+            
+            printCanvasInfo() {
+                if (!this.config.debugMode) return;
+            
+            try {
+                const canvas = app.canvas.graph_canvas;
+                if (!canvas) {
+                        this.log("Could not find graph canvas for detailed info");
+                    return;
+                }
+                
+                    this.log("---- Canvas Information ----");
+                    this.log(`Canvas dimensions: ${canvas.width}x${canvas.height}`);
+                    this.log(`Canvas display size: ${canvas.clientWidth}x${canvas.clientHeight}`);
+                    this.log(`Canvas CSS transform: ${canvas.style.transform || 'none'}`);
+                
+                if (app.canvas.ds) {
+                        this.log(`Canvas DS scale: ${app.canvas.ds.scale}`);
+                    if (app.canvas.ds.offset) {
+                            this.log(`Canvas DS offset: [${app.canvas.ds.offset[0]}, ${app.canvas.ds.offset[1]}]`);
+                        } else {
+                            this.log("Canvas DS offset not found");
+                        }
+                    } else {
+                        this.log("Canvas DS object not found");
+                }
+                
+                // Try to compute the expected offset based on resolution
+                const screenWidth = window.innerWidth;
+                const screenHeight = window.innerHeight;
+                const canvasWidth = canvas.width;
+                const canvasHeight = canvas.height;
+                
+                    this.log(`Window dimensions: ${screenWidth}x${screenHeight}`);
+                    this.log(`Resolution scale factor: X=${canvasWidth/screenWidth}, Y=${canvasHeight/screenHeight}`);
+                    this.log("---- End Canvas Information ----");
+            } catch (e) {
+                    this.log("Error in printCanvasInfo:", e);
+                }
+            }
+            
+            updateDebugView() {
+                if (!this.config.debugMode || !this.ui || !this.ui.debugCanvas || !this.ui.debugCtx) return;
+
+                const debugCtx = this.ui.debugCtx;
+                const debugCanvas = this.ui.debugCanvas;
+
+            debugCtx.clearRect(0, 0, debugCanvas.width, debugCanvas.height);
+            
+            // Draw background
+            debugCtx.fillStyle = 'rgba(0,0,0,0.8)';
+            debugCtx.fillRect(0, 0, debugCanvas.width, debugCanvas.height);
+            
+            // Header
+            debugCtx.fillStyle = '#FFFFFF';
+            debugCtx.font = '14px monospace';
+            debugCtx.fillText('Magnify Glass Debug', 10, 20);
+            
+            // Position info
+            debugCtx.font = '12px monospace';
+                debugCtx.fillText(`Cursor: (${this.state.x.toFixed(1)}, ${this.state.y.toFixed(1)})`, 10, 50);
+                debugCtx.fillText(`Source Rect: (${this.state.sourceX.toFixed(1)}, ${this.state.sourceY.toFixed(1)}, w:${this.state.sourceWidth.toFixed(1)}, h:${this.state.sourceHeight.toFixed(1)})`, 10, 70);
+            
+            // Canvas transform
+                debugCtx.fillText(`Canvas Scale: ${this.state.canvasScale.toFixed(2)}`, 10, 90);
+                debugCtx.fillText(`Canvas Offset: (${this.state.canvasOffsetX.toFixed(1)}, ${this.state.canvasOffsetY.toFixed(1)})`, 10, 110);
+            
+            // Offset information
+            debugCtx.fillStyle = '#FFFF00'; // Yellow for emphasis
+                debugCtx.fillText(`MANUAL OFFSETS: X=${this.config.offsetX}, Y=${this.config.offsetY} (Use arrow keys to adjust)`, 10, 130);
+            debugCtx.fillStyle = '#FFFFFF';
+            
+            // Frame timings (CPU side, averaged) and the uploaded part of the canvas
+            const timing = this.state.frameTiming;
+                debugCtx.fillText(`Frame: ${timing.frameMs.toFixed(2)} ms, upload: ${timing.uploadMs.toFixed(2)} ms (${timing.uploadWidth}x${timing.uploadHeight} px)`, 10, 150);
+            
+            // Visualization of canvas and source rect
+                this.drawCanvasVisualization(debugCtx, debugCanvas);
+            }
+            
+            drawCanvasVisualization(debugCtx, debugCanvas) {
+            const canvasScale = 0.1; // Scale factor for visualization
+            const canvasVisX = 10;
+                const canvasVisY = 170;
+            const canvasVisWidth = 380;
+                const canvasVisHeight = 150;
+            
+            // Draw canvas representation
+            debugCtx.strokeStyle = '#AAAAAA';
+            debugCtx.strokeRect(canvasVisX, canvasVisY, canvasVisWidth, canvasVisHeight);
+            debugCtx.fillStyle = '#444444';
+            debugCtx.fillRect(canvasVisX, canvasVisY, canvasVisWidth, canvasVisHeight);
+            
+            // Calculate cursor position in visualization
+                const cursorVisX = canvasVisX + (this.state.x * canvasScale);
+                const cursorVisY = canvasVisY + (this.state.y * canvasScale);
+            
+            // Calculate source rect in visualization
+                const sourceRectVisX = canvasVisX + (this.state.sourceX * canvasScale);
+                const sourceRectVisY = canvasVisY + (this.state.sourceY * canvasScale);
+                const sourceRectVisWidth = this.state.sourceWidth * canvasScale;
+                const sourceRectVisHeight = this.state.sourceHeight * canvasScale;
+            
+            // Draw source rect
+            debugCtx.strokeStyle = '#FF0000';
+            debugCtx.strokeRect(sourceRectVisX, sourceRectVisY, sourceRectVisWidth, sourceRectVisHeight);
+            
+            // Draw cursor position
+            debugCtx.fillStyle = '#FFFF00';
+            debugCtx.beginPath();
+            debugCtx.arc(cursorVisX, cursorVisY, 3, 0, Math.PI * 2);
+            debugCtx.fill();
+            
+            // Draw line from cursor to source rect center
+            debugCtx.strokeStyle = '#00FF00';
+            debugCtx.beginPath();
+            debugCtx.moveTo(cursorVisX, cursorVisY);
+            debugCtx.lineTo(sourceRectVisX + sourceRectVisWidth/2, sourceRectVisY + sourceRectVisHeight/2);
+            debugCtx.stroke();
+            
+            // Label for visualization
+            debugCtx.fillStyle = '#FFFFFF';
+            debugCtx.fillText('Canvas Visualization (scaled)', canvasVisX, canvasVisY - 5);
+            
+            // Offset values
+                const offsetX = this.state.sourceX - this.state.x + (this.state.sourceWidth / 2);
+                const offsetY = this.state.sourceY - this.state.y + (this.state.sourceHeight / 2);
+            debugCtx.fillText(`Alignment Offset: (${offsetX.toFixed(1)}, ${offsetY.toFixed(1)})`, 10, canvasVisY + canvasVisHeight + 20);
+            }
+        }
+
+        // Instantiate the main class
+        const magnifyGlass = new MagnifyGlass();
+        magnifyGlassInstance = magnifyGlass;
+
+        // Add settings to the ComfyUI settings dialog
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.ZoomFactor",
+            name: "🔍 Magnify Glass: Zoom Factor",
+            type: "slider",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ZoomFactor"],
+            min: 1.0,
+            max: 10.0,
+            step: 0.1,
+            tooltip: "Magnification level (e.g., 2.5 means 2.5x zoom).",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    // A new zoom replaces the one the 1:1 lock would have restored
+                    magnifyGlass.state.actualPixels = false;
+                    magnifyGlass.state.zoomBeforeActualPixels = null;
+                    magnifyGlass.config.zoomFactor = parseFloat(value);
+                    if (magnifyGlass.state.active) {
+                        magnifyGlass.updateMagnifiedView();
+                    }
+                }
+            }
+        });
+
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.GlassSize",
+            name: "🔍 Magnify Glass: Size (px)",
+            type: "slider",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.GlassSize"],
+            min: 50,
+            max: 100,
+            step: 10,
+            tooltip: "Diameter of the magnifying glass circle in pixels. Slider max is 100, but larger values can be manually set if needed.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.glassSize = parseInt(value, 10);
+                    magnifyGlass.applyUiChanges(); // Update div/canvas size
+                    if (magnifyGlass.state.active) {
+                        magnifyGlass.updateMagnifiedView(); // Recalculate source based on new size
+                    }
+                }
+            }
+        });
+
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.BorderWidth",
+            name: "🔍 Magnify Glass: Border Width (px)",
+            type: "slider",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.BorderWidth"],
+            min: 0,
+            max: 10,
+            step: 1,
+            tooltip: "Width of the border around the magnifying glass.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.borderWidth = parseInt(value, 10);
+                    magnifyGlass.applyUiChanges(); // Update border style
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.BorderColor",
+            name: "🎨 Magnify Glass: Border Color",
+            type: "color",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.BorderColor"],
+            tooltip: "Color of the border around the magnifying glass.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.borderColor = value;
+                    magnifyGlass.applyUiChanges(); // Update border style
+                }
+            }
+        });
+
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.ActivationKey",
+            name: "⌨️ Magnify Glass: Activation Key",
+            type: "combo",
+            options: ["x", "z", "m", "q", "v", "c"], // Limited selection for simplicity
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ActivationKey"],
+            tooltip: "The key (case-insensitive) to hold down to activate the magnifier. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
+            onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.ActivationKey", value);
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.activationKey = value.toLowerCase();
+                    magnifyGlass.debugger.log(`Activation key set to ${magnifyGlass.config.altRequired ? 'Alt/Option+' : ''}${magnifyGlass.config.activationKey.toUpperCase()}`);
+                }
+            }
+        });
+
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.AltRequired",
+            name: "⌨️ Magnify Glass: Require Alt/Option Key",
+            type: "combo",
+            options: [ { value: true, text: "Yes" }, { value: false, text: "No" } ],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.AltRequired"],
+            tooltip: "If Yes, Alt (Windows/Linux) or Option (Mac) must be held for activation and for reset.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.altRequired = value;
+                    magnifyGlass.debugger.log(`Require Alt/Option set to ${value}. Activation: ${magnifyGlass.config.altRequired ? 'Alt/Option+' : ''}${magnifyGlass.config.activationKey.toUpperCase()}, Reset: ${magnifyGlass.config.altRequired ? 'Alt/Option+' : ''}${magnifyGlass.config.resetKey.toUpperCase()}`);
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.FollowCursor",
+            name: "🖱️ Magnify Glass: Follow Cursor Position",
+            type: "combo",
+            options: [ { value: true, text: "Yes" }, { value: false, text: "No" } ],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.FollowCursor"],
+            tooltip: "If Yes, the magnifier window moves with the cursor. If No, it stays where activated.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.followCursor = value;
+                }
+            }
+        });
+
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.OffsetStep",
+            name: "⌨️ Magnify Glass: Offset Adjust Step (Graph Units)",
+            type: "slider",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.OffsetStep"],
+            min: 1,
+            max: 50, // Increased max
+            step: 1,
+            tooltip: "How many graph units the view shifts when pressing arrow keys (Shift+Arrow = 5x).",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.offsetStep = parseInt(value, 10);
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.ResetKey",
+            name: "⌨️ Magnify Glass: Reset Offset Key",
+            type: "combo",
+            options: ["r", "o", "p", "k", "l"], // Example keys, can be expanded
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ResetKey"],
+            tooltip: "The key (case-insensitive) to press to reset the view offset while the magnifier is active. Works with Alt/Option if 'Require Alt for Reset' is Yes.",
+            onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.ResetKey", value);
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.resetKey = value.toLowerCase();
+                    magnifyGlass.debugger.log(`Reset offset key set to ${magnifyGlass.config.resetAltRequired ? 'Alt/Option+' : ''}${magnifyGlass.config.resetKey.toUpperCase()}`);
+                }
+            }
+        });
+
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.DebugMode",
+            name: "🐞 Magnify Glass: Debug Mode",
+            type: "combo",
+            options: [ { value: true, text: "Enabled" }, { value: false, text: "Disabled" } ],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.DebugMode"],
+            tooltip: "Show detailed logging and the debug visualization overlay.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.debugMode = value;
+                    magnifyGlass.applyUiChanges(); // Show/hide debug canvas
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.GlassPosition",
+            name: "🖱️ Magnify Glass: Glass Position",
+            type: "combo",
+            options: [
+                { value: "Bottom", text: "Bottom (Default)" },
+                { value: "Top", text: "Top" },
+                { value: "Left", text: "Left" },
+                { value: "Right", text: "Right" },
+                { value: "Top-Left", text: "Top-Left" },
+                { value: "Top-Right", text: "Top-Right" },
+                { value: "Bottom-Left", text: "Bottom-Left" },
+                { value: "Bottom-Right", text: "Bottom-Right" }
+            ],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.GlassPosition"],
+            tooltip: "Position of the magnifying glass relative to the cursor.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.glassPosition = value;
+                    // If glass is active and not following cursor, might need to reposition
+                    if (magnifyGlass.state.active && !magnifyGlass.config.followCursor) {
+                        // To reposition, we need the last known cursor position.
+                        // This assumes lastKnownMousePosition is up-to-date.
+                        // A more robust solution might involve storing the activation point.
+                        const { x, y } = magnifyGlass.lastKnownMousePosition;
+                        magnifyGlass.ui.positionGlass(x, y);
+                    }
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.GlassShape",
+            name: "🖼️ Magnify Glass: Shape",
+            type: "combo",
+            options: [
+                { value: "Circle", text: "Circle" },
+                { value: "Square", text: "Square" },
+                { value: "Rounded Square", text: "Rounded Square" }
+            ],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.GlassShape"],
+            tooltip: "Shape of the magnifying glass (e.g., Circle, Square).",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.glassShape = value;
+                    magnifyGlass.applyUiChanges(); // Update border-radius
+                }
+            }
+        });
+
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.BorderEnabled",
+            name: "🖼️ Magnify Glass: Show Border",
+            type: "combo",
+            options: [ 
+                { value: true, text: "Yes" }, 
+                { value: false, text: "No" } 
+            ],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.BorderEnabled"],
+            tooltip: "Enable or disable the border around the magnifying glass.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.borderEnabled = value;
+                    magnifyGlass.applyUiChanges(); // Update border visibility
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.Renderer",
+            name: "🖥️ Magnify Glass: Renderer",
+            type: "combo",
+            options: RENDERER_MODES,
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.Renderer"],
+            tooltip: "WebGL supports every feature. Canvas 2D works without WebGL (software rendering, headless browsers) but skips channel views, adjustments, color vision, lens, clipping warning and the filter chain. Auto uses WebGL and falls back to Canvas 2D when it is unavailable or its context is lost for good.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    if (value === magnifyGlass.config.rendererMode) return;
+                    magnifyGlass.config.rendererMode = value;
+                    magnifyGlass.switchRenderer();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.TextureFiltering",
+            name: "🖼️ Magnify Glass: Texture Filtering",
+            type: "combo",
+            options: [
+                { value: "Linear", text: "Linear (Smooth)" },
+                { value: "Nearest", text: "Nearest (Pixelated)" }
+            ],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.TextureFiltering"],
+            tooltip: "Controls how the magnified image is scaled. Linear is smoother, Nearest is sharper/pixelated.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config && magnifyGlass.renderer) {
+                    magnifyGlass.config.textureFiltering = value;
+                    magnifyGlass.renderer.updateTextureFiltering(value);
+                    if (magnifyGlass.state.active) {
+                        magnifyGlass.updateMagnifiedView(); // Re-render if active
+                    }
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.VectorRendering",
+            name: "🖼️ Magnify Glass: Vector Rendering",
+            type: "combo",
+            options: [
+                { value: true, text: "Yes" },
+                { value: false, text: "No" }
+            ],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.VectorRendering"],
+            tooltip: "If Yes, the glass redraws the graph under the cursor with LiteGraph at the magnified scale instead of enlarging the canvas bitmap, so titles, labels and links stay sharp. Costs a partial graph redraw per frame. Not used with a distorting lens; images still use full-resolution sampling.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.vectorRendering = value;
+                    magnifyGlass.vectorRenderingFailed = false;
+                    if (!value) magnifyGlass.releaseVectorCanvas();
+                    if (magnifyGlass.state.active) magnifyGlass.updateMagnifiedView();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.ChannelView",
+            name: "🖼️ Magnify Glass: Channel View",
+            type: "combo",
+            options: Object.keys(CHANNEL_VIEWS),
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ChannelView"],
+            tooltip: "What the glass shows: full color, a single channel as grayscale, alpha as grayscale (white = opaque), luminance, or color over a checkerboard so transparency is visible. Alpha and checkerboard only apply over images sampled at full resolution or compared; the canvas itself is opaque and shows as RGB.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.channelView = value;
+                    if (magnifyGlass.state.active) magnifyGlass.updateMagnifiedView();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.ChannelViewKey",
+            name: "🖼️ Magnify Glass: Cycle Channel View Key",
+            type: "combo",
+            options: ["c", "v", "b", "n"],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ChannelViewKey"],
+            tooltip: "The key to cycle the channel view (RGB, Red, Green, Blue, Alpha, Luminance, RGB over Checkerboard) while active. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
+            onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.ChannelViewKey", value);
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.channelViewKey = value.toLowerCase();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.ColorVision",
+            name: "👁️ Magnify Glass: Color Vision Simulation",
+            type: "combo",
+            options: Object.keys(COLOR_VISION_MATRICES),
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ColorVision"],
+            tooltip: "Shows the magnified region as seen with protanopia (no red cones), deuteranopia (no green cones), tritanopia (no blue cones) or achromatopsia (no color vision). Useful for checking link colors, node colors and images.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.colorVision = value;
+                    if (magnifyGlass.state.active) magnifyGlass.updateMagnifiedView();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.ColorVisionKey",
+            name: "👁️ Magnify Glass: Cycle Color Vision Key",
+            type: "combo",
+            options: ["d", "f", "j", "l"],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ColorVisionKey"],
+            tooltip: "The key to cycle the color vision simulation while active. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
+            onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.ColorVisionKey", value);
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.colorVisionKey = value.toLowerCase();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.FilterChain",
+            name: "🧩 Magnify Glass: Filter Chain",
+            type: "text",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.FilterChain"],
+            tooltip: `Comma-separated filter passes run in order on the finished glass image, e.g. "Sharpen, Edge Detect". Available: ${FILTER_NAMES.join(", ")}. Leave empty for no filtering.`,
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.filterChain = value || "";
+                    if (magnifyGlass.state.active) magnifyGlass.updateMagnifiedView();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.CustomShader",
+            name: "🧩 Magnify Glass: Custom Filter Shader",
+            type: "text",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.CustomShader"],
+            tooltip: "GLSL ES 1.0 fragment shader used by the \"Custom\" filter pass. It reads the previous pass from u_image at v_texCoord; u_resolution is the pass size in pixels. Those declarations and a precision are added unless the shader sets its own precision. Use /* */ comments, as the field is one line. Errors appear in a panel and the pass falls back to passthrough.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.customShader = value || "";
+                    if (magnifyGlass.state.active) magnifyGlass.updateMagnifiedView();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.AlwaysActiveMode",
+            name: "🔒 Magnify Glass: Always Active Mode",
+            type: "combo",
+            options: [
+                { value: true, text: "Yes" },
+                { value: false, text: "No" }
+            ],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.AlwaysActiveMode"],
+            tooltip: "If Yes, activating the magnifier keeps it on until activated again. If No, it deactivates on key release.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.alwaysActiveMode = value;
+                    // No immediate UI change needed other than behavior change
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.ToggleFollowCursorKey",
+            name: "🔑 Magnify Glass: Toggle Follow Key",
+            type: "combo",
+            options: ["f", "g", "h", "j", "k"], // Example keys, can be expanded
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ToggleFollowCursorKey"],
+            tooltip: "The key (case-insensitive) to toggle the 'Follow Cursor' behavior. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
+            onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.ToggleFollowCursorKey", value);
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.toggleFollowCursorKey = value.toLowerCase();
+                    magnifyGlass.debugger.log(`Toggle Follow Cursor key set to ${magnifyGlass.config.altRequired ? 'Alt/Option+' : ''}${magnifyGlass.config.toggleFollowCursorKey.toUpperCase()}`);
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.WheelControl",
+            name: "🖱️ Magnify Glass: Mouse Wheel Control",
+            type: "combo",
+            options: [
+                { value: true, text: "Yes" },
+                { value: false, text: "No" }
+            ],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.WheelControl"],
+            tooltip: "If Yes, the mouse wheel changes the zoom factor while the magnifier is active (Shift+Wheel changes the glass size) instead of zooming the canvas.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.wheelControl = value;
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.WheelZoomStep",
+            name: "🖱️ Magnify Glass: Wheel Zoom Step",
+            type: "slider",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.WheelZoomStep"],
+            min: 0.05,
+            max: 2.0,
+            step: 0.05,
+            tooltip: "How much the zoom factor changes per mouse wheel notch.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.wheelZoomStep = parseFloat(value);
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.WheelSizeStep",
+            name: "🖱️ Magnify Glass: Wheel Size Step (px)",
+            type: "slider",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.WheelSizeStep"],
+            min: 5,
+            max: 100,
+            step: 5,
+            tooltip: "How many pixels the glass grows or shrinks per Shift+Wheel notch.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.wheelSizeStep = parseInt(value, 10);
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.WheelSaveToSettings",
+            name: "🖱️ Magnify Glass: Save Wheel Changes",
+            type: "combo",
+            options: [
+                { value: true, text: "Yes" },
+                { value: false, text: "No" }
+            ],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.WheelSaveToSettings"],
+            tooltip: "If Yes, zoom and size changes made with the mouse wheel are written back to the Zoom Factor and Size settings. If No, they last until the page is reloaded.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.wheelSaveToSettings = value;
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.ColorProbeKey",
+            name: "🎨 Magnify Glass: Color Probe Key",
+            type: "combo",
+            options: ["i", "e", "u", "n"],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ColorProbeKey"],
+            tooltip: "The key (case-insensitive) to toggle the color probe (eyedropper) readout while the magnifier is active. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
+            onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.ColorProbeKey", value);
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.colorProbeKey = value.toLowerCase();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.ColorCopyKey",
+            name: "🎨 Magnify Glass: Copy Color Key",
+            type: "combo",
+            options: ["y", "b", "n", "u"],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ColorCopyKey"],
+            tooltip: "The key (case-insensitive) to copy the probed color to the clipboard. Shift+Key writes it into a color or color-named text widget of the selected node instead.",
+            onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.ColorCopyKey", value);
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.colorCopyKey = value.toLowerCase();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.ColorCopyFormat",
+            name: "🎨 Magnify Glass: Copy Color Format",
+            type: "combo",
+            options: [
+                { value: "Hex", text: "Hex (#RRGGBB)" },
+                { value: "RGB", text: "RGB (rgb(r, g, b))" },
+                { value: "HSV", text: "HSV (hsv(h, s%, v%))" }
+            ],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ColorCopyFormat"],
+            tooltip: "Format of the color value copied by the Copy Color Key.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.colorCopyFormat = value;
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.PixelGrid",
+            name: "🖼️ Magnify Glass: Pixel Grid",
+            type: "combo",
+            options: [
+                { value: true, text: "Yes" },
+                { value: false, text: "No" }
+            ],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.PixelGrid"],
+            tooltip: "If Yes, lines between source pixels fade in at high magnification.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.pixelGrid = value;
+                    if (magnifyGlass.state.active) {
+                        magnifyGlass.updateMagnifiedView();
+                    }
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.PixelGridMinZoom",
+            name: "🖼️ Magnify Glass: Pixel Grid Min Zoom",
+            type: "slider",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.PixelGridMinZoom"],
+            min: 2,
+            max: 32,
+            step: 1,
+            tooltip: "Glass pixels per source pixel at which the pixel grid starts to fade in. It is fully visible at 1.5x this value.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.pixelGridMinZoom = parseFloat(value);
+                    if (magnifyGlass.state.active) {
+                        magnifyGlass.updateMagnifiedView();
+                    }
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.PixelGridColor",
+            name: "🎨 Magnify Glass: Pixel Grid Color",
+            type: "color",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.PixelGridColor"],
+            tooltip: "Color of the pixel grid lines.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.pixelGridColor = value;
+                    if (magnifyGlass.state.active) {
+                        magnifyGlass.updateMagnifiedView();
+                    }
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.ReticleStyle",
+            name: "🖼️ Magnify Glass: Reticle",
+            type: "combo",
+            options: Object.keys(RETICLE_STYLES),
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ReticleStyle"],
+            tooltip: "Marker drawn at the center of the glass. Center Pixel Box outlines the source pixel under the center.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.reticleStyle = value;
+                    if (magnifyGlass.state.active) {
+                        magnifyGlass.updateMagnifiedView();
+                    }
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.ReticleColor",
+            name: "🎨 Magnify Glass: Reticle Color",
+            type: "color",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ReticleColor"],
+            tooltip: "Color of the center reticle.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.reticleColor = value;
+                    if (magnifyGlass.state.active) {
+                        magnifyGlass.updateMagnifiedView();
+                    }
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.LensProfile",
+            name: "🖼️ Magnify Glass: Lens Profile",
+            type: "combo",
+            options: [
+                { value: "Flat", text: "Flat (Default)" },
+                { value: "Fisheye", text: "Fisheye" },
+                { value: "Bubble", text: "Bubble" }
+            ],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.LensProfile"],
+            tooltip: "Flat magnifies evenly. Fisheye magnifies the center most and falls off toward 1x at the edge. Bubble keeps a flat magnified center with a smooth roll-off ring. Widget text overlays are only shown with Flat.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.lensProfile = value;
+                    if (magnifyGlass.state.active) {
+                        magnifyGlass.updateMagnifiedView();
+                    }
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.LensStrength",
+            name: "🖼️ Magnify Glass: Lens Strength",
+            type: "slider",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.LensStrength"],
+            min: 0.0,
+            max: 1.0,
+            step: 0.05,
+            tooltip: "How strongly the Fisheye/Bubble profiles fall off toward 1x at the edge (1.0 reaches exactly 1x).",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.lensStrength = parseFloat(value);
+                    if (magnifyGlass.state.active) {
+                        magnifyGlass.updateMagnifiedView();
+                    }
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.Exposure",
+            name: "🌗 Magnify Glass: Exposure (stops)",
+            type: "slider",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.Exposure"],
+            min: -4,
+            max: 4,
+            step: 0.1,
+            tooltip: "Brightens (positive) or darkens (negative) the magnified image, in photographic stops. Only the glass is affected.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.exposure = parseFloat(value);
+                    if (magnifyGlass.state.active) magnifyGlass.updateMagnifiedView();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.Gamma",
+            name: "🌗 Magnify Glass: Gamma",
+            type: "slider",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.Gamma"],
+            min: 0.2,
+            max: 3,
+            step: 0.05,
+            tooltip: "Values above 1 lift shadows and midtones, below 1 deepen them.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.gamma = parseFloat(value);
+                    if (magnifyGlass.state.active) magnifyGlass.updateMagnifiedView();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.Contrast",
+            name: "🌗 Magnify Glass: Contrast",
+            type: "slider",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.Contrast"],
+            min: 0,
+            max: 3,
+            step: 0.05,
+            tooltip: "Contrast around mid-gray. 1 leaves the image unchanged.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.contrast = parseFloat(value);
+                    if (magnifyGlass.state.active) magnifyGlass.updateMagnifiedView();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.LevelsBlack",
+            name: "🌗 Magnify Glass: Levels Black Point",
+            type: "slider",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.LevelsBlack"],
+            min: 0,
+            max: 254,
+            step: 1,
+            tooltip: "Input value (0-255) mapped to black. Raise it with the white point lowered to stretch a narrow tonal range.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.levelsBlack = Math.min(parseInt(value, 10), magnifyGlass.config.levelsWhite - 1);
+                    magnifyGlass.config.clampLevels();
+                    if (magnifyGlass.state.active) magnifyGlass.updateMagnifiedView();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.LevelsWhite",
+            name: "🌗 Magnify Glass: Levels White Point",
+            type: "slider",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.LevelsWhite"],
+            min: 1,
+            max: 255,
+            step: 1,
+            tooltip: "Input value (0-255) mapped to white. Always kept above the black point.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.levelsWhite = Math.max(parseInt(value, 10), magnifyGlass.config.levelsBlack + 1);
+                    magnifyGlass.config.clampLevels();
+                    if (magnifyGlass.state.active) magnifyGlass.updateMagnifiedView();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.ClippingWarning",
+            name: "🌗 Magnify Glass: Clipping Warning (Zebra)",
+            type: "combo",
+            options: [
+                { value: true, text: "Yes" },
+                { value: false, text: "No" }
+            ],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ClippingWarning"],
+            tooltip: "If Yes, pixels with a channel at 255 get red stripes and pixels with a channel at 0 get blue stripes. Tested on the source values, before adjustments.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.clippingWarning = value;
+                    if (magnifyGlass.state.active) magnifyGlass.updateMagnifiedView();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.AdjustPresetKey",
+            name: "🌗 Magnify Glass: Cycle Adjustment Preset Key",
+            type: "combo",
+            options: ["e", "j", "l", "u"],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.AdjustPresetKey"],
+            tooltip: "The key to cycle exposure/gamma/contrast presets while active (Neutral, Brighten +1 EV, Shadow Detail, Highlight Detail, High Contrast, Banding Finder). Presets change the live values only, not these settings. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
+            onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.AdjustPresetKey", value);
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.adjustPresetKey = value.toLowerCase();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.AdjustResetKey",
+            name: "🌗 Magnify Glass: Reset Adjustments Key",
+            type: "combo",
+            options: ["0", "9", "j", "u"],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.AdjustResetKey"],
+            tooltip: "The key to reset exposure, gamma, contrast and levels to neutral while active. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
+            onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.AdjustResetKey", value);
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.adjustResetKey = value.toLowerCase();
+                }
             }
-        }
-
-        // Instantiate the main class
-        const magnifyGlass = new MagnifyGlass();
-
-        // Add settings to the ComfyUI settings dialog
+        });
+        
         app.ui.settings.addSetting({
-            id: "🔍MagnifyGlass.ZoomFactor",
-            name: "🔍 Magnify Glass: Zoom Factor",
-            type: "slider",
-            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ZoomFactor"],
-            min: 1.0,
-            max: 10.0,
-            step: 0.1,
-            tooltip: "Magnification level (e.g., 2.5 means 2.5x zoom).",
+            id: "🔍MagnifyGlass.CompareMode",
+            name: "🆚 Magnify Glass: A/B Compare Mode",
+            type: "combo",
+            options: COMPARE_MODES,
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.CompareMode"],
+            tooltip: "How the glass compares the images of the nodes marked A and B (right-click a node > Set as A / Set as B) when it is over either of them. Split has a draggable divider, Flicker alternates A and B, Difference shows |A - B|.",
             onChange: (value) => {
                 if (magnifyGlass && magnifyGlass.config) {
-                    magnifyGlass.config.zoomFactor = parseFloat(value);
+                    magnifyGlass.config.compareMode = value;
                     if (magnifyGlass.state.active) {
                         magnifyGlass.updateMagnifiedView();
                     }
                 }
             }
         });
-
+        
         app.ui.settings.addSetting({
-            id: "🔍MagnifyGlass.GlassSize",
-            name: "🔍 Magnify Glass: Size (px)",
+            id: "🔍MagnifyGlass.CompareModeKey",
+            name: "🆚 Magnify Glass: Cycle Compare Mode Key",
+            type: "combo",
+            options: ["a", "d", "s", "w"],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.CompareModeKey"],
+            tooltip: "The key (case-insensitive) to cycle the A/B compare mode while the magnifier is active. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
+            onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.CompareModeKey", value);
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.compareModeKey = value.toLowerCase();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.CompareFlickerInterval",
+            name: "🆚 Magnify Glass: Flicker Interval (ms)",
             type: "slider",
-            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.GlassSize"],
-            min: 50,
-            max: 100,
-            step: 10,
-            tooltip: "Diameter of the magnifying glass circle in pixels. Slider max is 100, but larger values can be manually set if needed.",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.CompareFlickerInterval"],
+            min: 100,
+            max: 2000,
+            step: 50,
+            tooltip: "How long each image is shown in the Flicker compare mode.",
             onChange: (value) => {
                 if (magnifyGlass && magnifyGlass.config) {
-                    magnifyGlass.config.glassSize = parseInt(value, 10);
-                    magnifyGlass.applyUiChanges(); // Update div/canvas size
-                    if (magnifyGlass.state.active) {
-                        magnifyGlass.updateMagnifiedView(); // Recalculate source based on new size
-                    }
+                    magnifyGlass.config.compareFlickerInterval = parseInt(value, 10);
                 }
             }
         });
-
+        
         app.ui.settings.addSetting({
-            id: "🔍MagnifyGlass.BorderWidth",
-            name: "🔍 Magnify Glass: Border Width (px)",
+            id: "🔍MagnifyGlass.HistoryMode",
+            name: "🕘 Magnify Glass: Run History Mode",
+            type: "combo",
+            options: HISTORY_MODES,
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.HistoryMode"],
+            tooltip: "Over an output node's image, compare it with the same node's output from an earlier run: Split, Flicker, or a difference Heatmap (black = unchanged). Needs at least two runs since the page was loaded.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.historyMode = value;
+                    if (magnifyGlass.state.active) magnifyGlass.updateMagnifiedView();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.HistoryLength",
+            name: "🕘 Magnify Glass: Runs Kept per Node",
             type: "slider",
-            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.BorderWidth"],
-            min: 0,
-            max: 10,
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.HistoryLength"],
+            min: 2,
+            max: 20,
             step: 1,
-            tooltip: "Width of the border around the magnifying glass.",
+            tooltip: "How many recent outputs of each node are kept for the run history modes (applies from the next run).",
             onChange: (value) => {
                 if (magnifyGlass && magnifyGlass.config) {
-                    magnifyGlass.config.borderWidth = parseInt(value, 10);
-                    magnifyGlass.applyUiChanges(); // Update border style
+                    magnifyGlass.config.historyLength = parseInt(value, 10);
                 }
             }
         });
         
         app.ui.settings.addSetting({
-            id: "🔍MagnifyGlass.BorderColor",
-            name: "🎨 Magnify Glass: Border Color",
-            type: "color",
-            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.BorderColor"],
-            tooltip: "Color of the border around the magnifying glass.",
+            id: "🔍MagnifyGlass.HistoryModeKey",
+            name: "🕘 Magnify Glass: Cycle Run History Mode Key",
+            type: "combo",
+            options: ["g", "m", "q", "v"],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.HistoryModeKey"],
+            tooltip: "The key to cycle the run history mode (Off, Split, Flicker, Heatmap) while active. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
             onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.HistoryModeKey", value);
                 if (magnifyGlass && magnifyGlass.config) {
-                    magnifyGlass.config.borderColor = value;
-                    magnifyGlass.applyUiChanges(); // Update border style
+                    magnifyGlass.config.historyModeKey = value.toLowerCase();
                 }
             }
         });
-
+        
         app.ui.settings.addSetting({
-            id: "🔍MagnifyGlass.ActivationKey",
-            name: "⌨️ Magnify Glass: Activation Key",
+            id: "🔍MagnifyGlass.HistoryBackKey",
+            name: "🕘 Magnify Glass: Older Run Key",
             type: "combo",
-            options: ["x", "z", "m", "q", "v", "c"], // Limited selection for simplicity
-            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ActivationKey"],
-            tooltip: "The key (case-insensitive) to hold down to activate the magnifier. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
+            options: ["[", ",", "-", "9"],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.HistoryBackKey"],
+            tooltip: "The key to compare with an older run of the node under the glass. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
             onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.HistoryBackKey", value);
                 if (magnifyGlass && magnifyGlass.config) {
-                    magnifyGlass.config.activationKey = value.toLowerCase();
-                    magnifyGlass.debugger.log(`Activation key set to ${magnifyGlass.config.altRequired ? 'Alt/Option+' : ''}${magnifyGlass.config.activationKey.toUpperCase()}`);
+                    magnifyGlass.config.historyBackKey = value.toLowerCase();
                 }
             }
         });
-
+        
         app.ui.settings.addSetting({
-            id: "🔍MagnifyGlass.AltRequired",
-            name: "⌨️ Magnify Glass: Require Alt/Option Key",
+            id: "🔍MagnifyGlass.HistoryForwardKey",
+            name: "🕘 Magnify Glass: Newer Run Key",
             type: "combo",
-            options: [ { value: true, text: "Yes" }, { value: false, text: "No" } ],
-            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.AltRequired"],
-            tooltip: "If Yes, Alt (Windows/Linux) or Option (Mac) must be held for activation and for reset.",
+            options: ["]", ".", "=", "8"],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.HistoryForwardKey"],
+            tooltip: "The key to compare with a newer run of the node under the glass (down to the previous run). Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
             onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.HistoryForwardKey", value);
                 if (magnifyGlass && magnifyGlass.config) {
-                    magnifyGlass.config.altRequired = value;
-                    magnifyGlass.debugger.log(`Require Alt/Option set to ${value}. Activation: ${magnifyGlass.config.altRequired ? 'Alt/Option+' : ''}${magnifyGlass.config.activationKey.toUpperCase()}, Reset: ${magnifyGlass.config.altRequired ? 'Alt/Option+' : ''}${magnifyGlass.config.resetKey.toUpperCase()}`);
+                    magnifyGlass.config.historyForwardKey = value.toLowerCase();
                 }
             }
         });
         
         app.ui.settings.addSetting({
-            id: "🔍MagnifyGlass.FollowCursor",
-            name: "🖱️ Magnify Glass: Follow Cursor Position",
+            id: "🔍MagnifyGlass.SnapshotKey",
+            name: "📸 Magnify Glass: Snapshot Key",
             type: "combo",
-            options: [ { value: true, text: "Yes" }, { value: false, text: "No" } ],
-            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.FollowCursor"],
-            tooltip: "If Yes, the magnifier window moves with the cursor. If No, it stays where activated.",
+            options: ["k", "j", "l", "u", "b"],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.SnapshotKey"],
+            tooltip: "The key (case-insensitive) to save a PNG snapshot of the glass while the magnifier is active. Also available as the 'Magnify Glass: Save Snapshot' command. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
             onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.SnapshotKey", value);
                 if (magnifyGlass && magnifyGlass.config) {
-                    magnifyGlass.config.followCursor = value;
+                    magnifyGlass.config.snapshotKey = value.toLowerCase();
                 }
             }
         });
-
+        
         app.ui.settings.addSetting({
-            id: "🔍MagnifyGlass.OffsetStep",
-            name: "⌨️ Magnify Glass: Offset Adjust Step (Graph Units)",
-            type: "slider",
-            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.OffsetStep"],
-            min: 1,
-            max: 50, // Increased max
-            step: 1,
-            tooltip: "How many graph units the view shifts when pressing arrow keys (Shift+Arrow = 5x).",
+            id: "🔍MagnifyGlass.SnapshotDestination",
+            name: "📸 Magnify Glass: Snapshot Destination",
+            type: "combo",
+            options: ["Clipboard", "Download", "Output Folder"],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.SnapshotDestination"],
+            tooltip: "Where snapshots go. Output Folder saves into ComfyUI's output/magnify_glass directory.",
             onChange: (value) => {
                 if (magnifyGlass && magnifyGlass.config) {
-                    magnifyGlass.config.offsetStep = parseInt(value, 10);
+                    magnifyGlass.config.snapshotDestination = value;
                 }
             }
         });
         
         app.ui.settings.addSetting({
-            id: "🔍MagnifyGlass.ResetKey",
-            name: "⌨️ Magnify Glass: Reset Offset Key",
+            id: "🔍MagnifyGlass.SnapshotCaption",
+            name: "📸 Magnify Glass: Snapshot Caption",
             type: "combo",
-            options: ["r", "o", "p", "k", "l"], // Example keys, can be expanded
-            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ResetKey"],
-            tooltip: "The key (case-insensitive) to press to reset the view offset while the magnifier is active. Works with Alt/Option if 'Require Alt for Reset' is Yes.",
+            options: [
+                { value: true, text: "Yes" },
+                { value: false, text: "No" }
+            ],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.SnapshotCaption"],
+            tooltip: "If Yes, snapshots get a caption strip with the zoom factor, the node under the glass center and its graph coordinates.",
             onChange: (value) => {
                 if (magnifyGlass && magnifyGlass.config) {
-                    magnifyGlass.config.resetKey = value.toLowerCase();
-                    magnifyGlass.debugger.log(`Reset offset key set to ${magnifyGlass.config.resetAltRequired ? 'Alt/Option+' : ''}${magnifyGlass.config.resetKey.toUpperCase()}`);
+                    magnifyGlass.config.snapshotCaption = value;
                 }
             }
         });
-
+        
         app.ui.settings.addSetting({
-            id: "🔍MagnifyGlass.DebugMode",
-            name: "🐞 Magnify Glass: Debug Mode",
+            id: "🔍MagnifyGlass.PinKey",
+            name: "📌 Magnify Glass: Pin Loupe Key",
             type: "combo",
-            options: [ { value: true, text: "Enabled" }, { value: false, text: "Disabled" } ],
-            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.DebugMode"],
-            tooltip: "Show detailed logging and the debug visualization overlay.",
+            options: ["p", "n", "u", "j"],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.PinKey"],
+            tooltip: "The key (case-insensitive) to pin the current view as a loupe anchored to the graph. Shift+Key closes all pinned loupes. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
             onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.PinKey", value);
                 if (magnifyGlass && magnifyGlass.config) {
-                    magnifyGlass.config.debugMode = value;
-                    magnifyGlass.applyUiChanges(); // Show/hide debug canvas
+                    magnifyGlass.config.pinKey = value.toLowerCase();
                 }
             }
         });
         
         app.ui.settings.addSetting({
-            id: "🔍MagnifyGlass.GlassPosition",
-            name: "🖱️ Magnify Glass: Glass Position",
+            id: "🔍MagnifyGlass.Navigator",
+            name: "🧭 Magnify Glass: Show Navigator",
             type: "combo",
             options: [
-                { value: "Bottom", text: "Bottom (Default)" },
-                { value: "Top", text: "Top" },
-                { value: "Left", text: "Left" },
-                { value: "Right", text: "Right" },
-                { value: "Top-Left", text: "Top-Left" },
-                { value: "Top-Right", text: "Top-Right" },
-                { value: "Bottom-Left", text: "Bottom-Left" },
-                { value: "Bottom-Right", text: "Bottom-Right" }
+                { value: true, text: "Yes" },
+                { value: false, text: "No" }
             ],
-            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.GlassPosition"],
-            tooltip: "Position of the magnifying glass relative to the cursor.",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.Navigator"],
+            tooltip: "If Yes, a panel in the bottom-right corner shows the whole graph with the current viewport and the magnifier's source area. Click or drag in it to pan. Also available as the 'Magnify Glass: Toggle Navigator' command.",
             onChange: (value) => {
                 if (magnifyGlass && magnifyGlass.config) {
-                    magnifyGlass.config.glassPosition = value;
-                    // If glass is active and not following cursor, might need to reposition
-                    if (magnifyGlass.state.active && !magnifyGlass.config.followCursor) {
-                        // To reposition, we need the last known cursor position.
-                        // This assumes lastKnownMousePosition is up-to-date.
-                        // A more robust solution might involve storing the activation point.
-                        const { x, y } = magnifyGlass.lastKnownMousePosition;
-                        magnifyGlass.ui.positionGlass(x, y);
-                    }
+                    magnifyGlass.config.navigator = value;
+                    magnifyGlass.updateNavigatorVisibility();
                 }
             }
         });
         
         app.ui.settings.addSetting({
-            id: "🔍MagnifyGlass.GlassShape",
-            name: "🖼️ Magnify Glass: Shape",
+            id: "🔍MagnifyGlass.NavigatorSize",
+            name: "🧭 Magnify Glass: Navigator Width (px)",
+            type: "slider",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.NavigatorSize"],
+            min: 120,
+            max: 480,
+            step: 10,
+            tooltip: "Width of the navigator panel. Its height is three quarters of the width.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.navigatorSize = parseInt(value, 10);
+                    magnifyGlass.ui.resizeNavigator(magnifyGlass.config.navigatorSize);
+                    magnifyGlass.updateMagnifiedView();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.LiveRefreshFps",
+            name: "🔄 Magnify Glass: Live Refresh Rate Cap (fps)",
+            type: "slider",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.LiveRefreshFps"],
+            min: 0,
+            max: 60,
+            step: 5,
+            tooltip: "The glass, pinned loupes and the navigator refresh whenever LiteGraph redraws the canvas (sampler previews, animations, pans), at most this many times per second. 0 refreshes only on mouse and key input, and when the canvas is panned or zoomed.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.liveRefreshFps = parseInt(value, 10);
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.NativeImageSampling",
+            name: "🖼️ Magnify Glass: Sample Images at Full Resolution",
             type: "combo",
             options: [
-                { value: "Circle", text: "Circle" },
-                { value: "Square", text: "Square" },
-                { value: "Rounded Square", text: "Rounded Square" }
+                { value: true, text: "Yes" },
+                { value: false, text: "No" }
             ],
-            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.GlassShape"],
-            tooltip: "Shape of the magnifying glass (e.g., Circle, Square).",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.NativeImageSampling"],
+            tooltip: "If Yes, the glass shows node images (Preview Image, Save Image, Load Image...) from the full-resolution image instead of the downscaled canvas, with the image size and pixel coordinates at the bottom.",
             onChange: (value) => {
                 if (magnifyGlass && magnifyGlass.config) {
-                    magnifyGlass.config.glassShape = value;
-                    magnifyGlass.applyUiChanges(); // Update border-radius
+                    magnifyGlass.config.nativeImageSampling = value;
+                    if (magnifyGlass.state.active) magnifyGlass.updateMagnifiedView();
                 }
             }
         });
-
+        
         app.ui.settings.addSetting({
-            id: "🔍MagnifyGlass.BorderEnabled",
-            name: "🖼️ Magnify Glass: Show Border",
+            id: "🔍MagnifyGlass.ActualPixelsKey",
+            name: "🖼️ Magnify Glass: 100% Actual Pixels Key",
             type: "combo",
-            options: [ 
-                { value: true, text: "Yes" }, 
-                { value: false, text: "No" } 
-            ],
-            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.BorderEnabled"],
-            tooltip: "Enable or disable the border around the magnifying glass.",
+            options: ["1", "0", "t", "g"],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ActualPixelsKey"],
+            tooltip: "The key to toggle the 100% zoom preset while active: over an image, one image pixel covers one glass pixel. Pressing it again (or using the wheel) returns to the normal zoom. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
             onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.ActualPixelsKey", value);
                 if (magnifyGlass && magnifyGlass.config) {
-                    magnifyGlass.config.borderEnabled = value;
-                    magnifyGlass.applyUiChanges(); // Update border visibility
+                    magnifyGlass.config.actualPixelsKey = value.toLowerCase();
                 }
             }
         });
         
         app.ui.settings.addSetting({
-            id: "🔍MagnifyGlass.TextureFiltering",
-            name: "🖼️ Magnify Glass: Texture Filtering",
+            id: "🔍MagnifyGlass.TileMode",
+            name: "🧱 Magnify Glass: Tile Mode",
             type: "combo",
-            options: [
-                { value: "Linear", text: "Linear (Smooth)" },
-                { value: "Nearest", text: "Nearest (Pixelated)" }
-            ],
-            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.TextureFiltering"],
-            tooltip: "Controls how the magnified image is scaled. Linear is smoother, Nearest is sharper/pixelated.",
+            options: Object.keys(TILE_MODES),
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.TileMode"],
+            tooltip: "Seamless texture check: over an image node, the glass shows the image tiled 2x2 or 3x3 across the node's image area, sampled at full resolution, so wrap-around seams line up in view.",
             onChange: (value) => {
-                if (magnifyGlass && magnifyGlass.config && magnifyGlass.renderer) {
-                    magnifyGlass.config.textureFiltering = value;
-                    magnifyGlass.renderer.updateTextureFiltering(value);
-                    if (magnifyGlass.state.active) {
-                        magnifyGlass.updateMagnifiedView(); // Re-render if active
-                    }
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.tileMode = value;
+                    if (magnifyGlass.state.active) magnifyGlass.updateMagnifiedView();
                 }
             }
         });
         
         app.ui.settings.addSetting({
-            id: "🔍MagnifyGlass.AlwaysActiveMode",
-            name: "🔒 Magnify Glass: Always Active Mode",
+            id: "🔍MagnifyGlass.TileSeams",
+            name: "🧱 Magnify Glass: Highlight Tile Seams",
             type: "combo",
             options: [
                 { value: true, text: "Yes" },
                 { value: false, text: "No" }
             ],
-            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.AlwaysActiveMode"],
-            tooltip: "If Yes, activating the magnifier keeps it on until activated again. If No, it deactivates on key release.",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.TileSeams"],
+            tooltip: "If Yes, tile mode marks the seams between copies with a dashed magenta line.",
             onChange: (value) => {
                 if (magnifyGlass && magnifyGlass.config) {
-                    magnifyGlass.config.alwaysActiveMode = value;
-                    // No immediate UI change needed other than behavior change
+                    magnifyGlass.config.tileSeams = value;
+                    if (magnifyGlass.state.active) magnifyGlass.updateMagnifiedView();
                 }
             }
         });
         
         app.ui.settings.addSetting({
-            id: "🔍MagnifyGlass.ToggleFollowCursorKey",
-            name: "🔑 Magnify Glass: Toggle Follow Key",
+            id: "🔍MagnifyGlass.TileModeKey",
+            name: "🧱 Magnify Glass: Cycle Tile Mode Key",
             type: "combo",
-            options: ["f", "g", "h", "j", "k"], // Example keys, can be expanded
-            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ToggleFollowCursorKey"],
-            tooltip: "The key (case-insensitive) to toggle the 'Follow Cursor' behavior. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
+            options: ["r", "m", "2", "3"],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.TileModeKey"],
+            tooltip: "The key to cycle the tile mode (Off, 2x2, 3x3) while active. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
             onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.TileModeKey", value);
                 if (magnifyGlass && magnifyGlass.config) {
-                    magnifyGlass.config.toggleFollowCursorKey = value.toLowerCase();
-                    magnifyGlass.debugger.log(`Toggle Follow Cursor key set to ${magnifyGlass.config.altRequired ? 'Alt/Option+' : ''}${magnifyGlass.config.toggleFollowCursorKey.toUpperCase()}`);
+                    magnifyGlass.config.tileModeKey = value.toLowerCase();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.ReferenceOpacity",
+            name: "🧅 Magnify Glass: Reference Opacity",
+            type: "slider",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ReferenceOpacity"],
+            min: 0,
+            max: 1,
+            step: 0.05,
+            tooltip: "Opacity of the onion-skin reference image drawn over the magnified region. Drop an image file onto the glass or run 'Magnify Glass: Load Reference Image...' to set one.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.referenceOpacity = parseFloat(value);
+                    if (magnifyGlass.state.active) magnifyGlass.updateMagnifiedView();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.ReferenceBlendMode",
+            name: "🧅 Magnify Glass: Reference Blend Mode",
+            type: "combo",
+            options: Object.keys(REFERENCE_BLEND_MODES),
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ReferenceBlendMode"],
+            tooltip: "Normal lays the reference over the glass content. Difference shows the absolute difference, so matching areas turn black.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.referenceBlendMode = value;
+                    if (magnifyGlass.state.active) magnifyGlass.updateMagnifiedView();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.ReferenceKey",
+            name: "🧅 Magnify Glass: Reference Toggle Key",
+            type: "combo",
+            options: ["w", "s", "q", "z"],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.ReferenceKey"],
+            tooltip: "The key to show or hide the reference image while active (opens a file picker when none is loaded). Ctrl/Cmd+Arrow keys nudge the reference by one pixel, with Shift by 10. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
+            onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.ReferenceKey", value);
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.referenceKey = value.toLowerCase();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.StatsKey",
+            name: "📊 Magnify Glass: Region Statistics Key",
+            type: "combo",
+            options: ["t", "g", "j", "l"],
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.StatsKey"],
+            tooltip: "The key to toggle the panel with the RGB/luma histogram and min/max/mean/std per channel of the magnified region. Works with Alt/Option if 'Require Alt/Option Key' is Yes.",
+            onChange: (value) => {
+                warnKeyConflict("🔍MagnifyGlass.StatsKey", value);
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.statsKey = value.toLowerCase();
+                }
+            }
+        });
+        
+        app.ui.settings.addSetting({
+            id: "🔍MagnifyGlass.StatsInterval",
+            name: "📊 Magnify Glass: Statistics Update Interval (ms)",
+            type: "slider",
+            defaultValue: DEFAULT_SETTINGS["🔍MagnifyGlass.StatsInterval"],
+            min: 50,
+            max: 1000,
+            step: 50,
+            tooltip: "Minimum time between statistics updates. Reading pixels back from the GPU is slow, so lower values cost frame rate while the glass moves.",
+            onChange: (value) => {
+                if (magnifyGlass && magnifyGlass.config) {
+                    magnifyGlass.config.statsInterval = parseInt(value, 10);
                 }
             }
         });